@@ -0,0 +1,101 @@
+"use client";
+
+import React, { useState } from "react";
+import { login, register } from "../lib/api";
+import Header from "./Header";
+import Button from "./Button";
+
+const AuthForm = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState("login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === "register";
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+
+    try {
+      const result = isRegister
+        ? await register(email, password, name)
+        : await login(email, password);
+      onAuthenticated(result.token, result.user);
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isRegister ? "login" : "register");
+    setError("");
+  };
+
+  const inputClasses =
+    "w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500";
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16">
+      <Header />
+      <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-100">
+        <h2 className="text-xl font-bold text-gray-800 mb-4">
+          {isRegister ? "Create an account" : "Log in"}
+        </h2>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {isRegister && (
+            <input
+              type="text"
+              placeholder="Name (optional)"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className={inputClasses}
+            />
+          )}
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={inputClasses}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClasses}
+            minLength={isRegister ? 8 : undefined}
+            required
+          />
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <Button type="submit" className="w-full" isLoading={isSubmitting}>
+            {isRegister ? "Sign up" : "Log in"}
+          </Button>
+        </form>
+
+        <p className="mt-4 text-sm text-gray-600 text-center">
+          {isRegister ? "Already have an account?" : "New here?"}{" "}
+          <button
+            type="button"
+            onClick={toggleMode}
+            className="text-orange-500 font-medium hover:underline"
+          >
+            {isRegister ? "Log in" : "Create an account"}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AuthForm;
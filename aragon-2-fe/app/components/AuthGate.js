@@ -0,0 +1,50 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import {
+  getToken,
+  getStoredUser,
+  saveSession,
+  clearSession,
+} from "../lib/auth";
+import AuthForm from "./AuthForm";
+import UploadContainer from "./UploadContainer";
+
+const AuthGate = () => {
+  const [user, setUser] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+
+  // Restore the session on mount and follow logouts triggered by the API client
+  useEffect(() => {
+    if (getToken()) {
+      setUser(getStoredUser());
+    }
+    setIsReady(true);
+
+    const handleLogout = () => setUser(null);
+    window.addEventListener("auth:logout", handleLogout);
+    return () => window.removeEventListener("auth:logout", handleLogout);
+  }, []);
+
+  const handleAuthenticated = (token, authenticatedUser) => {
+    saveSession(token, authenticatedUser);
+    setUser(authenticatedUser);
+  };
+
+  const handleLogout = () => {
+    clearSession();
+    setUser(null);
+  };
+
+  if (!isReady) {
+    return null;
+  }
+
+  if (!user) {
+    return <AuthForm onAuthenticated={handleAuthenticated} />;
+  }
+
+  return <UploadContainer user={user} onLogout={handleLogout} />;
+};
+
+export default AuthGate;
@@ -6,7 +6,7 @@ import Button from "./Button";
 const Footer = ({
   photoCount,
   onContinue,
-  minRequiredPhotos = 6,
+  isSubmitting = false,
   isVisible = false,
 }) => {
   if (!isVisible) return null;
@@ -17,7 +17,12 @@ const Footer = ({
         <div>
           <p className="text-sm text-gray-600">{photoCount} photos ready</p>
         </div>
-        <Button variant="primary" size="lg" onClick={onContinue}>
+        <Button
+          variant="primary"
+          size="lg"
+          onClick={onContinue}
+          isLoading={isSubmitting}
+        >
           Continue
         </Button>
       </div>
@@ -2,6 +2,7 @@
 
 import React, { useState, useEffect } from "react";
 import ImagePreview from "./ImagePreview";
+import Button from "./Button";
 import { prefetchImages } from "../lib/imageUtils";
 
 const ImageGallery = ({
@@ -10,6 +11,9 @@ const ImageGallery = ({
   emptyMessage = "No images to display",
   onDelete,
   onProcess = null,
+  // Batch actions take the selected image IDs; either one enables selection
+  onBatchDelete = null,
+  onBatchProcess = null,
   status,
   pagination = null, // Keep for backward compatibility but we won't use it
   isLoading = false,
@@ -17,9 +21,19 @@ const ImageGallery = ({
   const [expanded, setExpanded] = useState(true);
   const [isPrefetching, setIsPrefetching] = useState(false);
   const [loadedImages, setLoadedImages] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showBatchDeleteModal, setShowBatchDeleteModal] = useState(false);
+  const [isBatchRunning, setIsBatchRunning] = useState(false);
+
+  const selectable = Boolean(onBatchDelete || onBatchProcess);
 
   // Prefetch images when the images array changes
   useEffect(() => {
+    // Drop selected images that left this section
+    setSelectedIds((prevIds) =>
+      prevIds.filter((id) => images?.some((image) => image.id === id))
+    );
+
     if (!images || images.length === 0) {
       setLoadedImages([]);
       return;
@@ -44,11 +58,45 @@ const ImageGallery = ({
     setExpanded(!expanded);
   };
 
+  const allSelected = selectedIds.length === images.length;
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prevIds) =>
+      prevIds.includes(id)
+        ? prevIds.filter((selectedId) => selectedId !== id)
+        : [...prevIds, id]
+    );
+  };
+
+  const toggleAllSelected = () => {
+    setSelectedIds(allSelected ? [] : images.map((image) => image.id));
+  };
+
+  // Run a batch action on the selection and clear it afterwards
+  const runBatchAction = async (action) => {
+    setIsBatchRunning(true);
+    try {
+      await action(selectedIds);
+      setSelectedIds([]);
+    } finally {
+      setIsBatchRunning(false);
+    }
+  };
+
   return (
     <section className="mb-8">
       <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-100">
         <div className="flex justify-between items-center mb-4">
           <div className="flex items-center gap-2">
+            {selectable && (
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={toggleAllSelected}
+                className="h-4 w-4 cursor-pointer accent-orange-500"
+                aria-label={allSelected ? "Deselect all" : "Select all"}
+              />
+            )}
             <h3 className="text-lg font-semibold text-gray-800">
               {title} {images.length > 0 && `(${images.length})`}
             </h3>
@@ -80,6 +128,44 @@ const ImageGallery = ({
           </button>
         </div>
 
+        {/* Batch actions for the selected images */}
+        {selectable && selectedIds.length > 0 && (
+          <div className="flex items-center justify-between gap-2 mb-4 p-2 rounded-lg bg-orange-50">
+            <span className="text-sm text-gray-700">
+              {selectedIds.length} selected
+            </span>
+            <div className="flex gap-2">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => setSelectedIds([])}
+                disabled={isBatchRunning}
+              >
+                Clear
+              </Button>
+              {onBatchProcess && (
+                <Button
+                  size="sm"
+                  onClick={() => runBatchAction(onBatchProcess)}
+                  isLoading={isBatchRunning}
+                >
+                  Process
+                </Button>
+              )}
+              {onBatchDelete && (
+                <Button
+                  variant="danger"
+                  size="sm"
+                  onClick={() => setShowBatchDeleteModal(true)}
+                  disabled={isBatchRunning}
+                >
+                  Delete
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+
         {expanded && (
           <>
             <div
@@ -105,6 +191,8 @@ const ImageGallery = ({
                       status={status || image.status}
                       onDelete={() => onDelete(image.id)}
                       onProcess={onProcess ? () => onProcess(image.id) : null}
+                      isSelected={selectedIds.includes(image.id)}
+                      onToggleSelect={selectable ? toggleSelected : null}
                     />
                   ))}
             </div>
@@ -113,6 +201,36 @@ const ImageGallery = ({
           </>
         )}
       </div>
+
+      {/* Batch delete confirmation */}
+      {showBatchDeleteModal && (
+        <div className="fixed inset-0 flex items-center justify-center z-50 bg-black/70">
+          <div className="bg-white p-4 rounded-lg shadow-lg max-w-xs w-full">
+            <h3 className="text-lg font-semibold mb-2">Delete Images</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Are you sure you want to delete {selectedIds.length} images? This
+              action cannot be undone.
+            </p>
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setShowBatchDeleteModal(false)}
+                className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 rounded"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => {
+                  setShowBatchDeleteModal(false);
+                  runBatchAction(onBatchDelete);
+                }}
+                className="px-3 py-1 text-sm bg-red-500 hover:bg-red-600 text-white rounded"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </section>
   );
 };
@@ -2,7 +2,29 @@
 
 import React, { useState, useEffect } from "react";
 import clsx from "clsx";
-import { getBestImageUrl } from "../lib/imageUtils";
+import { getBestImageUrl, getSrcSet } from "../lib/imageUtils";
+
+// Matches the gallery grid: 2 columns, 3 from sm, 4 from md
+const CARD_SIZES = "(min-width: 768px) 25vw, (min-width: 640px) 33vw, 50vw";
+
+// Cards are square, so they use the face-framed square crop when there is one
+const CARD_CROP = "square";
+
+// Labels of the quality score components, in display order
+const QUALITY_LABELS = {
+  sharpness: "Sharpness",
+  exposure: "Exposure",
+  contrast: "Contrast",
+  noise: "Noise",
+  faceSize: "Face size",
+  resolution: "Resolution",
+};
+
+// Preferred formats first; JPEG is the <img> fallback
+const SOURCE_FORMATS = [
+  { format: "avif", type: "image/avif" },
+  { format: "webp", type: "image/webp" },
+];
 
 const ImagePreview = ({
   image,
@@ -11,9 +33,13 @@ const ImagePreview = ({
   onDelete,
   onProcess = null,
   isPreview = false, // If true, it's a local preview before upload
+  isSelected = false,
+  onToggleSelect = null, // Shows a checkbox for batch actions when set
 }) => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [imageUrl, setImageUrl] = useState(null);
+  // Once a rendition fails to load, show the placeholder without srcset
+  const [loadFailed, setLoadFailed] = useState(false);
   const [showDetails, setShowDetails] = useState(false);
 
   // Set the image URL when the image changes
@@ -23,8 +49,19 @@ const ImagePreview = ({
     } else {
       setImageUrl(getBestImageUrl(image));
     }
+    setLoadFailed(false);
   }, [image, isPreview]);
 
+  const cardCrop = getSrcSet(image, "jpeg", CARD_CROP) ? CARD_CROP : null;
+
+  // Breakdown of the quality score, shown as the badge's tooltip
+  const qualityBreakdown =
+    image?.quality &&
+    Object.entries(QUALITY_LABELS)
+      .filter(([key]) => image.quality[key])
+      .map(([key, label]) => `${label}: ${image.quality[key].score}`)
+      .join("\n");
+
   // Extract rejection reason from the image metadata
   const getImageRejectionReason = () => {
     // If explicit reason is provided from props
@@ -129,7 +166,14 @@ const ImagePreview = ({
         processing_error: "Processing error",
         format_validation_failed: "Invalid file format",
         multiple_faces_detected: "Multiple faces detected",
+        no_face_detected: "No face detected",
         blurry_image_detected: "Image too blurry",
+        face_cut_off: "Face cut off by the photo edge",
+        face_too_small: "Face too small",
+        face_yaw_exceeded: "Face turned to the side",
+        face_pitch_exceeded: "Head tilted up or down",
+        face_roll_exceeded: "Head tilted sideways",
+        rejected_on_review: "Rejected on review",
       };
 
       const readableErrors = image.metaData.validationErrors.map(
@@ -153,15 +197,6 @@ const ImagePreview = ({
     // Handle from image object
     if (!image.status) return isPreview ? "processing" : "processing";
 
-    // Handle the case where the image has URLs but status is not updated
-    if (
-      (image.status === "PENDING" || image.status === "PROCESSING") &&
-      image.urls &&
-      (image.urls.processed || image.urls.original)
-    ) {
-      return "accepted"; // Treat as processed if it has processed URLs
-    }
-
     // Map backend status to frontend status
     const statusMap = {
       PENDING: "processing",
@@ -204,6 +239,10 @@ const ImagePreview = ({
 
   const getStatusText = () => {
     if (isPreview) return "Uploading...";
+    if (image.error) return image.error;
+    if (typeof image.progress === "number") {
+      return `Uploading... ${image.progress}%`;
+    }
 
     switch (currentStatus) {
       case "accepted":
@@ -229,7 +268,9 @@ const ImagePreview = ({
       <div
         className={clsx(
           "relative rounded-lg overflow-hidden border-2",
-          getBorderColor(),
+          isSelected
+            ? "border-orange-500 ring-2 ring-orange-300"
+            : getBorderColor(),
           "group h-[150px] w-full aspect-square"
         )}
       >
@@ -245,6 +286,30 @@ const ImagePreview = ({
           />
         )}
 
+        {/* Selection checkbox, above the button overlay */}
+        {!isPreview && onToggleSelect && (
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={() => onToggleSelect(image.id)}
+            className="absolute top-2 left-2 z-30 h-4 w-4 cursor-pointer accent-orange-500"
+            aria-label={`Select ${image.originalName || "image"}`}
+          />
+        )}
+
+        {/* Quality score */}
+        {!isPreview && typeof image.qualityScore === "number" && (
+          <div
+            className={clsx(
+              "absolute top-2 z-10 rounded bg-black/60 px-1.5 py-0.5 text-xs font-medium text-white",
+              onToggleSelect ? "left-8" : "left-2"
+            )}
+            title={qualityBreakdown || undefined}
+          >
+            Quality {Math.round(image.qualityScore)}
+          </div>
+        )}
+
         {/* Button overlay - only show on hover */}
         <div className="absolute inset-0 bg-black/50 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity z-20">
           <div className="flex flex-col items-center gap-2">
@@ -337,18 +402,40 @@ const ImagePreview = ({
               className="object-cover w-full h-full"
             />
           ) : (
-            <img
-              src={imageUrl}
-              alt={image.originalName || "Image"}
-              className="object-cover w-full h-full"
-              onError={(e) => {
-                console.error("Error loading image:", e);
-                e.target.onerror = null;
-                e.target.src =
-                  "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjQiIGhlaWdodD0iMjQiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyIgZmlsbC1ydWxlPSJldmVub2RkIiBjbGlwLXJ1bGU9ImV2ZW5vZGQiPjxwYXRoIGQ9Ik0yNCAxMmMwIDYuNjI3LTUuMzczIDEyLTEyIDEycy0xMi01LjM3My0xMi0xMiA1LjM3My0xMiAxMi0xMiAxMiA1LjM3MyAxMiAxMnptLTEzIDBoLTN2LTFoM3YxeiIvPjwvc3ZnPg==";
-              }}
-              loading="lazy"
-            />
+            <picture>
+              {SOURCE_FORMATS.map(({ format, type }) => {
+                const srcSet =
+                  !loadFailed && getSrcSet(image, format, cardCrop);
+                return (
+                  srcSet && (
+                    <source
+                      key={format}
+                      type={type}
+                      srcSet={srcSet}
+                      sizes={CARD_SIZES}
+                    />
+                  )
+                );
+              })}
+              <img
+                src={imageUrl}
+                srcSet={
+                  (!loadFailed && getSrcSet(image, "jpeg", cardCrop)) ||
+                  undefined
+                }
+                sizes={CARD_SIZES}
+                alt={image.originalName || "Image"}
+                className="object-cover w-full h-full"
+                onError={(e) => {
+                  console.error("Error loading image:", e);
+                  e.target.onerror = null;
+                  setLoadFailed(true);
+                  e.target.src =
+                    "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjQiIGhlaWdodD0iMjQiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyIgZmlsbC1ydWxlPSJldmVub2RkIiBjbGlwLXJ1bGU9ImV2ZW5vZGQiPjxwYXRoIGQ9Ik0yNCAxMmMwIDYuNjI3LTUuMzczIDEyLTEyIDEycy0xMi01LjM3My0xMi0xMiA1LjM3My0xMiAxMi0xMiAxMiA1LjM3MyAxMiAxMnptLTEzIDBoLTN2LTFoM3YxeiIvPjwvc3ZnPg==";
+                }}
+                loading="lazy"
+              />
+            </picture>
           )}
         </div>
 
@@ -12,7 +12,11 @@ import {
 } from "../lib/imageValidation";
 import Button from "./Button";
 
-const ImageUploader = ({ onFilesSelected, isUploading = false }) => {
+const ImageUploader = ({
+  onFilesSelected,
+  isUploading = false,
+  disabled = false,
+}) => {
   const [error, setError] = useState("");
   const [validFiles, setValidFiles] = useState([]);
   const [isValidating, setIsValidating] = useState(false);
@@ -93,6 +97,7 @@ const ImageUploader = ({ onFilesSelected, isUploading = false }) => {
     },
     maxSize: 10 * 1024 * 1024, // 10MB
     multiple: true,
+    disabled,
   });
 
   const handleButtonClick = () => {
@@ -201,7 +206,7 @@ const ImageUploader = ({ onFilesSelected, isUploading = false }) => {
         <Button
           type="button"
           onClick={handleButtonClick}
-          disabled={isUploading || isValidating}
+          disabled={disabled || isUploading || isValidating}
           variant="secondary"
           size="sm"
         >
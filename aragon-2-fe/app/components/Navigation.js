@@ -4,10 +4,24 @@ import React from "react";
 import Header from "./Header";
 import BackButton from "./BackButton";
 
-const Navigation = ({ onBackClick }) => {
+const Navigation = ({ onBackClick, user, onLogout }) => {
   return (
     <div className="mb-10">
-      <Header />
+      <div className="flex justify-between items-start">
+        <Header />
+        {user && (
+          <div className="flex items-center gap-3 text-sm">
+            <span className="text-gray-600">{user.name || user.email}</span>
+            <button
+              type="button"
+              onClick={onLogout}
+              className="text-orange-500 font-medium hover:underline"
+            >
+              Log out
+            </button>
+          </div>
+        )}
+      </div>
       <div className="mt-6">
         <BackButton onClick={onBackClick} />
       </div>
@@ -4,7 +4,7 @@ import React from "react";
 import clsx from "clsx";
 
 const ProgressBar = ({ current = 0, total = 10, className }) => {
-  const percentage = Math.round((current / total) * 100);
+  const percentage = total > 0 ? Math.round((current / total) * 100) : 0;
 
   // Generate gradient based on percentage
   const gradient = `linear-gradient(to right, #F97316 0%, #fb923c 25%, #fdba74 50%, #ffa938 75%, #f5c45d 100%)`;
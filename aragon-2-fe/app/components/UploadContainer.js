@@ -1,8 +1,20 @@
 "use client";
 
-import React, { useState, useEffect, useCallback } from "react";
-import { uploadImages, getImages, deleteImage, processImage } from "../lib/api";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  getImages,
+  getImageById,
+  deleteImage,
+  processImage,
+  batchImages,
+  getPhotoSets,
+  createPhotoSet,
+  getPhotoSet,
+  submitPhotoSet,
+} from "../lib/api";
 import { getImagePreview, revokeImagePreview } from "../lib/imageValidation";
+import { uploadFileResumable } from "../lib/resumableUpload";
+import { subscribeToImageEvents } from "../lib/imageEvents";
 import { prefetchImages, clearImageCache } from "../lib/imageUtils";
 import ImageUploader from "./ImageUploader";
 import ImageGallery from "./ImageGallery";
@@ -12,17 +24,28 @@ import Navigation from "./Navigation";
 import Footer from "./Footer";
 import PhotoGuidelines from "./PhotoGuidelines";
 
-const UploadContainer = () => {
+// Images fetched per page; more are loaded as the list is scrolled
+const PAGE_SIZE = 30;
+
+const UploadContainer = ({ user, onLogout }) => {
   // State for file upload
   const [uploads, setUploads] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
 
+  // The photo set the uploads go into
+  const [photoSet, setPhotoSet] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const photoSetId = photoSet?.id;
+  const isDraft = photoSet?.status === "DRAFT";
+
   // State for images from API
   const [images, setImages] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Remove pagination state and replace with a higher limit
-  const [fetchLimit, setFetchLimit] = useState(100);
+  // Cursor of the next page of images, if there is one
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadMoreRef = useRef(null);
 
   // Notification state
   const [notification, setNotification] = useState({
@@ -40,15 +63,38 @@ const UploadContainer = () => {
   const processedImages = images.filter((img) => img.status === "PROCESSED");
   const failedImages = images.filter((img) => img.status === "FAILED");
 
-  // Fetch images on component mount
+  // Load the latest draft photo set, or start one, on mount
   useEffect(() => {
-    fetchImages(1, fetchLimit);
+    const loadPhotoSet = async () => {
+      try {
+        const { photoSets } = await getPhotoSets("DRAFT");
+        if (photoSets.length > 0) {
+          setPhotoSet(photoSets[0]);
+        } else {
+          const result = await createPhotoSet();
+          setPhotoSet(result.photoSet);
+        }
+      } catch (error) {
+        showNotification("error", "Failed to load your photo set");
+        console.error("Error loading photo set:", error);
+        setIsLoading(false);
+      }
+    };
+
+    loadPhotoSet();
+  }, []);
+
+  // Fetch the set's images once it is known
+  useEffect(() => {
+    if (!photoSetId) return;
+
+    fetchImages();
 
     // Clear image cache when component unmounts
     return () => {
       clearImageCache();
     };
-  }, [fetchLimit]);
+  }, [photoSetId]);
 
   // Clean up object URLs when component unmounts
   useEffect(() => {
@@ -61,46 +107,121 @@ const UploadContainer = () => {
     };
   }, [uploads]);
 
-  // Fetch images from API
-  const fetchImages = useCallback(async (page = 1, limit = 100) => {
-    try {
-      setIsLoading(true);
-      const response = await getImages(null, page, limit);
-
-      if (response.images) {
-        // Process the images to ensure statuses are correctly set
-        const processedImages = response.images.map((img) => {
-          // Ensure uploaded images are properly categorized as PROCESSED
-          // This helps fix the issue of images staying in processing state
-          if (img.status === "PENDING" || img.status === "PROCESSING") {
-            // Check if the image has been fully uploaded and has URLs available
-            if (img.urls && (img.urls.processed || img.urls.original)) {
-              return { ...img, status: "PROCESSED" };
-            }
-          }
-          return img;
+  // Fetch the first page of images from the API, or the page after a cursor
+  const fetchImages = useCallback(
+    async (cursor = null) => {
+      const setLoading = cursor ? setIsLoadingMore : setIsLoading;
+
+      try {
+        setLoading(true);
+        const response = await getImages({
+          photoSetId,
+          limit: PAGE_SIZE,
+          ...(cursor && { cursor }),
         });
 
-        setImages(processedImages);
+        // Later pages are appended, skipping images the event stream added
+        setImages((prevImages) =>
+          cursor
+            ? [
+                ...prevImages,
+                ...response.images.filter(
+                  (image) => !prevImages.some((img) => img.id === image.id)
+                ),
+              ]
+            : response.images
+        );
+        setNextCursor(response.pageInfo.nextCursor);
 
         // Prefetch the images in the background
         setIsImagesPrefetching(true);
-        prefetchImages(processedImages).finally(() => {
+        prefetchImages(response.images).finally(() => {
           setIsImagesPrefetching(false);
         });
+      } catch (error) {
+        showNotification("error", "Failed to fetch images");
+        console.error("Error fetching images:", error);
+      } finally {
+        setLoading(false);
       }
 
-      // Update limit if we're close to the total number of images
-      if (response.pagination && response.pagination.total > limit * 0.8) {
-        setFetchLimit(response.pagination.total + 20); // Set to slightly higher than total
+      if (cursor) return;
+
+      // Keep the set's counts in step with its images
+      try {
+        const result = await getPhotoSet(photoSetId);
+        setPhotoSet(result.photoSet);
+      } catch (error) {
+        console.error("Error refreshing photo set:", error);
       }
-    } catch (error) {
-      showNotification("error", "Failed to fetch images");
-      console.error("Error fetching images:", error);
-    } finally {
-      setIsLoading(false);
-    }
-  }, []);
+    },
+    [photoSetId]
+  );
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || isLoadingMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          fetchImages(nextCursor);
+        }
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [nextCursor, isLoadingMore, fetchImages]);
+
+  // Follow processing of the set's images as the server reports it
+  useEffect(() => {
+    if (!photoSetId) return;
+
+    return subscribeToImageEvents(async ({ type, data }) => {
+      if (type !== "status") return;
+
+      // Show the new status straight away
+      setImages((prevImages) =>
+        prevImages.map((img) =>
+          img.id === data.imageId
+            ? {
+                ...img,
+                status: data.status,
+                ...(data.rejectionReason && {
+                  metaData: {
+                    ...img.metaData,
+                    rejectionReason: data.rejectionReason,
+                    validationErrors: data.validationErrors,
+                  },
+                }),
+              }
+            : img
+        )
+      );
+
+      if (data.status !== "PROCESSED" && data.status !== "FAILED") return;
+
+      // Finished images get their URLs and metadata from the API
+      try {
+        const { image } = await getImageById(data.imageId);
+        if (image.photoSetId !== photoSetId) return;
+
+        setImages((prevImages) =>
+          prevImages.some((img) => img.id === image.id)
+            ? prevImages.map((img) => (img.id === image.id ? image : img))
+            : [image, ...prevImages]
+        );
+
+        const result = await getPhotoSet(photoSetId);
+        setPhotoSet(result.photoSet);
+      } catch (error) {
+        console.error("Error refreshing image:", error);
+      }
+    });
+  }, [photoSetId]);
 
   // Handle files selected for upload
   const handleFilesSelected = (files) => {
@@ -115,103 +236,99 @@ const UploadContainer = () => {
     handleUpload(newUploads);
   };
 
-  // Upload files to the API
+  // Upload files to the API, resuming interrupted uploads
   const handleUpload = async (filesToUpload) => {
     setIsUploading(true);
 
-    try {
-      const uploadFiles = filesToUpload.map((upload) => upload.file);
-      const result = await uploadImages(uploadFiles);
-
-      if (result.success && result.images) {
-        // Immediately update the image status to properly move them to the processed category
-        if (Array.isArray(result.images)) {
-          // Update the local images state with the new images
-          setImages((prevImages) => {
-            // Create a map of existing images for efficient lookup
-            const existingImagesMap = new Map(
-              prevImages.map((img) => [img.id, img])
-            );
-
-            // Add newly uploaded images and ensure they're marked as PROCESSED
-            result.images.forEach((newImage) => {
-              // If the image already exists, update it, ensuring status is PROCESSED
-              if (existingImagesMap.has(newImage.id)) {
-                const existing = existingImagesMap.get(newImage.id);
-                existingImagesMap.set(newImage.id, {
-                  ...existing,
-                  ...newImage,
-                  status: "PROCESSED", // Force status to PROCESSED
-                });
-              } else {
-                // Otherwise add the new image
-                existingImagesMap.set(newImage.id, {
-                  ...newImage,
-                  status: "PROCESSED", // Force status to PROCESSED
-                });
-              }
-            });
-
-            // Convert the map back to an array
-            return Array.from(existingImagesMap.values());
-          });
-        }
+    const updateUpload = (id, changes) =>
+      setUploads((prevUploads) =>
+        prevUploads.map((upload) =>
+          upload.id === id ? { ...upload, ...changes } : upload
+        )
+      );
 
-        // Refresh the images list after successful upload
-        fetchImages(1, fetchLimit);
+    const results = await Promise.allSettled(
+      filesToUpload.map((item) =>
+        uploadFileResumable(item.file, {
+          photoSetId,
+          onProgress: (progress) => updateUpload(item.id, { progress }),
+        })
+      )
+    );
+
+    const errors = new Map();
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        console.error("Error in upload process:", result.reason);
+        errors.set(
+          filesToUpload[index].id,
+          result.reason?.message || "Upload failed"
+        );
       }
+    });
 
-      // Remove all uploaded files from the uploads list
-      setUploads((prevUploads) =>
-        prevUploads.filter(
-          (upload) => !filesToUpload.some((item) => item.id === upload.id)
+    // Drop finished uploads from the list and mark the failed ones
+    setUploads((prevUploads) =>
+      prevUploads
+        .filter(
+          (upload) =>
+            errors.has(upload.id) ||
+            !filesToUpload.some((item) => item.id === upload.id)
         )
-      );
+        .map((upload) =>
+          errors.has(upload.id)
+            ? { ...upload, status: "error", error: errors.get(upload.id) }
+            : upload
+        )
+    );
+
+    // Refresh the images list to pick up the new images
+    fetchImages();
 
+    if (errors.size === 0) {
       showNotification(
         "success",
-        result.message || "Images uploaded successfully"
+        `${filesToUpload.length} images uploaded successfully`
       );
-    } catch (error) {
-      showNotification("error", "Failed to upload images");
-      console.error("Error in upload process:", error);
-
-      // Mark the uploads as failed
-      setUploads((prevUploads) =>
-        prevUploads.map((upload) =>
-          filesToUpload.some((item) => item.id === upload.id)
-            ? {
-                ...upload,
-                status: "error",
-                error: error.message || "Upload failed",
-              }
-            : upload
-        )
+    } else {
+      showNotification(
+        "error",
+        `${errors.size} of ${filesToUpload.length} uploads failed: ${
+          errors.values().next().value
+        }`
       );
-    } finally {
-      setIsUploading(false);
     }
+
+    setIsUploading(false);
   };
 
+  // Set the status of some images in the local state
+  const setImageStatus = (ids, status, onlyIfStatus = null) =>
+    setImages((prevImages) =>
+      prevImages.map((img) =>
+        ids.includes(img.id) && (!onlyIfStatus || img.status === onlyIfStatus)
+          ? { ...img, status }
+          : img
+      )
+    );
+
   // Process an image manually
   const handleProcessImage = async (id) => {
+    const previousStatus = images.find((img) => img.id === id)?.status;
+
+    // Show the image as queued straight away; the event stream reports
+    // the outcome
+    setImageStatus([id], "PENDING");
+
     try {
       await processImage(id);
       showNotification("success", "Image processing started");
-
-      // Update the image status in the local state
-      setImages((prevImages) =>
-        prevImages.map((img) =>
-          img.id === id ? { ...img, status: "PROCESSING" } : img
-        )
-      );
-
-      // Refresh after a delay to get updated status
-      setTimeout(() => {
-        fetchImages(1, fetchLimit);
-      }, 2000);
     } catch (error) {
-      showNotification("error", "Failed to process image");
+      // Put the image back unless the event stream already moved it on
+      if (previousStatus) {
+        setImageStatus([id], previousStatus, "PENDING");
+      }
+      showNotification("error", error.message || "Failed to process image");
       console.error("Error processing image:", error);
     }
   };
@@ -231,6 +348,68 @@ const UploadContainer = () => {
     }
   };
 
+  // Run a batch action and report its outcome in one notification
+  const runBatch = async (action, ids, pastTense) => {
+    let results;
+    try {
+      results = await batchImages(action, ids);
+    } catch (error) {
+      showNotification("error", error.message || `Failed to ${action} images`);
+      console.error(`Error running ${action} batch:`, error);
+      return [];
+    }
+
+    const failed = results.filter((result) => !result.success);
+    if (failed.length === 0) {
+      showNotification("success", `${results.length} images ${pastTense}`);
+    } else {
+      showNotification(
+        "error",
+        `${failed.length} of ${results.length} images could not be ${pastTense}: ${failed[0].error.message}`
+      );
+    }
+
+    return results
+      .filter((result) => result.success)
+      .map((result) => result.id);
+  };
+
+  // Delete the selected images in one request
+  const handleBatchDelete = async (ids) => {
+    const deletedIds = await runBatch("delete", ids, "deleted");
+
+    setImages((prevImages) =>
+      prevImages.filter((img) => !deletedIds.includes(img.id))
+    );
+  };
+
+  // Queue the selected images for processing in one request
+  const handleBatchProcess = async (ids) => {
+    const previousStatuses = new Map(
+      images
+        .filter((img) => ids.includes(img.id))
+        .map((img) => [img.id, img.status])
+    );
+
+    // Show the images as queued straight away; the event stream reports
+    // the outcome
+    setImageStatus(ids, "PENDING");
+
+    const queuedIds = await runBatch("process", ids, "queued for processing");
+
+    // Put back the images that weren't queued, unless the event stream
+    // already moved them on
+    setImages((prevImages) =>
+      prevImages.map((img) =>
+        previousStatuses.has(img.id) &&
+        !queuedIds.includes(img.id) &&
+        img.status === "PENDING"
+          ? { ...img, status: previousStatuses.get(img.id) }
+          : img
+      )
+    );
+  };
+
   // Handle removing an upload from the queue
   const handleRemoveUpload = (id) => {
     setUploads((prevUploads) => {
@@ -265,19 +444,44 @@ const UploadContainer = () => {
     // You would typically navigate back or change state here
   };
 
-  // Handle continue button click
-  const handleContinue = () => {
-    console.log("Continue button clicked");
-    // You would typically navigate to the next page or step here
+  // Submit the photo set
+  const handleContinue = async () => {
+    setIsSubmitting(true);
+
+    try {
+      const result = await submitPhotoSet(photoSetId);
+      setPhotoSet(result.photoSet);
+      showNotification("success", "Your photos have been submitted");
+    } catch (error) {
+      // Explain every requirement the set doesn't meet yet
+      const unmet = (error.requirements || [])
+        .filter((requirement) => !requirement.passed)
+        .map((requirement) => requirement.message);
+      showNotification(
+        "error",
+        unmet.length > 0
+          ? unmet.join(". ")
+          : error.message || "Failed to submit photos"
+      );
+      console.error("Error submitting photo set:", error);
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   // Count of processed images for progress
   const processedCount = processedImages.length;
+  const minPhotos = photoSet?.minPhotos ?? 0;
+  const maxPhotos = photoSet?.maxPhotos ?? 0;
 
   return (
     <div className="max-w-6xl mx-auto px-4 py-8">
       {/* Navigation */}
-      <Navigation onBackClick={handleBackClick} />
+      <Navigation
+        onBackClick={handleBackClick}
+        user={user}
+        onLogout={onLogout}
+      />
 
       {/* Main content */}
       <div className="flex flex-col lg:flex-row gap-8">
@@ -305,13 +509,15 @@ const UploadContainer = () => {
             </div>
 
             <p className="mb-4 text-gray-600">
-              Upload multiple images at once! Select at least 6 of your best
-              photos. We accept JPG, PNG, and HEIC formats.
+              {isDraft
+                ? `Upload multiple images at once! Select at least ${minPhotos} of your best photos (up to ${maxPhotos}). We accept JPG, PNG, and HEIC formats.`
+                : "Your photos have been submitted."}
             </p>
 
             <ImageUploader
               onFilesSelected={handleFilesSelected}
               isUploading={isUploading}
+              disabled={!isDraft}
             />
           </div>
 
@@ -335,10 +541,10 @@ const UploadContainer = () => {
               <div className="flex items-center gap-2">
                 <span className="font-medium">{processedCount}</span>
                 <span className="text-gray-500">of</span>
-                <span className="font-medium">10</span>
+                <span className="font-medium">{maxPhotos}</span>
               </div>
             </div>
-            <ProgressBar current={processedCount} total={10} />
+            <ProgressBar current={processedCount} total={maxPhotos} />
           </div>
 
           {/* Loading state */}
@@ -364,6 +570,8 @@ const UploadContainer = () => {
               images={pendingImages}
               title="Pending Images"
               onDelete={handleDeleteImage}
+              onBatchDelete={handleBatchDelete}
+              onBatchProcess={handleBatchProcess}
               onProcess={handleProcessImage}
               status="PENDING"
               isLoading={isLoading || isImagesPrefetching}
@@ -376,6 +584,7 @@ const UploadContainer = () => {
               images={processingImages}
               title="Processing Images"
               onDelete={handleDeleteImage}
+              onBatchDelete={handleBatchDelete}
               status="PROCESSING"
               isLoading={isLoading || isImagesPrefetching}
             />
@@ -387,6 +596,7 @@ const UploadContainer = () => {
               images={processedImages}
               title="Processed Images"
               onDelete={handleDeleteImage}
+              onBatchDelete={handleBatchDelete}
               status="PROCESSED"
               isLoading={isLoading || isImagesPrefetching}
             />
@@ -398,12 +608,22 @@ const UploadContainer = () => {
               images={failedImages}
               title="Failed Images"
               onDelete={handleDeleteImage}
+              onBatchDelete={handleBatchDelete}
+              onBatchProcess={handleBatchProcess}
               onProcess={handleProcessImage}
               status="FAILED"
               isLoading={isLoading || isImagesPrefetching}
             />
           )}
 
+          {/* Loads the next page when scrolled into view */}
+          <div ref={loadMoreRef} />
+          {isLoadingMore && (
+            <div className="flex justify-center items-center p-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-500"></div>
+            </div>
+          )}
+
           {/* Empty state */}
           {!isLoading && images.length === 0 && uploads.length === 0 && (
             <div className="bg-white p-8 rounded-lg shadow-sm border border-gray-100 text-center">
@@ -438,8 +658,8 @@ const UploadContainer = () => {
       <Footer
         photoCount={processedCount}
         onContinue={handleContinue}
-        minRequiredPhotos={6}
-        isVisible={processedCount >= 6}
+        isSubmitting={isSubmitting}
+        isVisible={isDraft && processedCount >= minPhotos}
       />
 
       {/* Notification */}
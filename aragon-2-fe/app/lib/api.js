@@ -1,4 +1,5 @@
 import axios from "axios";
+import { getToken, clearSession } from "./auth";
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001/api";
 
@@ -9,9 +10,57 @@ const api = axios.create({
   },
 });
 
-export const uploadImages = async (files) => {
+// Send the session token with every request
+api.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Drop the session when the server no longer accepts it
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && getToken()) {
+      clearSession();
+      window.dispatchEvent(new Event("auth:logout"));
+    }
+    return Promise.reject(error);
+  }
+);
+
+export const register = async (email, password, name) => {
+  try {
+    const response = await api.post("/auth/register", {
+      email,
+      password,
+      name,
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error creating account" };
+  }
+};
+
+export const login = async (email, password) => {
+  try {
+    const response = await api.post("/auth/login", { email, password });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error logging in" };
+  }
+};
+
+export const uploadImages = async (files, photoSetId) => {
   const formData = new FormData();
 
+  // The set ID goes first so the server sees it before the files
+  if (photoSetId) {
+    formData.append("photoSetId", photoSetId);
+  }
+
   // Append each file to the formData with the name "images"
   files.forEach((file) => {
     formData.append("images", file);
@@ -29,13 +78,12 @@ export const uploadImages = async (files) => {
   }
 };
 
-export const getImages = async (status, page = 1, limit = 10) => {
+// Get a page of images. Filters and sorting are passed as query parameters
+// (status, code, photoSetId, search, sort, order, limit, cursor); the
+// response's pageInfo.nextCursor fetches the next page.
+export const getImages = async (params = {}) => {
   try {
-    let url = `/images?page=${page}&limit=${limit}`;
-    if (status) {
-      url += `&status=${status}`;
-    }
-    const response = await api.get(url);
+    const response = await api.get("/images", { params });
     return response.data;
   } catch (error) {
     throw error.response?.data || { message: "Error fetching images" };
@@ -69,4 +117,65 @@ export const processImage = async (id) => {
   }
 };
 
+// Most image IDs the API takes in one batch request
+const BATCH_SIZE = 100;
+
+// Run an action ("delete", "process" or "status") on several images, with
+// a result per image
+export const batchImages = async (action, ids) => {
+  const results = [];
+
+  try {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const response = await api.post("/images/batch", {
+        action,
+        ids: ids.slice(i, i + BATCH_SIZE),
+      });
+      results.push(...response.data.results);
+    }
+  } catch (error) {
+    throw error.response?.data || { message: `Error running ${action} batch` };
+  }
+
+  return results;
+};
+
+export const getPhotoSets = async (status) => {
+  try {
+    const response = await api.get("/photo-sets", {
+      params: status ? { status } : {},
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching photo sets" };
+  }
+};
+
+export const createPhotoSet = async (options = {}) => {
+  try {
+    const response = await api.post("/photo-sets", options);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error creating photo set" };
+  }
+};
+
+export const getPhotoSet = async (id) => {
+  try {
+    const response = await api.get(`/photo-sets/${id}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error fetching photo set" };
+  }
+};
+
+export const submitPhotoSet = async (id) => {
+  try {
+    const response = await api.post(`/photo-sets/${id}/submit`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: "Error submitting photo set" };
+  }
+};
+
 export default api;
@@ -0,0 +1,24 @@
+const TOKEN_KEY = "aragon_token";
+const USER_KEY = "aragon_user";
+
+// Session is kept in localStorage so it survives page reloads
+export const getToken = () => {
+  if (typeof window === "undefined") return null;
+  return localStorage.getItem(TOKEN_KEY);
+};
+
+export const getStoredUser = () => {
+  if (typeof window === "undefined") return null;
+  const user = localStorage.getItem(USER_KEY);
+  return user ? JSON.parse(user) : null;
+};
+
+export const saveSession = (token, user) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
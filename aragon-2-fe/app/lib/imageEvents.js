@@ -0,0 +1,113 @@
+import { getToken, clearSession } from "./auth";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001/api";
+
+// Wait before reconnecting unless the server asks for another delay
+const DEFAULT_RETRY_MS = 3000;
+
+/**
+ * Parse one Server-Sent Events message
+ * @param {string} block - The lines of the message
+ * @returns {{id: string|null, type: string, data: string, retry: number|null}} - The parsed fields
+ */
+const parseMessage = (block) => {
+  const message = { id: null, type: "message", data: "", retry: null };
+  const data = [];
+
+  for (const line of block.split("\n")) {
+    // Lines starting with a colon are comments (heartbeats)
+    if (!line || line.startsWith(":")) continue;
+
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value =
+      separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+
+    if (field === "id") message.id = value;
+    if (field === "event") message.type = value;
+    if (field === "data") data.push(value);
+    if (field === "retry") message.retry = parseInt(value, 10);
+  }
+
+  message.data = data.join("\n");
+  return message;
+};
+
+/**
+ * Follow status changes and validation results of the user's images. The
+ * stream reconnects on its own and asks for the events it missed. It uses
+ * fetch rather than EventSource so the token goes in a header.
+ * @param {Function} onEvent - Called with `{ id, type, data }` for each event
+ * @returns {Function} - Call to stop following
+ */
+export const subscribeToImageEvents = (onEvent) => {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let retryMs = DEFAULT_RETRY_MS;
+
+  const connect = async () => {
+    try {
+      const response = await fetch(`${API_URL}/images/events`, {
+        headers: {
+          Accept: "text/event-stream",
+          Authorization: `Bearer ${getToken()}`,
+          ...(lastEventId && { "Last-Event-ID": lastEventId }),
+        },
+        signal: controller.signal,
+      });
+
+      // Drop the session when the server no longer accepts it
+      if (response.status === 401) {
+        clearSession();
+        window.dispatchEvent(new Event("auth:logout"));
+        return;
+      }
+
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream failed with status ${response.status}`);
+      }
+
+      const reader = response.body
+        .pipeThrough(new TextDecoderStream())
+        .getReader();
+      let buffer = "";
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value.replace(/\r\n?/g, "\n");
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const message = parseMessage(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+
+          if (message.retry) retryMs = message.retry;
+          if (message.id) lastEventId = message.id;
+          if (!message.data) continue;
+
+          try {
+            onEvent({
+              id: message.id,
+              type: message.type,
+              data: JSON.parse(message.data),
+            });
+          } catch (error) {
+            console.error("Error handling image event:", error);
+          }
+        }
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error("Image event stream interrupted:", error);
+    }
+
+    if (!controller.signal.aborted) {
+      setTimeout(connect, retryMs);
+    }
+  };
+
+  connect();
+
+  return () => controller.abort();
+};
@@ -41,10 +41,13 @@ export const prefetchImage = (url) => {
 /**
  * Prefetches multiple images in parallel
  * @param {Array<Object>} images - Array of image objects
- * @param {string} urlKey - The key path to access the image URL (e.g., 'urls.processed')
+ * @param {string} urlKey - The key path to access the image URL (e.g., 'urls.variants.thumbnail.jpeg.url')
  * @returns {Promise<Array>} - A promise that resolves when all images are loaded
  */
-export const prefetchImages = (images, urlKey = "urls.processed") => {
+export const prefetchImages = (
+  images,
+  urlKey = "urls.variants.thumbnail.jpeg.url"
+) => {
   if (!images || !images.length) {
     return Promise.resolve([]);
   }
@@ -62,7 +65,11 @@ export const prefetchImages = (images, urlKey = "urls.processed") => {
 
       // Fallback to other URLs if specified one doesn't exist
       return (
-        value || image.urls?.processed || image.urls?.original || image.url
+        value ||
+        image.urls?.processed ||
+        image.urls?.converted ||
+        image.urls?.original ||
+        image.url
       );
     })
     .filter(Boolean);
@@ -78,7 +85,35 @@ export const prefetchImages = (images, urlKey = "urls.processed") => {
 export const getBestImageUrl = (image) => {
   if (!image) return null;
 
-  return image.urls?.processed || image.urls?.original || image.url || null;
+  // HEIC originals can't be shown by most browsers, so prefer the converted master
+  return (
+    image.urls?.variants?.thumbnail?.jpeg?.url ||
+    image.urls?.processed ||
+    image.urls?.converted ||
+    image.urls?.original ||
+    image.url ||
+    null
+  );
+};
+
+/**
+ * Builds a srcset for one format from the rendition URLs of an image
+ * @param {Object} image - The image object
+ * @param {string} format - The rendition format (e.g., 'webp')
+ * @param {string|null} crop - Use the renditions of this crop (e.g., 'square'), or the uncropped ones
+ * @returns {string|null} - The srcset, widest rendition last, or null if there are none
+ */
+export const getSrcSet = (image, format, crop = null) => {
+  const variants = image?.urls?.variants;
+  if (!variants) return null;
+
+  const candidates = Object.values(variants)
+    .map((formats) => formats[format])
+    .filter((variant) => variant && (variant.crop || null) === crop)
+    .sort((a, b) => a.width - b.width)
+    .map(({ url, width }) => `${url} ${width}w`);
+
+  return candidates.length ? candidates.join(", ") : null;
 };
 
 /**
@@ -102,6 +137,7 @@ export default {
   prefetchImage,
   prefetchImages,
   getBestImageUrl,
+  getSrcSet,
   revokeObjectUrl,
   clearImageCache,
 };
@@ -0,0 +1,69 @@
+import { Upload } from "tus-js-client";
+import { getToken } from "./auth";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001/api";
+
+// Wait times between automatic retries of a failed request
+const RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000];
+
+/**
+ * Upload a file with the tus protocol. Interrupted uploads are resumed:
+ * after a reconnect the upload picks up where it stopped, and selecting
+ * the same file again after a page reload continues the earlier upload.
+ * @param {File} file - The file to upload
+ * @param {object} options - Upload options
+ * @param {string} [options.photoSetId] - Photo set the image goes into
+ * @param {Function} [options.onProgress] - Called with the percentage uploaded
+ * @returns {Promise<void>} - Resolves once the server has the whole file
+ */
+export const uploadFileResumable = (file, { photoSetId, onProgress } = {}) =>
+  new Promise((resolve, reject) => {
+    const metadata = { filename: file.name, filetype: file.type };
+    if (photoSetId) {
+      metadata.photoSetId = photoSetId;
+    }
+
+    let upload;
+
+    // Resume once the browser is back online instead of giving up
+    const handleOnline = () => {
+      window.removeEventListener("online", handleOnline);
+      upload.start();
+    };
+
+    upload = new Upload(file, {
+      endpoint: `${API_URL}/uploads`,
+      retryDelays: RETRY_DELAYS,
+      metadata,
+      headers: { Authorization: `Bearer ${getToken()}` },
+      // The next upload of the same file must start over
+      removeFingerprintOnSuccess: true,
+      onProgress: (bytesUploaded, bytesTotal) => {
+        if (onProgress) {
+          onProgress(Math.round((bytesUploaded / bytesTotal) * 100));
+        }
+      },
+      onSuccess: () => resolve(),
+      onError: (error) => {
+        if (!navigator.onLine) {
+          window.addEventListener("online", handleOnline);
+          return;
+        }
+
+        // Surface the server's message, e.g. a rejected file type
+        const body = error.originalResponse?.getBody();
+        reject({ message: body?.trim() || error.message || "Upload failed" });
+      },
+    });
+
+    upload
+      .findPreviousUploads()
+      .then((previousUploads) => {
+        if (previousUploads.length > 0) {
+          upload.resumeFromPreviousUpload(previousUploads[0]);
+        }
+        upload.start();
+      })
+      // Without the stored uploads, e.g. when storage is blocked, start over
+      .catch(() => upload.start());
+  });
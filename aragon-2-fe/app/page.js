@@ -1,9 +1,9 @@
-import UploadContainer from "./components/UploadContainer";
+import AuthGate from "./components/AuthGate";
 
 export default function Home() {
   return (
     <main className="min-h-screen bg-gray-50">
-      <UploadContainer />
+      <AuthGate />
     </main>
   );
 }
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "JobStatus" AS ENUM ('QUEUED', 'PROCESSING', 'COMPLETED', 'DEAD');
+
+-- CreateTable
+CREATE TABLE "ProcessingJob" (
+    "id" TEXT NOT NULL,
+    "imageId" TEXT NOT NULL,
+    "status" "JobStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lockedBy" TEXT,
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProcessingJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProcessingJob_status_runAt_idx" ON "ProcessingJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "ProcessingJob_imageId_idx" ON "ProcessingJob"("imageId");
+
+-- AddForeignKey
+ALTER TABLE "ProcessingJob" ADD CONSTRAINT "ProcessingJob_imageId_fkey" FOREIGN KEY ("imageId") REFERENCES "Image"("id") ON DELETE CASCADE ON UPDATE CASCADE;
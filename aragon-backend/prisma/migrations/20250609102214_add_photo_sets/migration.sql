@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "PhotoSetStatus" AS ENUM ('DRAFT', 'SUBMITTED', 'LOCKED');
+
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "photoSetId" TEXT;
+
+-- CreateTable
+CREATE TABLE "PhotoSet" (
+    "id" TEXT NOT NULL,
+    "name" TEXT,
+    "ownerId" TEXT NOT NULL,
+    "minPhotos" INTEGER NOT NULL DEFAULT 6,
+    "maxPhotos" INTEGER NOT NULL DEFAULT 10,
+    "status" "PhotoSetStatus" NOT NULL DEFAULT 'DRAFT',
+    "submittedAt" TIMESTAMP(3),
+    "lockedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PhotoSet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PhotoSet_ownerId_idx" ON "PhotoSet"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "Image_photoSetId_idx" ON "Image"("photoSetId");
+
+-- AddForeignKey
+ALTER TABLE "PhotoSet" ADD CONSTRAINT "PhotoSet_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Image" ADD CONSTRAINT "Image_photoSetId_fkey" FOREIGN KEY ("photoSetId") REFERENCES "PhotoSet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "ImageStatus" ADD VALUE 'UPLOADING';
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ImageEvent" (
+    "id" SERIAL NOT NULL,
+    "imageId" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImageEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImageEvent_ownerId_id_idx" ON "ImageEvent"("ownerId", "id");
+
+-- CreateIndex
+CREATE INDEX "ImageEvent_createdAt_idx" ON "ImageEvent"("createdAt");
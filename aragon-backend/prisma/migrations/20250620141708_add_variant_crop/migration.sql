@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ImageVariant" ADD COLUMN     "crop" TEXT;
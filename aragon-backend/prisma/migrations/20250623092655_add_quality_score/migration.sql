@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "quality" JSONB,
+ADD COLUMN     "qualityScore" DOUBLE PRECISION;
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "ReviewDecision" AS ENUM ('ACCEPTED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "ImageReview" (
+    "id" TEXT NOT NULL,
+    "imageId" TEXT NOT NULL,
+    "reviewerId" TEXT,
+    "decision" "ReviewDecision" NOT NULL,
+    "note" TEXT,
+    "previousStatus" "ImageStatus" NOT NULL,
+    "validationErrors" TEXT[],
+    "validations" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImageReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImageReview_imageId_createdAt_idx" ON "ImageReview"("imageId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ImageReview_createdAt_idx" ON "ImageReview"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ImageReview" ADD CONSTRAINT "ImageReview_imageId_fkey" FOREIGN KEY ("imageId") REFERENCES "Image"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImageReview" ADD CONSTRAINT "ImageReview_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
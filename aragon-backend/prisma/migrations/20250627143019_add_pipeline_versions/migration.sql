@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "pipelineConfigHash" TEXT,
+ADD COLUMN     "pipelineVersion" INTEGER;
+
+-- AlterTable
+ALTER TABLE "ProcessingJob" ADD COLUMN     "batchId" TEXT,
+ADD COLUMN     "priority" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "reprocess" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "ImageHistory" (
+    "id" TEXT NOT NULL,
+    "imageId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "status" "ImageStatus" NOT NULL,
+    "pipelineVersion" INTEGER,
+    "pipelineConfigHash" TEXT,
+    "qualityScore" DOUBLE PRECISION,
+    "quality" JSONB,
+    "metaData" JSONB,
+    "evaluatedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImageHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReprocessBatch" (
+    "id" TEXT NOT NULL,
+    "filters" JSONB NOT NULL,
+    "imageCount" INTEGER NOT NULL,
+    "requestedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReprocessBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Image_pipelineVersion_idx" ON "Image"("pipelineVersion");
+
+-- CreateIndex
+CREATE INDEX "ProcessingJob_batchId_idx" ON "ProcessingJob"("batchId");
+
+-- CreateIndex
+CREATE INDEX "ImageHistory_imageId_createdAt_idx" ON "ImageHistory"("imageId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ProcessingJob" ADD CONSTRAINT "ProcessingJob_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "ReprocessBatch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReprocessBatch" ADD CONSTRAINT "ReprocessBatch_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImageHistory" ADD CONSTRAINT "ImageHistory_imageId_fkey" FOREIGN KEY ("imageId") REFERENCES "Image"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "Image_ownerId_createdAt_idx" ON "Image"("ownerId", "createdAt");
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "ProcessingJob" ADD COLUMN     "debug" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "DebugCapture" (
+    "id" TEXT NOT NULL,
+    "imageId" TEXT NOT NULL,
+    "jobId" TEXT,
+    "requestId" TEXT,
+    "status" "ImageStatus",
+    "error" TEXT,
+    "steps" JSONB NOT NULL,
+    "artifacts" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DebugCapture_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DebugCapture_imageId_createdAt_idx" ON "DebugCapture"("imageId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "DebugCapture_createdAt_idx" ON "DebugCapture"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "DebugCapture" ADD CONSTRAINT "DebugCapture_imageId_fkey" FOREIGN KEY ("imageId") REFERENCES "Image"("id") ON DELETE CASCADE ON UPDATE CASCADE;
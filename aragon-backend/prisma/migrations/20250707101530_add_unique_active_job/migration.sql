@@ -0,0 +1,17 @@
+-- Keep the oldest active job of images that have several
+UPDATE "ProcessingJob" AS "job"
+SET "status" = 'DEAD',
+    "lockedAt" = NULL,
+    "lockedBy" = NULL,
+    "lastError" = 'Duplicate of another active job for the image',
+    "updatedAt" = CURRENT_TIMESTAMP
+WHERE "job"."status" IN ('QUEUED', 'PROCESSING')
+  AND EXISTS (
+    SELECT 1 FROM "ProcessingJob" AS "other"
+    WHERE "other"."imageId" = "job"."imageId"
+      AND "other"."status" IN ('QUEUED', 'PROCESSING')
+      AND ("other"."createdAt", "other"."id") < ("job"."createdAt", "job"."id")
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProcessingJob_imageId_active_key" ON "ProcessingJob"("imageId") WHERE "status" IN ('QUEUED', 'PROCESSING');
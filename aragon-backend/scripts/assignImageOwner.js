@@ -0,0 +1,43 @@
+/**
+ * Give the images uploaded before accounts existed an owner.
+ *
+ * Usage: npm run images:assign-owner -- <email>
+ *
+ * Images without an owner can't be listed, fetched or processed by anyone
+ * through the API. This assigns all of them to the registered user with
+ * the given email. Run it once after the add_users migration; later
+ * uploads always have an owner.
+ */
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+const main = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error("Usage: npm run images:assign-owner -- <email>");
+    process.exit(1);
+  }
+
+  const owner = await prisma.user.findUnique({
+    where: { email: email.trim().toLowerCase() },
+  });
+  if (!owner) {
+    console.error(`No user with the email ${email}; register them first`);
+    process.exit(1);
+  }
+
+  const { count } = await prisma.image.updateMany({
+    where: { ownerId: null },
+    data: { ownerId: owner.id },
+  });
+
+  console.log(`Assigned ${count} images to ${owner.email}`);
+};
+
+main()
+  .catch((error) => {
+    console.error("Assigning the images failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
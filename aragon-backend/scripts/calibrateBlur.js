@@ -0,0 +1,123 @@
+/**
+ * Calibrate the blur thresholds against labeled photos.
+ *
+ * Usage: npm run calibrate:blur -- <sample directory>
+ *
+ * The directory holds a `sharp/` and a `blurry/` folder of photos. Each
+ * photo is measured the way the `blur` validator measures it, and the
+ * thresholds that best separate the two folders are printed as a `blur`
+ * step for the file at VALIDATION_CONFIG_PATH. Photos with a face calibrate
+ * `minFaceSharpness`; photos without one calibrate `minFrameSharpness`.
+ */
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { detectFaces } = require("../src/services/image/faceDetection");
+const {
+  DEFAULT_THRESHOLDS,
+  detectBlurryImage,
+} = require("../src/services/image/blurDetection");
+const { applyOrientation } = require("../src/services/image/exifMetadata");
+const { findBestThreshold } = require("../src/services/image/thresholdTuning");
+
+const LABELS = ["sharp", "blurry"];
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".heic", ".heif"];
+
+/**
+ * Measure the face and frame sharpness of every photo in a folder
+ * @param {string} folder - Folder of photos
+ * @param {string} label - "sharp" or "blurry"
+ * @returns {Promise<object[]>} - `{ file, label, measuredOn, score }` per photo
+ */
+const measureFolder = async (folder, label) => {
+  const files = fs
+    .readdirSync(folder)
+    .filter((file) =>
+      IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    );
+  const samples = [];
+
+  for (const file of files) {
+    try {
+      const original = fs.readFileSync(path.join(folder, file));
+      const imageBuffer = await applyOrientation(
+        original,
+        await sharp(original).metadata()
+      );
+      const { faces } = await detectFaces(imageBuffer);
+      const { details } = await detectBlurryImage(imageBuffer, {
+        faceBox: faces[0]?.box,
+      });
+      const measured = details[details.measuredOn];
+
+      samples.push({
+        file,
+        label,
+        measuredOn: details.measuredOn,
+        score: measured.score,
+      });
+      console.log(
+        `${label}/${file}: ${details.measuredOn} ${measured.score} (frame ${details.frame.score})`
+      );
+    } catch (error) {
+      console.warn(`Skipping ${label}/${file}: ${error.message}`);
+    }
+  }
+
+  return samples;
+};
+
+const main = async () => {
+  const sampleDir = process.argv[2];
+  if (!sampleDir) {
+    console.error("Usage: npm run calibrate:blur -- <sample directory>");
+    process.exit(1);
+  }
+
+  const samples = [];
+  for (const label of LABELS) {
+    const folder = path.resolve(sampleDir, label);
+    if (!fs.existsSync(folder)) {
+      console.error(`Missing folder: ${folder}`);
+      process.exit(1);
+    }
+    samples.push(...(await measureFolder(folder, label)));
+  }
+
+  const options = {};
+  for (const [measuredOn, option] of [
+    ["face", "minFaceSharpness"],
+    ["frame", "minFrameSharpness"],
+  ]) {
+    const group = samples.filter((sample) => sample.measuredOn === measuredOn);
+    const best = findBestThreshold(
+      group.map((sample) => ({
+        value: sample.score,
+        shouldPass: sample.label === "sharp",
+      }))
+    );
+
+    if (!best) {
+      console.log(
+        `\n${option}: needs sharp and blurry photos measured on the ${measuredOn}; keeping ${DEFAULT_THRESHOLDS[option]}`
+      );
+      options[option] = DEFAULT_THRESHOLDS[option];
+      continue;
+    }
+
+    console.log(
+      `\n${option}: ${best.threshold} (balanced accuracy ${(
+        best.balancedAccuracy * 100
+      ).toFixed(1)}% over ${group.length} photos)`
+    );
+    options[option] = best.threshold;
+  }
+
+  console.log("\nBlur step for VALIDATION_CONFIG_PATH:");
+  console.log(JSON.stringify({ name: "blur", options }, null, 2));
+};
+
+main().catch((error) => {
+  console.error("Calibration failed:", error);
+  process.exit(1);
+});
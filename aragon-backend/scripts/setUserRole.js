@@ -0,0 +1,41 @@
+/**
+ * Give a registered user a role, e.g. to make the first admin.
+ *
+ * Usage: npm run users:set-role -- <email> <USER|ADMIN>
+ *
+ * Accounts are created through POST /api/auth/register with the USER
+ * role; only this script or an admin changing the database directly can
+ * promote one. The user's tokens carry no role, so the change applies to
+ * their next request.
+ */
+const { PrismaClient } = require("@prisma/client");
+
+const ROLES = ["USER", "ADMIN"];
+
+const prisma = new PrismaClient();
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error("Usage: npm run users:set-role -- <email> <USER|ADMIN>");
+    process.exit(1);
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: { email: email.trim().toLowerCase() },
+    data: { role },
+  });
+  if (count === 0) {
+    console.error(`No user with the email ${email}`);
+    process.exit(1);
+  }
+
+  console.log(`${email} now has the ${role} role`);
+};
+
+main()
+  .catch((error) => {
+    console.error("Changing the role failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
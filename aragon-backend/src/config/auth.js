@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+const { logger } = require("../utils/logger");
+const { toInt } = require("../utils/env");
+
+let jwtSecret = process.env.JWT_SECRET;
+
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+
+  // Tokens signed with a random secret stop working when the server restarts
+  logger.warn("JWT_SECRET not set, using a random secret for this process");
+  jwtSecret = crypto.randomBytes(32).toString("hex");
+}
+
+// Authentication configuration
+const authConfig = {
+  jwtSecret,
+  // Lifetime of issued access tokens (jsonwebtoken format, e.g. "7d" or "12h")
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || "7d",
+  // bcrypt cost factor for password hashes
+  passwordSaltRounds: toInt(process.env.PASSWORD_SALT_ROUNDS, 10),
+  minPasswordLength: 8,
+};
+
+module.exports = authConfig;
@@ -0,0 +1,9 @@
+const { toInt } = require("../utils/env");
+
+// Batch image operation configuration
+const batchConfig = {
+  // Most image IDs one batch request may name
+  maxImages: toInt(process.env.BATCH_MAX_IMAGES, 100),
+};
+
+module.exports = batchConfig;
@@ -0,0 +1,17 @@
+const { toInt } = require("../utils/env");
+
+// Debug capture configuration. Captures are only made for jobs that ask for
+// one, and are removed again after the retention period.
+const debugConfig = {
+  // Honor requests for debug captures
+  enabled: process.env.DEBUG_CAPTURE_ENABLED !== "false",
+  // Captures older than this are deleted with their files
+  retentionMs: toInt(
+    process.env.DEBUG_CAPTURE_RETENTION_MS,
+    7 * 24 * 60 * 60 * 1000
+  ),
+  // Captures kept per image; older ones are deleted when a new one is saved
+  maxPerImage: Math.max(toInt(process.env.DEBUG_CAPTURE_MAX_PER_IMAGE, 3), 1),
+};
+
+module.exports = debugConfig;
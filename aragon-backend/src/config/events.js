@@ -0,0 +1,18 @@
+const { toInt } = require("../utils/env");
+
+// Image event stream configuration
+const eventConfig = {
+  // How often each instance looks for new events while clients are listening
+  pollIntervalMs: toInt(process.env.EVENTS_POLL_INTERVAL_MS, 1000),
+  // Comment lines sent on idle streams so proxies don't close them
+  heartbeatIntervalMs: toInt(process.env.EVENTS_HEARTBEAT_INTERVAL_MS, 15000),
+  // Events older than this are deleted and can no longer be replayed
+  retentionMs: toInt(process.env.EVENTS_RETENTION_MS, 24 * 60 * 60 * 1000),
+  // Events this recent are read again on every poll, so one that commits
+  // after an event with a higher ID still reaches open streams
+  commitLagMs: toInt(process.env.EVENTS_COMMIT_LAG_MS, 5000),
+  // Most events replayed to a reconnecting client
+  replayLimit: 500,
+};
+
+module.exports = eventConfig;
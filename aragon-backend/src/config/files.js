@@ -0,0 +1,20 @@
+const crypto = require("crypto");
+const authConfig = require("./auth");
+const { toInt } = require("../utils/env");
+
+// File URL configuration
+const fileConfig = {
+  // Key for the HMAC signatures of local-storage file URLs. Derived from the
+  // JWT secret when not set, so a random JWT secret also invalidates file URLs
+  // on restart.
+  urlSecret:
+    process.env.FILE_URL_SECRET ||
+    crypto
+      .createHmac("sha256", authConfig.jwtSecret)
+      .update("file-urls")
+      .digest("hex"),
+  // Lifetime of signed file URLs (local and S3), in seconds
+  urlExpiresIn: toInt(process.env.FILE_URL_EXPIRES_IN, 60 * 60),
+};
+
+module.exports = fileConfig;
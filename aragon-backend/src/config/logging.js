@@ -0,0 +1,19 @@
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const level = (process.env.LOG_LEVEL || "info").toLowerCase();
+
+if (!LOG_LEVELS.includes(level)) {
+  throw new Error(
+    `LOG_LEVEL must be one of: ${LOG_LEVELS.join(", ")} (got "${level}")`
+  );
+}
+
+// Logging configuration
+const loggingConfig = {
+  // Lines below this level are dropped
+  level,
+  // Clients may send their own request ID in this header; it is echoed back
+  requestIdHeader: "X-Request-Id",
+};
+
+module.exports = { LOG_LEVELS, ...loggingConfig };
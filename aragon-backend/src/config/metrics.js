@@ -0,0 +1,11 @@
+// Prometheus metrics configuration
+const metricsConfig = {
+  // Serve GET /metrics
+  enabled: process.env.METRICS_ENABLED !== "false",
+  // When set, scrapes must send it as a bearer token
+  token: process.env.METRICS_TOKEN || null,
+  // Also report process metrics such as CPU, memory and event loop lag
+  collectDefault: process.env.METRICS_COLLECT_DEFAULT !== "false",
+};
+
+module.exports = metricsConfig;
@@ -0,0 +1,14 @@
+const { toInt } = require("../utils/env");
+
+// Photo set configuration
+const photoSetConfig = {
+  // Accepted photos a new set needs before it can be submitted
+  defaultMinPhotos: toInt(process.env.PHOTO_SET_MIN_PHOTOS, 6),
+  // Accepted photos a new set may hold at most
+  defaultMaxPhotos: toInt(process.env.PHOTO_SET_MAX_PHOTOS, 10),
+  // Upper bound for maxPhotos on any set, also the number of files
+  // accepted in a single upload request
+  maxPhotosLimit: toInt(process.env.PHOTO_SET_MAX_PHOTOS_LIMIT, 50),
+};
+
+module.exports = photoSetConfig;
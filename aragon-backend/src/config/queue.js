@@ -0,0 +1,33 @@
+const os = require("os");
+const { v4: uuidv4 } = require("uuid");
+const { toInt } = require("../utils/env");
+
+// Processing job queue configuration
+const queueConfig = {
+  // Run the worker loop inside the API process
+  workerEnabled: process.env.QUEUE_WORKER_ENABLED !== "false",
+  // Number of jobs processed in parallel by this process
+  concurrency: Math.max(toInt(process.env.QUEUE_CONCURRENCY, 2), 1),
+  // Attempts before a job is moved to the dead-letter state
+  maxAttempts: Math.max(toInt(process.env.QUEUE_MAX_ATTEMPTS, 5), 1),
+  // How often to look for new jobs when idle
+  pollIntervalMs: toInt(process.env.QUEUE_POLL_INTERVAL_MS, 1000),
+  // Retry delay is retryBaseDelayMs * 2^(attempt - 1), capped at retryMaxDelayMs
+  retryBaseDelayMs: toInt(process.env.QUEUE_RETRY_BASE_DELAY_MS, 5000),
+  retryMaxDelayMs: toInt(process.env.QUEUE_RETRY_MAX_DELAY_MS, 10 * 60 * 1000),
+  // A PROCESSING job whose lock hasn't been refreshed for this long belongs
+  // to a dead worker and is picked up again
+  staleJobTimeoutMs: toInt(
+    process.env.QUEUE_STALE_JOB_TIMEOUT_MS,
+    5 * 60 * 1000
+  ),
+  // Most images one bulk re-process request may queue
+  reprocessMaxImages: Math.max(
+    toInt(process.env.QUEUE_REPROCESS_MAX_IMAGES, 10000),
+    1
+  ),
+  // Identifies this process in job locks
+  workerId: `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`,
+};
+
+module.exports = queueConfig;
@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+
+// Sizes written for every processed image. Each rendition fits inside a
+// `width` x `width` box and is never enlarged. Renditions with a `crop` are
+// cut to that crop first and are `width` wide.
+const DEFAULT_RENDITIONS = [
+  { name: "thumbnail", width: 200 },
+  { name: "medium", width: 800 },
+  { name: "full", width: 2048 },
+  { name: "square", width: 800, crop: "square" },
+  { name: "portrait", width: 800, crop: "portrait" },
+];
+
+// Crops framed around the subject's face, by width / height
+const DEFAULT_CROPS = {
+  square: { aspectRatio: 1 },
+  portrait: { aspectRatio: 4 / 5 },
+};
+
+// Head-room rules for crops: the face takes up `faceHeight` of the crop's
+// height ([min, max]) and the eyes sit `eyeLine` down from the top
+const DEFAULT_FRAMING = {
+  faceHeight: [0.3, 0.5],
+  eyeLine: 1 / 3,
+};
+
+// Encodings written for every rendition, with their quality settings.
+// "jpeg" is always written so every browser has something to show.
+const DEFAULT_FORMATS = {
+  jpeg: { quality: 80 },
+  webp: { quality: 75 },
+};
+
+// Formats sharp can encode renditions in
+const SUPPORTED_FORMATS = ["jpeg", "webp", "avif"];
+
+// The JPEG of this rendition is also stored as the image's processedPath
+const DEFAULT_PRIMARY_RENDITION = "medium";
+
+/**
+ * Load the rendition config, from the JSON file at RENDITIONS_CONFIG_PATH when
+ * set (`{ "renditions": [...], "formats": {...}, "primaryRendition": "...",
+ * "crops": {...}, "framing": {...} }`)
+ * @returns {{renditions: object[], formats: object, primaryRendition: string, crops: object, framing: object}} - The rendition config
+ */
+const loadRenditionConfig = () => {
+  const configPath = process.env.RENDITIONS_CONFIG_PATH;
+  const config = configPath
+    ? JSON.parse(
+        fs.readFileSync(path.resolve(process.cwd(), configPath), "utf8")
+      )
+    : {};
+
+  const renditions = config.renditions || DEFAULT_RENDITIONS;
+  const formats = {
+    jpeg: DEFAULT_FORMATS.jpeg,
+    ...(config.formats || DEFAULT_FORMATS),
+  };
+  const primaryRendition = config.primaryRendition || DEFAULT_PRIMARY_RENDITION;
+  const crops = config.crops || DEFAULT_CROPS;
+  const framing = { ...DEFAULT_FRAMING, ...config.framing };
+
+  for (const [name, crop] of Object.entries(crops)) {
+    if (!(crop.aspectRatio > 0)) {
+      throw new Error(`Crop "${name}" needs a positive aspectRatio`);
+    }
+  }
+
+  const [minFaceHeight, maxFaceHeight] = framing.faceHeight;
+  if (
+    !(minFaceHeight > 0 && minFaceHeight <= maxFaceHeight && maxFaceHeight <= 1)
+  ) {
+    throw new Error("framing.faceHeight must be [min, max] between 0 and 1");
+  }
+  if (!(framing.eyeLine > 0 && framing.eyeLine < 1)) {
+    throw new Error("framing.eyeLine must be between 0 and 1");
+  }
+
+  for (const rendition of renditions) {
+    if (!rendition.name || !Number.isInteger(rendition.width)) {
+      throw new Error("Every rendition needs a name and an integer width");
+    }
+    if (rendition.crop && !crops[rendition.crop]) {
+      throw new Error(
+        `Rendition "${rendition.name}" uses unknown crop "${rendition.crop}"`
+      );
+    }
+  }
+
+  for (const format of Object.keys(formats)) {
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`Unsupported rendition format "${format}"`);
+    }
+  }
+
+  const primary = renditions.find(
+    (rendition) => rendition.name === primaryRendition
+  );
+  if (!primary || primary.crop) {
+    throw new Error(
+      `Primary rendition "${primaryRendition}" must be configured without a crop`
+    );
+  }
+
+  return { renditions, formats, primaryRendition, crops, framing };
+};
+
+module.exports = loadRenditionConfig();
@@ -0,0 +1,30 @@
+// Storage driver to use: "local", "s3" or "memory". Without STORAGE_TYPE,
+// S3 is used when AWS keys are set.
+const driver =
+  process.env.STORAGE_TYPE || (process.env.AWS_ACCESS_KEY_ID ? "s3" : "local");
+
+// Storage configuration, with the options of each driver
+const storageConfig = {
+  driver,
+  local: {
+    // Keys such as "uploads/original/abc.jpg" resolve against this directory
+    root: process.cwd(),
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET_NAME,
+    region: process.env.AWS_REGION,
+    // Without keys the SDK's default credential chain is used (e.g. IAM roles)
+    ...(process.env.AWS_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    }),
+    // S3-compatible stores such as MinIO
+    ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  },
+  memory: {},
+};
+
+module.exports = storageConfig;
@@ -0,0 +1,19 @@
+const { toInt } = require("../utils/env");
+
+// Direct upload configuration
+const uploadConfig = {
+  // Largest original accepted
+  maxFileSize: 10 * 1024 * 1024,
+  // Extensions accepted for originals
+  allowedExtensions: ["jpg", "jpeg", "png", "gif", "heic", "heif"],
+  // Lifetime of presigned upload URLs, in seconds
+  uploadUrlExpiresIn: toInt(process.env.UPLOAD_URL_EXPIRES_IN, 15 * 60),
+  // Images whose upload was never finalized are removed after being idle
+  // this long
+  abandonedUploadTimeoutMs: toInt(
+    process.env.ABANDONED_UPLOAD_TIMEOUT_MS,
+    24 * 60 * 60 * 1000
+  ),
+};
+
+module.exports = uploadConfig;
@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+const { toInt } = require("../utils/env");
+
+// Checks run on every image, in order. Each step names a registered
+// validator and may set `enabled`, `severity` ("reject" or "warn") and
+// validator-specific `options`.
+const DEFAULT_PIPELINE = [
+  { name: "size", severity: "reject" },
+  { name: "faces", severity: "reject" },
+  { name: "framing", severity: "reject" },
+  { name: "blur", severity: "reject" },
+  { name: "duplicate", severity: "reject" },
+];
+
+// Version recorded on every image the pipeline evaluates. Bump it when
+// validator code changes in a way that should be re-run on old images;
+// option changes are also caught by the config hash.
+const DEFAULT_VERSION = 1;
+
+/**
+ * Load the validation pipeline and its version, from the JSON file at
+ * VALIDATION_CONFIG_PATH when set (`{ "version": 2, "pipeline": [...] }`)
+ * @returns {{version: number, pipeline: object[]}} - The version and pipeline steps
+ */
+const loadConfig = () => {
+  const envVersion = toInt(process.env.PIPELINE_VERSION, DEFAULT_VERSION);
+  const configPath = process.env.VALIDATION_CONFIG_PATH;
+  if (!configPath) {
+    return { version: envVersion, pipeline: DEFAULT_PIPELINE };
+  }
+
+  const config = JSON.parse(
+    fs.readFileSync(path.resolve(process.cwd(), configPath), "utf8")
+  );
+  if (!Array.isArray(config.pipeline)) {
+    throw new Error(`${configPath} must contain a "pipeline" array`);
+  }
+  if (
+    config.version !== undefined &&
+    !(Number.isInteger(config.version) && config.version > 0)
+  ) {
+    throw new Error(`"version" in ${configPath} must be a positive integer`);
+  }
+
+  return { version: config.version ?? envVersion, pipeline: config.pipeline };
+};
+
+const { version, pipeline } = loadConfig();
+
+module.exports = {
+  DEFAULT_PIPELINE,
+  version,
+  pipeline,
+};
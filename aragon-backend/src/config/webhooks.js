@@ -0,0 +1,28 @@
+const { toInt } = require("../utils/env");
+
+// Outbound webhook configuration
+const webhookConfig = {
+  // How often the worker looks for due deliveries
+  pollIntervalMs: toInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 1000),
+  // Deliveries sent in parallel per poll
+  batchSize: Math.max(toInt(process.env.WEBHOOK_BATCH_SIZE, 10), 1),
+  // Attempts before a delivery is given up on
+  maxAttempts: Math.max(toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 8), 1),
+  // Retry delay is retryBaseDelayMs * 2^(attempt - 1), capped at retryMaxDelayMs
+  retryBaseDelayMs: toInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 30 * 1000),
+  retryMaxDelayMs: toInt(
+    process.env.WEBHOOK_RETRY_MAX_DELAY_MS,
+    6 * 60 * 60 * 1000
+  ),
+  // Receivers must answer within this time
+  timeoutMs: toInt(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+  // Finished deliveries older than this are removed from the log
+  retentionMs: toInt(
+    process.env.WEBHOOK_RETENTION_MS,
+    30 * 24 * 60 * 60 * 1000
+  ),
+  // Longest part of a response body kept in the delivery log
+  maxResponseBodyLength: 1000,
+};
+
+module.exports = webhookConfig;
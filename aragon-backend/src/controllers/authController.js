@@ -0,0 +1,118 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const authConfig = require("../config/auth");
+const {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  toPublicUser,
+} = require("../services/authService");
+
+const prisma = new PrismaClient();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const EMAIL_TAKEN = "An account with this email already exists";
+
+const authController = {
+  // Create an account and log it in
+  register: async (req, res, next) => {
+    try {
+      const { email, password, name } = req.body || {};
+      const normalizedEmail = String(email || "")
+        .trim()
+        .toLowerCase();
+
+      if (!EMAIL_PATTERN.test(normalizedEmail)) {
+        throw new ApiError(400, "A valid email address is required");
+      }
+
+      if (
+        typeof password !== "string" ||
+        password.length < authConfig.minPasswordLength
+      ) {
+        throw new ApiError(
+          400,
+          `Password must be at least ${authConfig.minPasswordLength} characters`
+        );
+      }
+
+      const existingUser = await prisma.user.findUnique({
+        where: { email: normalizedEmail },
+      });
+      if (existingUser) {
+        throw new ApiError(409, EMAIL_TAKEN);
+      }
+
+      let user;
+      try {
+        user = await prisma.user.create({
+          data: {
+            email: normalizedEmail,
+            name: name ? String(name).trim() : null,
+            passwordHash: await hashPassword(password),
+          },
+        });
+      } catch (error) {
+        // Another request registered the email since the check
+        if (error.code === "P2002") {
+          throw new ApiError(409, EMAIL_TAKEN);
+        }
+        throw error;
+      }
+
+      return res.status(201).json({
+        success: true,
+        token: signToken(user),
+        user: toPublicUser(user),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Exchange credentials for an access token
+  login: async (req, res, next) => {
+    try {
+      const { email, password } = req.body || {};
+
+      const user = await prisma.user.findUnique({
+        where: {
+          email: String(email || "")
+            .trim()
+            .toLowerCase(),
+        },
+      });
+
+      if (
+        !user ||
+        typeof password !== "string" ||
+        !(await verifyPassword(password, user.passwordHash))
+      ) {
+        throw new ApiError(401, "Invalid email or password");
+      }
+
+      return res.status(200).json({
+        success: true,
+        token: signToken(user),
+        user: toPublicUser(user),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the logged-in user
+  getCurrentUser: async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        user: req.user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = authController;
@@ -0,0 +1,44 @@
+const path = require("path");
+const { ApiError } = require("../utils/errorHandler");
+const { verifyFileSignature } = require("../services/fileUrlService");
+const storageConfig = require("../config/storage");
+
+const UPLOADS_DIR = path.join(storageConfig.local.root, "uploads");
+
+const fileController = {
+  // Serve a local-storage file through a signed URL
+  serveFile: (req, res, next) => {
+    const relativePath = req.params[0];
+    const { expires, signature } = req.query;
+
+    // Same answer for bad and expired signatures, like S3
+    if (!verifyFileSignature(`uploads/${relativePath}`, expires, signature)) {
+      return next(new ApiError(403, "Invalid or expired file URL"));
+    }
+
+    // Cache for as long as the URL stays valid
+    const maxAge = Math.max(0, Number(expires) - Math.floor(Date.now() / 1000));
+    res.set({
+      "Cache-Control": `private, max-age=${maxAge}`,
+      // The frontend runs on another origin
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+
+    // send handles Range, ETag, Last-Modified and conditional requests
+    res.sendFile(
+      relativePath,
+      { root: UPLOADS_DIR, dotfiles: "deny", cacheControl: false },
+      (error) => {
+        if (!error || res.headersSent) return;
+
+        next(
+          error.status === 404
+            ? new ApiError(404, "File not found")
+            : new ApiError(error.status || 500, error.message)
+        );
+      }
+    );
+  },
+};
+
+module.exports = fileController;
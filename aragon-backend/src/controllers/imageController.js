@@ -1,10 +1,65 @@
 const { PrismaClient } = require("@prisma/client");
 const imageService = require("../services/imageService");
+const { enqueueImageProcessing } = require("../services/queue");
+const photoSetService = require("../services/photoSetService");
+const imageBatchService = require("../services/imageBatchService");
+const imageQueryService = require("../services/imageQueryService");
 const path = require("path");
+const { v4: uuidv4 } = require("uuid");
 const { ApiError } = require("../utils/errorHandler");
-const { useLocalStorage } = require("../config/s3");
+const { storage } = require("../services/storage");
+const uploadConfig = require("../config/uploads");
+const photoSetConfig = require("../config/photoSets");
+const { verifyUploadToken } = require("../services/authService");
+const { subscribeToImageEvents } = require("../services/imageEvents");
+const { dispatchWebhookEvent } = require("../services/webhookService");
+const eventConfig = require("../config/events");
+const { createLogger } = require("../utils/logger");
+const { uploadsTotal, uploadBytesTotal } = require("../utils/metrics");
 
 const prisma = new PrismaClient();
+const logger = createLogger({ module: "images" });
+
+/**
+ * Load an image and make sure it belongs to the caller
+ * @param {string} id - The image ID
+ * @param {string} userId - ID of the calling user
+ * @returns {Promise<object>} - The image
+ */
+const findOwnedImage = async (id, userId) => {
+  const image = await prisma.image.findUnique({
+    where: { id },
+  });
+
+  if (!image) {
+    throw new ApiError(404, "Image not found");
+  }
+
+  if (image.ownerId !== userId) {
+    throw new ApiError(403, "You do not have access to this image");
+  }
+
+  return image;
+};
+
+/**
+ * Processing job options of a request. `?debug=true` asks for a debug
+ * capture of the run; captures are only for admins, so other users'
+ * requests for one are ignored.
+ * @param {object} req - The request
+ * @returns {{debug: boolean}} - Options for enqueueImageProcessing
+ */
+const getJobOptions = (req) => ({
+  debug: req.user?.role === "ADMIN" && req.query.debug === "true",
+});
+
+/**
+ * MIME type to upload a file with when the client doesn't name one
+ * @param {string} extension - The file extension
+ * @returns {string} - The MIME type
+ */
+const getContentType = (extension) =>
+  extension === "jpg" ? "image/jpeg" : `image/${extension}`;
 
 const imageController = {
   // Upload multiple images
@@ -14,31 +69,40 @@ const imageController = {
         throw new ApiError(400, "No files uploaded");
       }
 
+      // Storage paths the upload middleware wrote the files to
+      const filePaths = req.files.map((file) => file.key);
+
+      // Uploads may go into one of the caller's draft photo sets
+      const { photoSetId } = req.body;
+      if (photoSetId) {
+        try {
+          const photoSet = await photoSetService.findOwnedSet(
+            photoSetId,
+            req.user.id
+          );
+          await photoSetService.assertCanAddImages(photoSet, req.files.length);
+        } catch (error) {
+          await imageService.deleteImageFiles(...filePaths);
+          throw error;
+        }
+      }
+
       const uploadedImages = [];
-      const processingPromises = [];
 
       // Process each file
-      for (const file of req.files) {
+      for (const [index, file] of req.files.entries()) {
         const fileExtension = path.extname(file.originalname).substring(1);
 
-        // Get file path depending on storage type
-        let filePath;
-        if (useLocalStorage) {
-          // For local storage, we need to create a relative path from the filename
-          filePath = `uploads/original/${path.basename(file.path)}`;
-        } else {
-          // For S3, we use the key directly
-          filePath = file.key;
-        }
-
         // Create image record in database
         const image = await prisma.image.create({
           data: {
             originalName: file.originalname,
             originalSize: file.size,
-            originalPath: filePath,
+            originalPath: filePaths[index],
             fileType: fileExtension,
             status: "PENDING",
+            ownerId: req.user.id,
+            photoSetId: photoSetId || null,
           },
         });
 
@@ -48,24 +112,20 @@ const imageController = {
           originalName: image.originalName,
         });
 
-        // Collect processing promises
-        processingPromises.push(
-          new Promise((resolve) => {
-            setTimeout(() => {
-              imageService
-                .processImage(image.id)
-                .catch((err) => {
-                  console.error(`Error processing image ${image.id}:`, err);
-                })
-                .finally(() => resolve());
-            }, 0);
-          })
-        );
+        // Queue the image for background processing
+        const job = await enqueueImageProcessing(image.id, getJobOptions(req));
+        await dispatchWebhookEvent("image.created", image);
+        logger.info("Image uploaded", {
+          imageId: image.id,
+          jobId: job.id,
+          size: image.originalSize,
+          fileType: image.fileType,
+        });
+        const labels = { fileType: image.fileType.toLowerCase() };
+        uploadsTotal.inc(labels);
+        uploadBytesTotal.inc(labels, image.originalSize);
       }
 
-      // Start processing all images (non-blocking)
-      Promise.all(processingPromises);
-
       return res.status(201).json({
         success: true,
         message: `${uploadedImages.length} images uploaded successfully`,
@@ -76,53 +136,257 @@ const imageController = {
     }
   },
 
-  // Get all images
-  getAllImages: async (req, res, next) => {
+  // Create images and return URLs to upload their originals to directly
+  createUploadUrls: async (req, res, next) => {
     try {
-      const { status, page = 1, limit = 10 } = req.query;
-      const skip = (page - 1) * limit;
+      const { files, photoSetId } = req.body || {};
+
+      if (!Array.isArray(files) || files.length === 0) {
+        throw new ApiError(400, "files must be a non-empty array");
+      }
+
+      if (files.length > photoSetConfig.maxPhotosLimit) {
+        throw new ApiError(
+          400,
+          `At most ${photoSetConfig.maxPhotosLimit} files can be uploaded at once`
+        );
+      }
+
+      for (const file of files) {
+        const extension = path
+          .extname(String(file.name || ""))
+          .substring(1)
+          .toLowerCase();
+
+        if (!uploadConfig.allowedExtensions.includes(extension)) {
+          throw new ApiError(
+            400,
+            `${file.name}: only JPG, PNG, GIF, HEIC and HEIF files are allowed`
+          );
+        }
+
+        if (file.size > uploadConfig.maxFileSize) {
+          throw new ApiError(400, `${file.name}: file exceeds the 10MB limit`);
+        }
+      }
 
-      const whereClause = status ? { status } : {};
+      if (photoSetId) {
+        const photoSet = await photoSetService.findOwnedSet(
+          photoSetId,
+          req.user.id
+        );
+        await photoSetService.assertCanAddImages(photoSet, files.length);
+      }
+
+      const uploads = [];
 
-      const [images, total] = await Promise.all([
-        prisma.image.findMany({
-          where: whereClause,
-          skip,
-          take: parseInt(limit),
-          orderBy: { createdAt: "desc" },
-        }),
-        prisma.image.count({ where: whereClause }),
-      ]);
+      for (const file of files) {
+        const extension = path.extname(file.name).substring(1).toLowerCase();
+        const originalPath = `uploads/original/${uuidv4()}.${extension}`;
+
+        // The image waits in UPLOADING until the client finalizes it
+        const image = await prisma.image.create({
+          data: {
+            originalName: file.name,
+            originalSize: Number(file.size) || 0,
+            originalPath,
+            fileType: extension,
+            status: "UPLOADING",
+            ownerId: req.user.id,
+            photoSetId: photoSetId || null,
+          },
+        });
+
+        const upload = await imageService.getUploadUrl(
+          image.id,
+          originalPath,
+          file.contentType || getContentType(extension),
+          uploadConfig.uploadUrlExpiresIn
+        );
+
+        uploads.push({
+          imageId: image.id,
+          originalName: image.originalName,
+          upload,
+        });
+        logger.info("Direct upload started", { imageId: image.id });
+      }
+
+      return res.status(201).json({
+        success: true,
+        expiresIn: uploadConfig.uploadUrlExpiresIn,
+        uploads,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Receive a direct upload when the storage driver can't take it itself
+  receiveUpload: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      if (storage.directUploads) {
+        throw new ApiError(404, "Uploads go directly to storage");
+      }
+
+      let imageId;
+      try {
+        imageId = verifyUploadToken(String(req.query.token || ""));
+      } catch (error) {
+        throw new ApiError(401, "Invalid or expired upload token");
+      }
+
+      if (imageId !== id) {
+        throw new ApiError(401, "Invalid or expired upload token");
+      }
+
+      const image = await prisma.image.findUnique({
+        where: { id },
+      });
+
+      if (!image) {
+        throw new ApiError(404, "Image not found");
+      }
+
+      if (image.status !== "UPLOADING") {
+        throw new ApiError(409, "Image upload has already been finalized");
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new ApiError(400, "No file uploaded");
+      }
+
+      await imageService.saveImageToStorage(
+        req.body,
+        path.posix.basename(image.originalPath),
+        path.posix.dirname(image.originalPath)
+      );
+
+      return res.status(200).json({
+        success: true,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Check a direct upload and queue it for processing
+  finalizeUpload: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const image = await findOwnedImage(id, req.user.id);
+
+      // Check the file and queue processing (picked up by the worker)
+      const job = await imageService.finalizeUpload(image, getJobOptions(req));
+
+      return res.status(202).json({
+        success: true,
+        message: "Upload finalized, image processing queued",
+        imageId: id,
+        jobId: job.id,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the caller's images, filtered, sorted and a page at a time
+  getAllImages: async (req, res, next) => {
+    try {
+      const { images, pageInfo } = await imageQueryService.listImages(
+        req.user.id,
+        req.query
+      );
 
       // Add signed URLs to each image
       const imagesWithUrls = await Promise.all(
-        images.map(async (image) => {
-          const urls = {};
-          urls.original = await imageService.getImageUrl(image.id, "original");
-
-          if (image.processedPath) {
-            urls.processed = await imageService.getImageUrl(
-              image.id,
-              "processed"
-            );
-          }
-
-          return {
-            ...image,
-            urls,
-          };
-        })
+        images.map(imageService.withUrls)
       );
 
       return res.status(200).json({
         success: true,
         images: imagesWithUrls,
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / limit),
-        },
+        pageInfo,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Stream status changes and validation results of the caller's images
+  streamEvents: async (req, res, next) => {
+    try {
+      // Reconnecting clients send the ID of the last event they saw
+      const lastEventId = parseInt(
+        req.get("Last-Event-ID") || req.query.lastEventId,
+        10
+      );
+
+      const send = (event) => {
+        res.write(
+          `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+            ...event.data,
+            createdAt: event.createdAt,
+          })}\n\n`
+        );
+      };
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Keep nginx from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 3000\n\n");
+
+      // The client may leave before the subscription is set up
+      let stop = () => {};
+      let closed = false;
+      res.on("close", () => {
+        closed = true;
+        stop();
+      });
+
+      const unsubscribe = await subscribeToImageEvents(
+        req.user.id,
+        Number.isNaN(lastEventId) ? null : lastEventId,
+        send
+      );
+      if (closed) {
+        return unsubscribe();
+      }
+
+      const heartbeat = setInterval(
+        () => res.write(": heartbeat\n\n"),
+        eventConfig.heartbeatIntervalMs
+      );
+      stop = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+    } catch (error) {
+      // Headers are gone once the stream has started
+      if (res.headersSent) {
+        logger.error("Error starting image event stream", { error });
+        return res.end();
+      }
+      next(error);
+    }
+  },
+
+  // List registered validators and the active validation pipeline
+  getValidators: async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        validators: imageService.listValidators(),
+        pipeline: imageService.getPipeline(),
+        pipelineVersion: imageService.getPipelineVersion(),
       });
     } catch (error) {
       next(error);
@@ -134,28 +398,51 @@ const imageController = {
     try {
       const { id } = req.params;
 
-      const image = await prisma.image.findUnique({
-        where: { id },
+      const image = await findOwnedImage(id, req.user.id);
+      const variants = await prisma.imageVariant.findMany({
+        where: { imageId: id },
       });
 
-      if (!image) {
-        throw new ApiError(404, "Image not found");
-      }
-
       // Generate signed URLs for access
-      const urls = {};
-      urls.original = await imageService.getImageUrl(id, "original");
+      return res.status(200).json({
+        success: true,
+        image: await imageService.withUrls({ ...image, variants }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Adjust one of the face-framed crops of an image
+  updateCrop: async (req, res, next) => {
+    try {
+      const { id, name } = req.params;
 
-      if (image.processedPath) {
-        urls.processed = await imageService.getImageUrl(id, "processed");
+      const image = await findOwnedImage(id, req.user.id);
+
+      // Submitted sets are final
+      if (image.photoSetId) {
+        const photoSet = await photoSetService.findOwnedSet(
+          image.photoSetId,
+          req.user.id
+        );
+        if (photoSet.status !== "DRAFT") {
+          throw new ApiError(
+            409,
+            "Images in a submitted photo set can't be changed"
+          );
+        }
       }
 
+      const updatedImage = await imageService.updateImageCrop(
+        id,
+        name,
+        req.body
+      );
+
       return res.status(200).json({
         success: true,
-        image: {
-          ...image,
-          urls,
-        },
+        image: await imageService.withUrls(updatedImage),
       });
     } catch (error) {
       next(error);
@@ -167,13 +454,21 @@ const imageController = {
     try {
       const { id } = req.params;
 
-      // Check if image exists
-      const image = await prisma.image.findUnique({
-        where: { id },
-      });
+      // Check if image exists and belongs to the caller
+      const image = await findOwnedImage(id, req.user.id);
 
-      if (!image) {
-        throw new ApiError(404, "Image not found");
+      // Submitted sets are final
+      if (image.photoSetId) {
+        const photoSet = await photoSetService.findOwnedSet(
+          image.photoSetId,
+          req.user.id
+        );
+        if (photoSet.status !== "DRAFT") {
+          throw new ApiError(
+            409,
+            "Images in a submitted photo set can't be deleted"
+          );
+        }
       }
 
       // Delete image
@@ -188,31 +483,43 @@ const imageController = {
     }
   },
 
-  // Process image immediately (manual trigger)
-  processImage: async (req, res, next) => {
+  // Delete, process or look up several images in one request
+  batchImages: async (req, res, next) => {
     try {
-      const { id } = req.params;
+      const batch = await imageBatchService.runBatch(req.user.id, req.body);
 
-      // Check if image exists
-      const image = await prisma.image.findUnique({
-        where: { id },
+      return res.status(200).json({
+        success: true,
+        ...batch,
       });
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      if (!image) {
-        throw new ApiError(404, "Image not found");
-      }
-      console.log(image.status, "image.status");
-      if (image.status === "PROCESSED") {
-        throw new ApiError(400, "Image already processed");
-      }
+  // Process image immediately (manual trigger)
+  processImage: async (req, res, next) => {
+    try {
+      const { id } = req.params;
 
-      // Start processing (non-blocking)
-      await imageService.processImage(id);
+      // Check if image exists and belongs to the caller
+      const image = await findOwnedImage(id, req.user.id);
+      const photoSet =
+        image.photoSetId &&
+        (await photoSetService.findOwnedSet(image.photoSetId, req.user.id));
+
+      // Queue processing (picked up by the worker); failed images are
+      // evaluated again
+      const job = await imageService.queueImageProcessing(
+        { ...image, photoSet },
+        getJobOptions(req)
+      );
 
       return res.status(202).json({
         success: true,
-        message: "Image processing started",
+        message: "Image processing queued",
         imageId: id,
+        jobId: job.id,
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,17 @@
+const { register } = require("../utils/metrics");
+
+const metricsController = {
+  // Serve every metric in the Prometheus text format
+  getMetrics: async (req, res, next) => {
+    try {
+      const metrics = await register.metrics();
+
+      res.set("Content-Type", register.contentType);
+      return res.status(200).send(metrics);
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = metricsController;
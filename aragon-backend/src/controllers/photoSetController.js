@@ -0,0 +1,187 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const photoSetConfig = require("../config/photoSets");
+const photoSetService = require("../services/photoSetService");
+
+const prisma = new PrismaClient();
+
+const photoSetController = {
+  // Create a draft photo set
+  createPhotoSet: async (req, res, next) => {
+    try {
+      const {
+        name,
+        minPhotos = photoSetConfig.defaultMinPhotos,
+        maxPhotos = photoSetConfig.defaultMaxPhotos,
+      } = req.body || {};
+
+      if (!Number.isInteger(minPhotos) || minPhotos < 1) {
+        throw new ApiError(400, "minPhotos must be a positive integer");
+      }
+
+      if (
+        !Number.isInteger(maxPhotos) ||
+        maxPhotos < minPhotos ||
+        maxPhotos > photoSetConfig.maxPhotosLimit
+      ) {
+        throw new ApiError(
+          400,
+          `maxPhotos must be an integer between minPhotos and ${photoSetConfig.maxPhotosLimit}`
+        );
+      }
+
+      const photoSet = await prisma.photoSet.create({
+        data: {
+          name: name ? String(name).trim() : null,
+          minPhotos,
+          maxPhotos,
+          ownerId: req.user.id,
+        },
+      });
+
+      return res.status(201).json({
+        success: true,
+        photoSet: await photoSetService.withSummary(photoSet),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the caller's photo sets
+  getPhotoSets: async (req, res, next) => {
+    try {
+      const { status } = req.query;
+
+      // Repeated parameters arrive as arrays and are refused too
+      if (
+        status !== undefined &&
+        !photoSetService.PHOTO_SET_STATUSES.includes(status)
+      ) {
+        throw new ApiError(
+          400,
+          `status must be one of: ${photoSetService.PHOTO_SET_STATUSES.join(
+            ", "
+          )}`
+        );
+      }
+
+      const photoSets = await prisma.photoSet.findMany({
+        where: {
+          ownerId: req.user.id,
+          ...(status && { status }),
+        },
+        orderBy: { createdAt: "desc" },
+      });
+
+      return res.status(200).json({
+        success: true,
+        photoSets: await Promise.all(
+          photoSets.map((photoSet) => photoSetService.withSummary(photoSet))
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a single photo set by ID
+  getPhotoSetById: async (req, res, next) => {
+    try {
+      const photoSet = await photoSetService.findOwnedSet(
+        req.params.id,
+        req.user.id
+      );
+
+      return res.status(200).json({
+        success: true,
+        photoSet: await photoSetService.withSummary(photoSet),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Submit a photo set once it meets its requirements
+  submitPhotoSet: async (req, res, next) => {
+    try {
+      const photoSet = await photoSetService.findOwnedSet(
+        req.params.id,
+        req.user.id
+      );
+
+      if (photoSet.status !== "DRAFT") {
+        throw new ApiError(409, "Photo set has already been submitted");
+      }
+
+      const counts = await photoSetService.getImageCounts(photoSet.id);
+      const requirements = photoSetService.evaluateRequirements(
+        photoSet,
+        counts
+      );
+      const failed = requirements.filter((requirement) => !requirement.passed);
+
+      if (failed.length > 0) {
+        return res.status(422).json({
+          success: false,
+          message: "Photo set does not meet the submission requirements",
+          counts,
+          requirements,
+        });
+      }
+
+      // Guard against a concurrent submit
+      const { count } = await prisma.photoSet.updateMany({
+        where: { id: photoSet.id, status: "DRAFT" },
+        data: { status: "SUBMITTED", submittedAt: new Date() },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "Photo set has already been submitted");
+      }
+
+      const submittedSet = await prisma.photoSet.findUnique({
+        where: { id: photoSet.id },
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Photo set submitted",
+        photoSet: await photoSetService.withSummary(submittedSet),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Lock a submitted photo set against further changes
+  lockPhotoSet: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const { count } = await prisma.photoSet.updateMany({
+        where: { id, status: "SUBMITTED" },
+        data: { status: "LOCKED", lockedAt: new Date() },
+      });
+
+      if (count === 0) {
+        const photoSet = await prisma.photoSet.findUnique({ where: { id } });
+        if (!photoSet) {
+          throw new ApiError(404, "Photo set not found");
+        }
+        throw new ApiError(409, "Only submitted photo sets can be locked");
+      }
+
+      const photoSet = await prisma.photoSet.findUnique({ where: { id } });
+
+      return res.status(200).json({
+        success: true,
+        message: "Photo set locked",
+        photoSet: await photoSetService.withSummary(photoSet),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = photoSetController;
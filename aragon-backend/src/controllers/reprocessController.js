@@ -0,0 +1,61 @@
+const { PrismaClient } = require("@prisma/client");
+const reprocessService = require("../services/reprocessService");
+const { parseLimit } = require("../utils/pagination");
+
+const prisma = new PrismaClient();
+
+const reprocessController = {
+  // Queue matching images to be evaluated again with the current pipeline
+  startReprocess: async (req, res, next) => {
+    try {
+      const { dryRun, ...filters } = req.body || {};
+
+      const { batch, imageCount } = await reprocessService.startReprocess(
+        filters,
+        req.user.id,
+        { dryRun: dryRun === true || dryRun === "true" }
+      );
+
+      return res.status(batch ? 202 : 200).json({
+        success: true,
+        imageCount,
+        batch,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // List recent re-process batches
+  getBatches: async (req, res, next) => {
+    try {
+      const batches = await prisma.reprocessBatch.findMany({
+        orderBy: { createdAt: "desc" },
+        take: parseLimit(req.query.limit, 20),
+      });
+
+      return res.status(200).json({
+        success: true,
+        batches,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a re-process batch with the state of its jobs
+  getBatchById: async (req, res, next) => {
+    try {
+      const batch = await reprocessService.getReprocessBatch(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        batch,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = reprocessController;
@@ -0,0 +1,230 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const { parseLimit, parsePage } = require("../utils/pagination");
+const imageService = require("../services/imageService");
+const reviewService = require("../services/reviewService");
+
+const prisma = new PrismaClient();
+
+// Who made a review, without their credentials
+const reviewerFields = { select: { id: true, email: true, name: true } };
+
+const reviewController = {
+  // List images awaiting review, optionally by validation error code
+  getQueue: async (req, res, next) => {
+    try {
+      const { code, status = "FAILED", reviewed = "false" } = req.query;
+      const page = parsePage(req.query.page);
+      const limit = parseLimit(req.query.limit, 20);
+
+      if (!reviewService.REVIEWABLE_STATUSES.includes(status)) {
+        throw new ApiError(
+          400,
+          `status must be one of: ${reviewService.REVIEWABLE_STATUSES.join(
+            ", "
+          )}`
+        );
+      }
+
+      const whereClause = {
+        status,
+        // Warnings let processed images with a doubtful check be reviewed too
+        ...(code && {
+          OR: [
+            {
+              metaData: { path: ["validationErrors"], array_contains: [code] },
+            },
+            {
+              metaData: {
+                path: ["validationWarnings"],
+                array_contains: [code],
+              },
+            },
+          ],
+        }),
+        ...(reviewed === "false" && { reviews: { none: {} } }),
+        ...(reviewed === "true" && { reviews: { some: {} } }),
+      };
+
+      const [images, total] = await Promise.all([
+        prisma.image.findMany({
+          where: whereClause,
+          skip: (page - 1) * limit,
+          take: limit,
+          // Oldest first, so nobody waits forever
+          orderBy: { createdAt: "asc" },
+          include: { variants: true },
+        }),
+        prisma.image.count({ where: whereClause }),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        images: await Promise.all(images.map(imageService.withUrls)),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get an image with its stored detection details, reviews and earlier results
+  getImage: async (req, res, next) => {
+    try {
+      const image = await prisma.image.findUnique({
+        where: { id: req.params.id },
+        include: {
+          variants: true,
+          reviews: {
+            orderBy: { createdAt: "desc" },
+            include: { reviewer: reviewerFields },
+          },
+          history: { orderBy: { createdAt: "desc" } },
+        },
+      });
+
+      if (!image) {
+        throw new ApiError(404, "Image not found");
+      }
+
+      const { reviews, history, ...rest } = image;
+
+      return res.status(200).json({
+        success: true,
+        image: await imageService.withUrls(rest),
+        validations: image.metaData?.validations || {},
+        reviews,
+        history,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Accept or reject an image regardless of its validation result
+  overrideImage: async (req, res, next) => {
+    try {
+      const { image, review, job } = await reviewService.overrideImage(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      return res.status(200).json({
+        success: true,
+        image,
+        review,
+        ...(job && { jobId: job.id }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the audit trail of review decisions
+  getReviews: async (req, res, next) => {
+    try {
+      const { imageId, reviewerId, decision } = req.query;
+      const page = parsePage(req.query.page);
+      const limit = parseLimit(req.query.limit, 50);
+
+      if (decision && !reviewService.REVIEW_DECISIONS.includes(decision)) {
+        throw new ApiError(
+          400,
+          `decision must be one of: ${reviewService.REVIEW_DECISIONS.join(
+            ", "
+          )}`
+        );
+      }
+
+      const whereClause = {
+        ...(imageId && { imageId }),
+        ...(reviewerId && { reviewerId }),
+        ...(decision && { decision }),
+      };
+
+      const [reviews, total] = await Promise.all([
+        prisma.imageReview.findMany({
+          where: whereClause,
+          skip: (page - 1) * limit,
+          take: limit,
+          orderBy: { createdAt: "desc" },
+          include: { reviewer: reviewerFields },
+        }),
+        prisma.imageReview.count({ where: whereClause }),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        reviews,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Evaluate an image again, saving the detectors' overlays and stats
+  requestDebugCapture: async (req, res, next) => {
+    try {
+      const job = await imageService.requestDebugCapture(req.params.id);
+
+      return res.status(202).json({
+        success: true,
+        message: "Debug capture queued",
+        imageId: req.params.id,
+        jobId: job.id,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the debug captures of an image with URLs for their overlays
+  getDebugCaptures: async (req, res, next) => {
+    try {
+      const captures = await imageService.getDebugCaptures(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        captures,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Compare the checks with review decisions and suggest thresholds
+  getTuningReport: async (req, res, next) => {
+    try {
+      let since;
+      if (req.query.since) {
+        since = new Date(req.query.since);
+        if (Number.isNaN(since.getTime())) {
+          throw new ApiError(400, "since must be a date");
+        }
+      }
+
+      const report = await reviewService.getTuningReport({ since });
+
+      return res.status(200).json({
+        success: true,
+        report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = reviewController;
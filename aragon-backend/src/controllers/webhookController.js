@@ -0,0 +1,185 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const { parseLimit } = require("../utils/pagination");
+const webhookService = require("../services/webhookService");
+
+const prisma = new PrismaClient();
+
+const DELIVERY_STATUSES = ["PENDING", "SUCCEEDED", "FAILED"];
+
+// The secret is only shown when a subscription is created
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+/**
+ * Load a subscription or fail with 404
+ * @param {string} id - The subscription ID
+ * @returns {Promise<object>} - The subscription
+ */
+const findSubscription = async (id) => {
+  const subscription = await prisma.webhookSubscription.findUnique({
+    where: { id },
+  });
+
+  if (!subscription) {
+    throw new ApiError(404, "Webhook subscription not found");
+  }
+
+  return subscription;
+};
+
+const webhookController = {
+  // Create a subscription
+  createSubscription: async (req, res, next) => {
+    try {
+      const data = webhookService.validateSubscription(req.body);
+
+      const subscription = await prisma.webhookSubscription.create({
+        data: { ...data, secret: webhookService.generateSecret() },
+      });
+
+      return res.status(201).json({
+        success: true,
+        subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // List subscriptions
+  getSubscriptions: async (req, res, next) => {
+    try {
+      const subscriptions = await prisma.webhookSubscription.findMany({
+        orderBy: { createdAt: "desc" },
+      });
+
+      return res.status(200).json({
+        success: true,
+        subscriptions: subscriptions.map(withoutSecret),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a subscription
+  getSubscriptionById: async (req, res, next) => {
+    try {
+      const subscription = await findSubscription(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        subscription: withoutSecret(subscription),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change the URL, events, description or active flag of a subscription
+  updateSubscription: async (req, res, next) => {
+    try {
+      const data = webhookService.validateSubscription(req.body, true);
+      await findSubscription(req.params.id);
+
+      const subscription = await prisma.webhookSubscription.update({
+        where: { id: req.params.id },
+        data,
+      });
+
+      return res.status(200).json({
+        success: true,
+        subscription: withoutSecret(subscription),
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Delete a subscription and its delivery log
+  deleteSubscription: async (req, res, next) => {
+    try {
+      await findSubscription(req.params.id);
+      await prisma.webhookSubscription.delete({
+        where: { id: req.params.id },
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Webhook subscription deleted successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the delivery log of a subscription, newest first
+  getDeliveries: async (req, res, next) => {
+    try {
+      const { status, event } = req.query;
+      const limit = parseLimit(req.query.limit, 50, 200);
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        throw new ApiError(
+          400,
+          `status must be one of: ${DELIVERY_STATUSES.join(", ")}`
+        );
+      }
+
+      await findSubscription(req.params.id);
+      const deliveries = await prisma.webhookDelivery.findMany({
+        where: {
+          subscriptionId: req.params.id,
+          ...(status && { status }),
+          ...(event && { event }),
+        },
+        orderBy: { createdAt: "desc" },
+        take: limit,
+      });
+
+      return res.status(200).json({
+        success: true,
+        deliveries,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a single delivery
+  getDeliveryById: async (req, res, next) => {
+    try {
+      const delivery = await prisma.webhookDelivery.findUnique({
+        where: { id: req.params.deliveryId },
+      });
+
+      if (!delivery) {
+        throw new ApiError(404, "Webhook delivery not found");
+      }
+
+      return res.status(200).json({
+        success: true,
+        delivery,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Send a logged delivery again
+  redeliver: async (req, res, next) => {
+    try {
+      const delivery = await webhookService.redeliver(req.params.deliveryId);
+
+      return res.status(202).json({
+        success: true,
+        message: "Webhook delivery queued",
+        delivery,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = webhookController;
@@ -2,10 +2,29 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
-const morgan = require("morgan");
 const { PrismaClient } = require("@prisma/client");
 const imageRoutes = require("./routes/imageRoutes");
+const authRoutes = require("./routes/authRoutes");
+const photoSetRoutes = require("./routes/photoSetRoutes");
+const uploadRoutes = require("./routes/uploadRoutes");
+const fileRoutes = require("./routes/fileRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const reviewRoutes = require("./routes/reviewRoutes");
+const reprocessRoutes = require("./routes/reprocessRoutes");
+const metricsRoutes = require("./routes/metricsRoutes");
+const storageConfig = require("./config/storage");
+const {
+  assertActiveJobIndex,
+  startWorker,
+  stopWorker,
+} = require("./services/queue");
+const queueConfig = require("./config/queue");
+const metricsConfig = require("./config/metrics");
 const { notFoundHandler, errorHandler } = require("./utils/errorHandler");
+const { requestContext } = require("./middleware/requestContext");
+const { createLogger } = require("./utils/logger");
+
+const logger = createLogger({ module: "server" });
 
 // Initialize Prisma client
 const prisma = new PrismaClient();
@@ -15,34 +34,66 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+app.use(requestContext);
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
 app.use(helmet());
 app.use(express.json());
-app.use(morgan("dev"));
 
 // Routes
+app.use("/api/auth", authRoutes);
 app.use("/api/images", imageRoutes);
+app.use("/api/photo-sets", photoSetRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/review", reviewRoutes);
+app.use("/api/reprocess", reprocessRoutes);
+
+// Local storage serves files itself; S3 URLs point at the bucket
+if (storageConfig.driver === "local") {
+  app.use("/uploads", fileRoutes);
+}
 
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" });
 });
 
+// Prometheus scrape endpoint
+if (metricsConfig.enabled) {
+  app.use("/metrics", metricsRoutes);
+}
+
 // 404 handler
 app.use(notFoundHandler);
 
 // Global error handler
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Start server, once the database has what the queue relies on
+assertActiveJobIndex()
+  .then(() => {
+    app.listen(PORT, () => {
+      logger.info("Server started", { port: Number(PORT) });
+
+      // Start the background processing worker
+      if (queueConfig.workerEnabled) {
+        startWorker().catch((error) => {
+          logger.error("Failed to start processing worker", { error });
+        });
+      }
+    });
+  })
+  .catch((error) => {
+    logger.error("Failed to start server", { error });
+    process.exit(1);
+  });
 
 // Handle graceful shutdown
 process.on("SIGINT", async () => {
+  // Let running jobs finish so they aren't left in PROCESSING
+  await stopWorker();
   await prisma.$disconnect();
-  console.log("Database connection closed");
+  logger.info("Database connection closed");
   process.exit(0);
 });
 
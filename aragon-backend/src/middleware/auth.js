@@ -0,0 +1,59 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const { verifyToken } = require("../services/authService");
+const { addLogContext } = require("../utils/logger");
+
+const prisma = new PrismaClient();
+
+/**
+ * Middleware that requires a valid bearer token and loads the caller into req.user
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      throw new ApiError(401, "Authentication required");
+    }
+
+    let payload;
+    try {
+      payload = verifyToken(token);
+    } catch (error) {
+      throw new ApiError(401, "Invalid or expired token");
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.sub },
+      select: { id: true, email: true, name: true, role: true },
+    });
+
+    if (!user) {
+      throw new ApiError(401, "User no longer exists");
+    }
+
+    req.user = user;
+    addLogContext({ userId: user.id });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware that only lets users with one of the given roles through.
+ * Must run after requireAuth.
+ * @param {...string} roles - Allowed roles
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ApiError(403, "Insufficient permissions"));
+    }
+    next();
+  };
+
+module.exports = {
+  requireAuth,
+  requireRole,
+};
@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const { ApiError } = require("../utils/errorHandler");
+const metricsConfig = require("../config/metrics");
+const { httpRequestDuration } = require("../utils/metrics");
+
+/**
+ * Middleware that times the requests of a router by route pattern, such as
+ * "/api/images/:id", so images don't each get their own series. Requests
+ * no route matched are counted as "unmatched".
+ */
+const httpMetrics = (req, res, next) => {
+  // Express moves baseUrl on once the router hands the request back
+  const { baseUrl } = req;
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+
+  res.on("finish", () => {
+    endTimer({
+      route: req.route ? `${baseUrl}${req.route.path}` : "unmatched",
+      status: res.statusCode,
+    });
+  });
+
+  next();
+};
+
+/**
+ * SHA-256 of a token, so tokens of any length compare in constant time
+ * @param {string} token - The token
+ * @returns {Buffer} - The digest
+ */
+const digest = (token) => crypto.createHash("sha256").update(token).digest();
+
+/**
+ * Middleware that requires METRICS_TOKEN as a bearer token, when one is set
+ */
+const requireMetricsToken = (req, res, next) => {
+  if (!metricsConfig.token) return next();
+
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (
+    scheme !== "Bearer" ||
+    !token ||
+    !crypto.timingSafeEqual(digest(token), digest(metricsConfig.token))
+  ) {
+    return next(new ApiError(401, "Invalid metrics token"));
+  }
+  next();
+};
+
+module.exports = {
+  httpMetrics,
+  requireMetricsToken,
+};
@@ -0,0 +1,51 @@
+const { AsyncResource } = require("async_hooks");
+const { v4: uuidv4 } = require("uuid");
+const loggingConfig = require("../config/logging");
+const { createLogger, withLogContext } = require("../utils/logger");
+
+const logger = createLogger({ module: "http" });
+
+// Request IDs from clients are kept when they are safe to log
+const CLIENT_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware that gives every request an ID, returns it in the
+ * X-Request-Id header and adds it to every log line written while the
+ * request is handled, including by the processing job it queues. Logs
+ * each request when its response is sent.
+ */
+const requestContext = (req, res, next) => {
+  const clientRequestId = req.get(loggingConfig.requestIdHeader);
+  const requestId =
+    clientRequestId && CLIENT_REQUEST_ID.test(clientRequestId)
+      ? clientRequestId
+      : uuidv4();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.set(loggingConfig.requestIdHeader, requestId);
+
+  withLogContext({ requestId }, () => {
+    // Body parsers such as multer go on in stream events, which would run
+    // outside the request's context otherwise
+    req.emit = AsyncResource.bind(req.emit, "RequestEmit", req);
+
+    res.on(
+      "finish",
+      AsyncResource.bind(() => {
+        logger.info("Request completed", {
+          method: req.method,
+          // Without the query string, which can hold upload tokens and
+          // file URL signatures
+          path: req.originalUrl.split("?")[0],
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt,
+        });
+      })
+    );
+
+    next();
+  });
+};
+
+module.exports = { requestContext };
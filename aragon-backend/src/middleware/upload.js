@@ -0,0 +1,61 @@
+const path = require("path");
+const { Transform } = require("stream");
+const multer = require("multer");
+const { v4: uuidv4 } = require("uuid");
+const { storage } = require("../services/storage");
+const uploadConfig = require("../config/uploads");
+
+// Directory originals are stored in
+const ORIGINAL_DIR = "uploads/original";
+
+/**
+ * Multer storage engine that writes files through the storage driver. Each
+ * file gets its storage path as `file.key`.
+ */
+const driverStorage = {
+  _handleFile: (req, file, cb) => {
+    const key = `${ORIGINAL_DIR}/${uuidv4()}${path.extname(file.originalname)}`;
+
+    // Count the bytes on their way to the driver
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+    file.stream.on("error", (error) => counter.destroy(error));
+
+    storage
+      .put(key, file.stream.pipe(counter), { contentType: file.mimetype })
+      .then(() => cb(null, { key, size }))
+      .catch(cb);
+  },
+
+  _removeFile: (req, file, cb) => {
+    storage
+      .delete(file.key)
+      .then(() => cb(null))
+      .catch(cb);
+  },
+};
+
+// Multipart image uploads
+const upload = multer({
+  storage: driverStorage,
+  limits: {
+    fileSize: uploadConfig.maxFileSize,
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept images only
+    const extension = path.extname(file.originalname).substring(1);
+    if (!uploadConfig.allowedExtensions.includes(extension.toLowerCase())) {
+      return cb(new Error("Only image files are allowed!"), false);
+    }
+    cb(null, true);
+  },
+});
+
+module.exports = {
+  upload,
+};
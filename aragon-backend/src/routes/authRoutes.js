@@ -0,0 +1,28 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const { requireAuth } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create an account and get an access token
+ * @access  Public
+ */
+router.post("/register", authController.register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in and get an access token
+ * @access  Public
+ */
+router.post("/login", authController.login);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the logged-in user
+ * @access  Private
+ */
+router.get("/me", requireAuth, authController.getCurrentUser);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const fileController = require("../controllers/fileController");
+
+const router = express.Router();
+
+/**
+ * @route   GET /uploads/*
+ * @desc    Download a local-storage file (signed, expiring URLs from the image endpoints)
+ * @access  Public (signed URL)
+ */
+router.get("/*", fileController.serveFile);
+
+module.exports = router;
@@ -1,41 +1,117 @@
 const express = require("express");
 const imageController = require("../controllers/imageController");
-const { upload } = require("../config/s3");
+const { upload } = require("../middleware/upload");
+const { requireAuth } = require("../middleware/auth");
+const photoSetConfig = require("../config/photoSets");
+const uploadConfig = require("../config/uploads");
+const { addLogContext } = require("../utils/logger");
+const { httpMetrics } = require("../middleware/metrics");
 
 const router = express.Router();
 
+// Time every image request by route
+router.use(httpMetrics);
+
+// Log lines of requests for one image carry its ID
+router.param("id", (req, res, next, id) => {
+  addLogContext({ imageId: id });
+  next();
+});
+
+/**
+ * @route   PUT /api/images/:id/content
+ * @desc    Receive a direct upload when the storage driver can't take it itself
+ * @access  Upload token
+ */
+router.put(
+  "/:id/content",
+  express.raw({ type: () => true, limit: uploadConfig.maxFileSize }),
+  imageController.receiveUpload
+);
+
+// Every image route acts on the caller's own images
+router.use(requireAuth);
+
 /**
  * @route   POST /api/images
- * @desc    Upload multiple images
- * @access  Public
+ * @desc    Upload multiple images, optionally into a draft photo set
+ * @access  Private
+ */
+router.post(
+  "/",
+  upload.array("images", photoSetConfig.maxPhotosLimit),
+  imageController.uploadImage
+);
+
+/**
+ * @route   POST /api/images/upload-urls
+ * @desc    Create images and get URLs to upload their originals to directly
+ * @access  Private
+ */
+router.post("/upload-urls", imageController.createUploadUrls);
+
+/**
+ * @route   POST /api/images/batch
+ * @desc    Delete, process or get the status of several images, with a
+ *          result per image
+ * @access  Private
  */
-router.post("/", upload.array("images", 10), imageController.uploadImage);
+router.post("/batch", imageController.batchImages);
 
 /**
  * @route   GET /api/images
- * @desc    Get all images with pagination and filtering
- * @access  Public
+ * @desc    Get the caller's images with filters, sorting and cursor pagination
+ * @access  Private
  */
 router.get("/", imageController.getAllImages);
 
+/**
+ * @route   GET /api/images/events
+ * @desc    Server-Sent Events stream of the caller's image status changes
+ *          and validation results
+ * @access  Private
+ */
+router.get("/events", imageController.streamEvents);
+
+/**
+ * @route   GET /api/images/validators
+ * @desc    List registered validators and the active validation pipeline
+ * @access  Private
+ */
+router.get("/validators", imageController.getValidators);
+
 /**
  * @route   GET /api/images/:id
  * @desc    Get a single image by ID
- * @access  Public
+ * @access  Private
  */
 router.get("/:id", imageController.getImageById);
 
 /**
  * @route   DELETE /api/images/:id
  * @desc    Delete an image
- * @access  Public
+ * @access  Private
  */
 router.delete("/:id", imageController.deleteImage);
 
+/**
+ * @route   PUT /api/images/:id/crops/:name
+ * @desc    Adjust a face-framed crop and write its renditions again
+ * @access  Private
+ */
+router.put("/:id/crops/:name", imageController.updateCrop);
+
+/**
+ * @route   POST /api/images/:id/finalize
+ * @desc    Check a direct upload and queue it for processing
+ * @access  Private
+ */
+router.post("/:id/finalize", imageController.finalizeUpload);
+
 /**
  * @route   POST /api/images/:id/process
  * @desc    Manually trigger image processing
- * @access  Public
+ * @access  Private
  */
 router.post("/:id/process", imageController.processImage);
 
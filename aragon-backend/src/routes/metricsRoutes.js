@@ -0,0 +1,14 @@
+const express = require("express");
+const metricsController = require("../controllers/metricsController");
+const { requireMetricsToken } = require("../middleware/metrics");
+
+const router = express.Router();
+
+/**
+ * @route   GET /metrics
+ * @desc    Upload, pipeline, queue, storage and HTTP metrics for Prometheus
+ * @access  Public, or METRICS_TOKEN as a bearer token when set
+ */
+router.get("/", requireMetricsToken, metricsController.getMetrics);
+
+module.exports = router;
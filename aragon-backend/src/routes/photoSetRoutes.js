@@ -0,0 +1,44 @@
+const express = require("express");
+const photoSetController = require("../controllers/photoSetController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * @route   POST /api/photo-sets
+ * @desc    Create a draft photo set
+ * @access  Private
+ */
+router.post("/", photoSetController.createPhotoSet);
+
+/**
+ * @route   GET /api/photo-sets
+ * @desc    Get the caller's photo sets
+ * @access  Private
+ */
+router.get("/", photoSetController.getPhotoSets);
+
+/**
+ * @route   GET /api/photo-sets/:id
+ * @desc    Get a photo set with its image counts and requirements
+ * @access  Private
+ */
+router.get("/:id", photoSetController.getPhotoSetById);
+
+/**
+ * @route   POST /api/photo-sets/:id/submit
+ * @desc    Submit a photo set that meets its requirements
+ * @access  Private
+ */
+router.post("/:id/submit", photoSetController.submitPhotoSet);
+
+/**
+ * @route   POST /api/photo-sets/:id/lock
+ * @desc    Lock a submitted photo set
+ * @access  Admin
+ */
+router.post("/:id/lock", requireRole("ADMIN"), photoSetController.lockPhotoSet);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const reprocessController = require("../controllers/reprocessController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Re-processing spans every user's images, so it's for admins only
+router.use(requireAuth, requireRole("ADMIN"));
+
+/**
+ * @route   POST /api/reprocess
+ * @desc    Queue processed or failed images matching the filters to be
+ *          evaluated again with the current pipeline
+ * @access  Admin
+ */
+router.post("/", reprocessController.startReprocess);
+
+/**
+ * @route   GET /api/reprocess
+ * @desc    List recent re-process batches
+ * @access  Admin
+ */
+router.get("/", reprocessController.getBatches);
+
+/**
+ * @route   GET /api/reprocess/:id
+ * @desc    Get a re-process batch with the state of its jobs
+ * @access  Admin
+ */
+router.get("/:id", reprocessController.getBatchById);
+
+module.exports = router;
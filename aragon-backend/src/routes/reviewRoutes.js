@@ -0,0 +1,62 @@
+const express = require("express");
+const reviewController = require("../controllers/reviewController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Reviews are made by admins only
+router.use(requireAuth, requireRole("ADMIN"));
+
+/**
+ * @route   GET /api/review/images
+ * @desc    List images awaiting review, filtered by validation error code,
+ *          status and whether they were reviewed
+ * @access  Admin
+ */
+router.get("/images", reviewController.getQueue);
+
+/**
+ * @route   GET /api/review/images/:id
+ * @desc    Get an image with its stored detection details, review history
+ *          and earlier results
+ * @access  Admin
+ */
+router.get("/images/:id", reviewController.getImage);
+
+/**
+ * @route   POST /api/review/images/:id/override
+ * @desc    Accept or reject an image regardless of its validation result
+ * @access  Admin
+ */
+router.post("/images/:id/override", reviewController.overrideImage);
+
+/**
+ * @route   POST /api/review/images/:id/debug
+ * @desc    Evaluate an image again with a debug capture of the detectors'
+ *          overlays and intermediate stats
+ * @access  Admin
+ */
+router.post("/images/:id/debug", reviewController.requestDebugCapture);
+
+/**
+ * @route   GET /api/review/images/:id/debug
+ * @desc    Get the debug captures of an image, newest first
+ * @access  Admin
+ */
+router.get("/images/:id/debug", reviewController.getDebugCaptures);
+
+/**
+ * @route   GET /api/review/reviews
+ * @desc    Get the audit trail of review decisions
+ * @access  Admin
+ */
+router.get("/reviews", reviewController.getReviews);
+
+/**
+ * @route   GET /api/review/report
+ * @desc    Compare each check with review decisions and suggest thresholds
+ * @access  Admin
+ */
+router.get("/report", reviewController.getTuningReport);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { tusServer } = require("../services/tusService");
+const { ApiError } = require("../utils/errorHandler");
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * @route   POST|HEAD|PATCH|DELETE /api/uploads/:id?
+ * @desc    Resumable uploads (tus protocol). Finished uploads become images
+ *          and are queued for processing.
+ * @access  Private
+ */
+router.all("*", (req, res, next) => {
+  if (!tusServer) {
+    return next(
+      new ApiError(501, "Resumable uploads are not supported by this storage")
+    );
+  }
+  tusServer.handle(req, res);
+});
+
+module.exports = router;
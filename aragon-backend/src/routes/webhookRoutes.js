@@ -0,0 +1,66 @@
+const express = require("express");
+const webhookController = require("../controllers/webhookController");
+const { requireAuth, requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Webhooks are managed by admins only
+router.use(requireAuth, requireRole("ADMIN"));
+
+/**
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @desc    Get a logged delivery with its last response
+ * @access  Admin
+ */
+router.get("/deliveries/:deliveryId", webhookController.getDeliveryById);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Queue a logged delivery again
+ * @access  Admin
+ */
+router.post("/deliveries/:deliveryId/redeliver", webhookController.redeliver);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a subscription; the response holds its signing secret
+ * @access  Admin
+ */
+router.post("/", webhookController.createSubscription);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List subscriptions
+ * @access  Admin
+ */
+router.get("/", webhookController.getSubscriptions);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a subscription
+ * @access  Admin
+ */
+router.get("/:id", webhookController.getSubscriptionById);
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Update the URL, events, description or active flag of a subscription
+ * @access  Admin
+ */
+router.patch("/:id", webhookController.updateSubscription);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a subscription and its delivery log
+ * @access  Admin
+ */
+router.delete("/:id", webhookController.deleteSubscription);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get the delivery log of a subscription
+ * @access  Admin
+ */
+router.get("/:id/deliveries", webhookController.getDeliveries);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const authConfig = require("../config/auth");
+
+/**
+ * Hash a password for storage
+ * @param {string} password - The plain-text password
+ * @returns {Promise<string>} - The password hash
+ */
+const hashPassword = (password) =>
+  bcrypt.hash(password, authConfig.passwordSaltRounds);
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - The plain-text password
+ * @param {string} passwordHash - The stored hash
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+const verifyPassword = (password, passwordHash) =>
+  bcrypt.compare(password, passwordHash);
+
+/**
+ * Issue an access token for a user
+ * @param {object} user - The user record
+ * @returns {string} - The signed JWT
+ */
+const signToken = (user) =>
+  jwt.sign({ role: user.role }, authConfig.jwtSecret, {
+    subject: user.id,
+    expiresIn: authConfig.jwtExpiresIn,
+  });
+
+/**
+ * Verify an access token
+ * @param {string} token - The JWT
+ * @returns {object} - The decoded payload
+ * @throws {Error} - If the token is invalid or expired
+ */
+const verifyToken = (token) => {
+  const payload = jwt.verify(token, authConfig.jwtSecret);
+  // Upload tokens carry an audience and must not work as access tokens
+  if (payload.aud) {
+    throw new Error("Not an access token");
+  }
+  return payload;
+};
+
+/**
+ * Issue a token that allows uploading the original of one image
+ * @param {string} imageId - The image ID
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {string} - The signed JWT
+ */
+const signUploadToken = (imageId, expiresIn) =>
+  jwt.sign({}, authConfig.jwtSecret, {
+    subject: imageId,
+    audience: "upload",
+    expiresIn,
+  });
+
+/**
+ * Verify an upload token
+ * @param {string} token - The JWT
+ * @returns {string} - ID of the image the token allows uploading
+ * @throws {Error} - If the token is invalid or expired
+ */
+const verifyUploadToken = (token) =>
+  jwt.verify(token, authConfig.jwtSecret, { audience: "upload" }).sub;
+
+/**
+ * Strip private fields from a user record
+ * @param {object} user - The user record
+ * @returns {object} - The user as returned by the API
+ */
+const toPublicUser = ({ passwordHash, ...user }) => user;
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  signUploadToken,
+  verifyUploadToken,
+  toPublicUser,
+};
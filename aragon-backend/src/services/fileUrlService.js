@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const fileConfig = require("../config/files");
+
+/**
+ * Compute the signature of a file URL
+ * @param {string} filePath - Path of the file (e.g. "uploads/original/abc.jpg")
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @returns {string} - The hex-encoded HMAC-SHA256 signature
+ */
+const sign = (filePath, expires) =>
+  crypto
+    .createHmac("sha256", fileConfig.urlSecret)
+    .update(`${filePath}\n${expires}`)
+    .digest("hex");
+
+/**
+ * Create an expiring, signed URL for a local-storage file
+ * @param {string} filePath - Path of the file (e.g. "uploads/original/abc.jpg")
+ * @param {number} [expiresIn] - Lifetime in seconds
+ * @returns {string} - The signed URL
+ */
+const createSignedFileUrl = (filePath, expiresIn = fileConfig.urlExpiresIn) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+
+  return `${
+    process.env.APP_URL || "http://localhost:3001"
+  }/${encodedPath}?expires=${expires}&signature=${sign(filePath, expires)}`;
+};
+
+/**
+ * Check the signature and expiry of a file URL
+ * @param {string} filePath - Path of the requested file
+ * @param {string} expires - The `expires` query parameter
+ * @param {string} signature - The `signature` query parameter
+ * @returns {boolean} - Whether the URL is valid and has not expired
+ */
+const verifyFileSignature = (filePath, expires, signature) => {
+  if (!/^\d+$/.test(expires || "") || typeof signature !== "string") {
+    return false;
+  }
+
+  if (Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(filePath, expires), "hex");
+  const actual = Buffer.from(signature, "hex");
+
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+module.exports = {
+  createSignedFileUrl,
+  verifyFileSignature,
+};
@@ -1,293 +1,225 @@
 const sharp = require("sharp");
+const { createLogger } = require("../../utils/logger");
 
-/**
- * Detects if an image is blurry using multiple techniques
- * @param {Buffer} imageBuffer - The image buffer
- * @returns {Promise<{isBlurry: boolean, reason: string|null}>} - Blur detection result
- */
-const detectBlurryImage = async (imageBuffer) => {
-  console.log("-0987678909876545909876543909865434590965432789876543");
-
-  try {
-    const metadata = await sharp(imageBuffer).metadata();
-    const { width, height } = metadata;
-
-    // Get image statistics for multiple processing approaches
-    const grayscaleStats = await sharp(imageBuffer).grayscale().stats();
-
-    // 1. First method: Frequency domain analysis via high-pass filter
-    // Apply high-pass filter (sharpening) - this emphasizes high-frequency components
-    const sharpened = await sharp(imageBuffer)
-      .grayscale()
-      .convolve({
-        width: 3,
-        height: 3,
-        kernel: [0, -1, 0, -1, 5, -1, 0, -1, 0], // High-pass filter
-      })
-      .toBuffer();
-
-    // Compare original grayscale vs sharpened to measure frequency content
-    const originalStats = grayscaleStats;
-    const sharpenedStats = await sharp(sharpened).stats();
-
-    // Calculate sharpening response (how much the image changes when sharpened)
-    // Blurry images have low high-frequency content and respond more dramatically to sharpening
-    const originalStdDev = originalStats.channels[0].stdev;
-    const sharpenedStdDev = sharpenedStats.channels[0].stdev;
-    const sharpeningResponse =
-      (sharpenedStdDev - originalStdDev) / originalStdDev;
-
-    console.log(
-      `Method 1 - Sharpening response: ${sharpeningResponse.toFixed(4)}, ` +
-        `Original StdDev: ${originalStdDev.toFixed(2)}, ` +
-        `Sharpened StdDev: ${sharpenedStdDev.toFixed(2)}`
-    );
-
-    // Blurry images show a much higher relative change when sharpened
-    const SHARPENING_RESPONSE_THRESHOLD = 0.2; // Adjust as needed
-    const isBlurryBySharpening =
-      sharpeningResponse > SHARPENING_RESPONSE_THRESHOLD;
-
-    // 2. Second method: Local variance analysis
-    // Divide the image into small blocks and measure local contrast variance
-    const blockSize = Math.max(Math.floor(Math.min(width, height) / 20), 10);
-
-    // Use the laplacian kernel but with smaller regions to analyze local variance
-    const edges = await sharp(imageBuffer)
-      .grayscale()
-      .convolve({
-        width: 3,
-        height: 3,
-        kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1], // Laplacian kernel
-      })
-      .raw()
-      .toBuffer({ resolveWithObject: true });
-
-    const { data, info } = edges;
-    const blockRows = Math.floor(info.height / blockSize);
-    const blockCols = Math.floor(info.width / blockSize);
-
-    let sharpBlockCount = 0;
-    let totalBlockCount = 0;
-
-    // Analyze local variance in each block
-    for (let r = 0; r < blockRows; r++) {
-      for (let c = 0; c < blockCols; c++) {
-        let blockSum = 0;
-        let blockSumSq = 0;
-        let pixelCount = 0;
+const logger = createLogger({ module: "blurDetection" });
 
-        for (let y = 0; y < blockSize; y++) {
-          for (let x = 0; x < blockSize; x++) {
-            const row = r * blockSize + y;
-            const col = c * blockSize + x;
+// Every face is resampled to fit this size before measuring. The variance
+// of the Laplacian depends on scale, so faces of any size are only
+// comparable against one threshold when measured at the same size. A small
+// face loses detail when enlarged, as it has less of it to begin with.
+const FACE_SAMPLE_SIZE = 256;
 
-            if (row < info.height && col < info.width) {
-              const idx = row * info.width + col;
-              const pixelValue = data[idx];
+// The whole frame is measured with its longest edge at most this long
+const FRAME_SAMPLE_SIZE = 512;
 
-              blockSum += pixelValue;
-              blockSumSq += pixelValue * pixelValue;
-              pixelCount++;
-            }
-          }
-        }
+// Share of the face box measured, around its center. The corners of the
+// detector's box are mostly hair and background.
+const FACE_BOX_INSET = 0.8;
 
-        if (pixelCount > 0) {
-          const blockMean = blockSum / pixelCount;
-          const blockVariance = blockSumSq / pixelCount - blockMean * blockMean;
-
-          // Higher local variance indicates sharper regions
-          if (blockVariance > 100) {
-            // Threshold for "sharp" block
-            sharpBlockCount++;
-          }
-          totalBlockCount++;
-        }
-      }
-    }
-
-    // Calculate percentage of sharp blocks
-    const sharpBlockPercentage = (sharpBlockCount / totalBlockCount) * 100;
-    console.log(
-      `Method 2 - Sharp block percentage: ${sharpBlockPercentage.toFixed(
-        2
-      )}%, ` +
-        `Sharp blocks: ${sharpBlockCount}, Total blocks: ${totalBlockCount}`
-    );
-
-    // If less than certain percentage of blocks have high variance, image is blurry
-    const SHARP_BLOCK_THRESHOLD = 15; // Adjust based on testing
-    const isBlurryByBlockAnalysis =
-      sharpBlockPercentage < SHARP_BLOCK_THRESHOLD;
-
-    // 3. Third method: Edge intensity distribution
-    // Calculate histogram of edge intensities
-    const histogram = new Array(256).fill(0);
-    for (let i = 0; i < data.length; i++) {
-      histogram[data[i]]++;
-    }
+// Starting thresholds for the variance of the Laplacian; calibrate them
+// against labeled photos with `npm run calibrate:blur`
+const DEFAULT_THRESHOLDS = {
+  minFaceSharpness: 60,
+  minFrameSharpness: 40,
+};
 
-    // Calculate percentage of strong edges
-    const totalPixels = width * height;
-    let strongEdgePixels = 0;
+/**
+ * Response of the 4-neighbour Laplacian at an inner pixel
+ * @param {Buffer} data - Raw grayscale pixels
+ * @param {number} width - Image width
+ * @param {number} i - Index of the pixel
+ * @returns {number} - The response
+ */
+const laplacianAt = (data, width, i) =>
+  4 * data[i] - data[i - 1] - data[i + 1] - data[i - width] - data[i + width];
 
-    // Consider pixels with high edge response (>50) as strong edges
-    for (let i = 50; i < 256; i++) {
-      strongEdgePixels += histogram[i];
+/**
+ * Variance of the 4-neighbour Laplacian of a grayscale image. Sharp edges
+ * give strong positive and negative responses; blur flattens them.
+ * @param {Buffer} data - Raw grayscale pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} - The variance
+ */
+const laplacianVariance = (data, width, height) => {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const value = laplacianAt(data, width, y * width + x);
+      sum += value;
+      sumSq += value * value;
+      count++;
     }
+  }
 
-    const strongEdgePercentage = (strongEdgePixels / totalPixels) * 100;
-    console.log(
-      `Method 3 - Strong edge percentage: ${strongEdgePercentage.toFixed(2)}%`
-    );
-
-    // If less than certain percentage of pixels have strong edges, image is blurry
-    const STRONG_EDGE_THRESHOLD = 3; // Adjust based on testing
-    const isBlurryByEdgeDistribution =
-      strongEdgePercentage < STRONG_EDGE_THRESHOLD;
-
-    // 4. Fourth method: Focus measure using gradient magnitude
-    const horizGradient = await sharp(imageBuffer)
-      .grayscale()
-      .convolve({
-        width: 3,
-        height: 3,
-        kernel: [-1, 0, 1, -2, 0, 2, -1, 0, 1], // Sobel X
-      })
-      .stats();
-
-    const vertGradient = await sharp(imageBuffer)
-      .grayscale()
-      .convolve({
-        width: 3,
-        height: 3,
-        kernel: [-1, -2, -1, 0, 0, 0, 1, 2, 1], // Sobel Y
-      })
-      .stats();
-
-    // Calculate focus measure (Modified Laplacian) based on gradient statistics
-    const GRADIENT_THRESHOLD = width * height * 5; // Scale with image size
-    const horizGradientSum = horizGradient.channels[0].sum;
-    const vertGradientSum = vertGradient.channels[0].sum;
-
-    console.log(
-      `Method 4 - Gradient sums: H=${horizGradientSum.toFixed(
-        0
-      )}, V=${vertGradientSum.toFixed(0)}, ` +
-        `Threshold: ${GRADIENT_THRESHOLD.toFixed(0)}`
-    );
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+};
 
-    const isBlurryByGradient =
-      horizGradientSum < GRADIENT_THRESHOLD &&
-      vertGradientSum < GRADIENT_THRESHOLD;
+/**
+ * Read the grayscale pixels that are measured, one byte per pixel. Regions
+ * (faces) are resampled to the sample size; whole frames are only scaled
+ * down.
+ * @param {Buffer} imageBuffer - The upright image
+ * @param {object} [region] - `{ x, y, width, height }` to read instead of the whole image
+ * @param {number} sampleSize - Longest edge the pixels are scaled to
+ * @returns {Promise<{data: Buffer, info: object}>} - Raw pixels and their size
+ */
+const readSample = (imageBuffer, region, sampleSize) => {
+  const pipeline = sharp(imageBuffer);
+  if (region) {
+    pipeline.extract({
+      left: region.x,
+      top: region.y,
+      width: region.width,
+      height: region.height,
+    });
+  }
 
-    // Combine results from all methods
-    // Use voting system - if majority say it's blurry, then it's blurry
-    const blurryVotes = [
-      isBlurryBySharpening,
-      isBlurryByBlockAnalysis,
-      isBlurryByEdgeDistribution,
-      isBlurryByGradient,
-    ].filter(Boolean).length;
+  // grayscale() keeps the alpha channel of PNGs and GIFs
+  return pipeline
+    .resize(sampleSize, sampleSize, {
+      fit: "inside",
+      withoutEnlargement: !region,
+    })
+    .grayscale()
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+};
 
-    const isBlurry = blurryVotes >= 2; // At least 2 methods must agree it's blurry
+/**
+ * Measure the sharpness of an image, or of a region of it
+ * @param {Buffer} imageBuffer - The upright image
+ * @param {object} [region] - `{ x, y, width, height }` to measure instead of the whole image
+ * @param {number} sampleSize - Longest edge the measured pixels are scaled to
+ * @returns {Promise<{score: number, sampleSize: {width: number, height: number}}>} - Variance of the Laplacian
+ */
+const measureSharpness = async (imageBuffer, region, sampleSize) => {
+  const { data, info } = await readSample(imageBuffer, region, sampleSize);
 
-    // For detecting motion blur specifically (which often has strong edges in one direction)
-    const directionalBlurRatio =
-      Math.max(horizGradientSum, vertGradientSum) /
-      Math.min(horizGradientSum, vertGradientSum);
-    const isMotionBlur =
-      directionalBlurRatio > 3 &&
-      (horizGradientSum < GRADIENT_THRESHOLD ||
-        vertGradientSum < GRADIENT_THRESHOLD);
+  return {
+    score: Number(laplacianVariance(data, info.width, info.height).toFixed(2)),
+    sampleSize: { width: info.width, height: info.height },
+  };
+};
 
-    console.log(
-      `Final blur analysis - Methods voting blurry: ${blurryVotes}/4, ` +
-        `Directional ratio: ${directionalBlurRatio.toFixed(2)}, ` +
-        `Motion blur detected: ${isMotionBlur}, ` +
-        `Final result: ${isBlurry || isMotionBlur ? "BLURRY" : "SHARP"}`
-    );
+/**
+ * The central part of a face box, clamped to the image
+ * @param {object} box - Face box from detectFaces
+ * @param {{width: number, height: number}} imageSize - Size of the image
+ * @returns {{x: number, y: number, width: number, height: number}|null} - The region, or null if nothing is left
+ */
+const getFaceRegion = (box, imageSize) => {
+  const insetX = (box.width * (1 - FACE_BOX_INSET)) / 2;
+  const insetY = (box.height * (1 - FACE_BOX_INSET)) / 2;
+  const left = Math.max(Math.round(box.x + insetX), 0);
+  const top = Math.max(Math.round(box.y + insetY), 0);
+  const right = Math.min(
+    Math.round(box.x + box.width - insetX),
+    imageSize.width
+  );
+  const bottom = Math.min(
+    Math.round(box.y + box.height - insetY),
+    imageSize.height
+  );
+
+  if (right - left < 3 || bottom - top < 3) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
 
-    // Determine the primary reason for rejection
-    let blurReason = null;
-    if (isBlurry || isMotionBlur) {
-      if (isMotionBlur) {
-        blurReason = "Motion blur detected";
-      } else if (isBlurryBySharpening) {
-        blurReason = "Low frequency content (overall blur)";
-      } else if (isBlurryByBlockAnalysis) {
-        blurReason = "Insufficient sharp details";
-      } else if (isBlurryByEdgeDistribution) {
-        blurReason = "Weak edge definition";
-      } else if (isBlurryByGradient) {
-        blurReason = "Poor focus measure";
-      } else {
-        blurReason = "Multiple blur indicators detected";
+/**
+ * Detect whether an image is blurry. With a face, only the face is judged,
+ * so background bokeh doesn't reject a portrait and a busy sharp
+ * background doesn't rescue a blurry face. Without one, the whole frame is.
+ * @param {Buffer} imageBuffer - The upright image
+ * @param {object} [options] - Detection options
+ * @param {object} [options.faceBox] - Box of the subject's face, from detectFaces
+ * @param {number} [options.minFaceSharpness] - Faces scoring below this are blurry
+ * @param {number} [options.minFrameSharpness] - Frames without a face scoring below this are blurry
+ * @returns {Promise<{isBlurry: boolean, reason: string|null, details: object}>} - Blur detection result
+ */
+const detectBlurryImage = async (imageBuffer, options = {}) => {
+  const {
+    faceBox,
+    minFaceSharpness = DEFAULT_THRESHOLDS.minFaceSharpness,
+    minFrameSharpness = DEFAULT_THRESHOLDS.minFrameSharpness,
+  } = options;
+
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const frame = await measureSharpness(imageBuffer, null, FRAME_SAMPLE_SIZE);
+
+  const region = faceBox && getFaceRegion(faceBox, { width, height });
+  const face = region
+    ? {
+        ...(await measureSharpness(imageBuffer, region, FACE_SAMPLE_SIZE)),
+        region,
       }
-    }
-
-    return {
-      isBlurry: isBlurry || isMotionBlur,
-      reason: blurReason,
-      details: {
-        methods: {
-          sharpening: {
-            isBlurry: isBlurryBySharpening,
-            value: sharpeningResponse,
-          },
-          blockAnalysis: {
-            isBlurry: isBlurryByBlockAnalysis,
-            value: sharpBlockPercentage,
-          },
-          edgeDistribution: {
-            isBlurry: isBlurryByEdgeDistribution,
-            value: strongEdgePercentage,
-          },
-          gradientMeasure: {
-            isBlurry: isBlurryByGradient,
-            values: [horizGradientSum, vertGradientSum],
-          },
-        },
-        motionBlur: { detected: isMotionBlur, ratio: directionalBlurRatio },
-        blurryVotes,
-        imageSize: { width, height },
-      },
-    };
-  } catch (error) {
-    console.error("Advanced blur detection failed:", error);
-    // Fallback to a simpler method if the advanced one fails
-    try {
-      // Simple fallback using standard deviation
-      const stats = await sharp(imageBuffer).grayscale().stats();
-
-      const stdDev = stats.channels[0].stdev;
-      const isLowContrast = stdDev < 25;
-
-      console.log(
-        `Fallback blur detection - StdDev: ${stdDev.toFixed(
-          2
-        )}, isLowContrast: ${isLowContrast}`
-      );
+    : null;
+
+  const isBlurry = face
+    ? face.score < minFaceSharpness
+    : frame.score < minFrameSharpness;
+
+  logger.debug("Sharpness measured", {
+    measuredOn: face ? "face" : "frame",
+    faceScore: face?.score,
+    frameScore: frame.score,
+    isBlurry,
+  });
+
+  return {
+    isBlurry,
+    reason: isBlurry
+      ? face
+        ? "The face is out of focus"
+        : "The photo is out of focus"
+      : null,
+    details: {
+      measuredOn: face ? "face" : "frame",
+      face: face && { ...face, threshold: minFaceSharpness },
+      frame: { ...frame, threshold: minFrameSharpness },
+      imageSize: { width, height },
+    },
+  };
+};
 
-      return {
-        isBlurry: isLowContrast,
-        reason: isLowContrast
-          ? "Low image contrast (fallback detection)"
-          : null,
-        details: { stdDev },
-      };
-    } catch (innerError) {
-      console.error("All blur detection methods failed:", innerError);
-      return {
-        isBlurry: true, // Fail safe: reject when in doubt
-        reason: "Image analysis failed",
-        details: { error: error.message },
-      };
+/**
+ * Render the strength of the Laplacian over the pixels a detection
+ * measured, for a debug capture. Brighter pixels are sharper edges;
+ * responses are clamped to 255 rather than stretched, so maps of
+ * different photos can be compared.
+ * @param {Buffer} imageBuffer - The upright image
+ * @param {object} [faceRegion] - The measured face region, from the detection details
+ * @returns {Promise<Buffer>} - A grayscale PNG
+ */
+const renderEdgeMap = async (imageBuffer, faceRegion) => {
+  const { data, info } = await readSample(
+    imageBuffer,
+    faceRegion,
+    faceRegion ? FACE_SAMPLE_SIZE : FRAME_SAMPLE_SIZE
+  );
+  const { width, height } = info;
+  const edges = Buffer.alloc(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      edges[i] = Math.min(Math.abs(laplacianAt(data, width, i)), 255);
     }
   }
+
+  return sharp(edges, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
 };
 
 module.exports = {
+  DEFAULT_THRESHOLDS,
   detectBlurryImage,
+  renderEdgeMap,
 };
@@ -0,0 +1,225 @@
+const { v4: uuidv4 } = require("uuid");
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../../utils/errorHandler");
+const { storage } = require("../storage");
+const debugConfig = require("../../config/debug");
+const fileConfig = require("../../config/files");
+const { enqueueImageProcessing } = require("../queue/jobQueue");
+const { REPROCESSABLE_STATUSES } = require("./processor");
+const { createLogger } = require("../../utils/logger");
+
+const prisma = new PrismaClient();
+const logger = createLogger({ module: "debugCapture" });
+
+// Captures removed per maintenance run, so a backlog is cleared in steps
+const PRUNE_BATCH_SIZE = 500;
+
+/**
+ * Start collecting the debug output of one processing run. The processor
+ * records each step's stats, and validators add images such as overlays
+ * through `context.debug`.
+ * @param {object} job - The processing job the run belongs to
+ * @returns {object} - The capture
+ */
+const createDebugCapture = (job) => {
+  const steps = {};
+  const images = [];
+
+  return {
+    imageId: job.imageId,
+    jobId: job.id,
+    requestId: job.requestId || null,
+    steps,
+    images,
+
+    /**
+     * Record stats of a step, merged with those recorded before
+     * @param {string} step - The step name
+     * @param {object} stats - The stats
+     */
+    addStats: (step, stats) => {
+      steps[step] = { ...steps[step], ...stats };
+    },
+
+    /**
+     * Render an image of a step. Rendering errors are only logged, so a
+     * capture never changes the outcome of a run.
+     * @param {string} step - The step name
+     * @param {string} name - Name of the image, e.g. "overlay"
+     * @param {() => Promise<Buffer>} render - Returns the image as a PNG
+     * @returns {Promise<void>}
+     */
+    addImage: async (step, name, render) => {
+      try {
+        images.push({ step, name, buffer: await render() });
+      } catch (error) {
+        logger.warn("Error rendering debug image", { step, name, error });
+      }
+    },
+  };
+};
+
+/**
+ * Delete captures and their files
+ * @param {object[]} captures - DebugCapture records
+ * @returns {Promise<void>}
+ */
+const deleteDebugCaptures = async (captures) => {
+  if (captures.length === 0) return;
+
+  await storage.deleteMany(
+    captures.flatMap((capture) =>
+      capture.artifacts.map((artifact) => artifact.key)
+    )
+  );
+  await prisma.debugCapture.deleteMany({
+    where: { id: { in: captures.map((capture) => capture.id) } },
+  });
+};
+
+/**
+ * Store a capture's images under the image ID and record it, dropping the
+ * image's oldest captures beyond the per-image limit. Errors are logged
+ * rather than thrown, since the run itself already finished.
+ * @param {object} capture - The capture from createDebugCapture
+ * @param {object} [outcome] - How the run ended
+ * @param {string} [outcome.status] - Status the image was left in
+ * @param {string} [outcome.error] - Error the run failed with
+ * @returns {Promise<object|null>} - The DebugCapture record, or null if it couldn't be saved
+ */
+const saveDebugCapture = async (capture, { status, error } = {}) => {
+  const id = uuidv4();
+  const artifacts = [];
+
+  try {
+    for (const { step, name, buffer } of capture.images) {
+      const key = `uploads/debug/${capture.imageId}/${id}/${step}-${name}.png`;
+      await storage.put(key, buffer, { contentType: "image/png" });
+      artifacts.push({ step, name, key, size: buffer.length });
+    }
+
+    const record = await prisma.debugCapture.create({
+      data: {
+        id,
+        imageId: capture.imageId,
+        jobId: capture.jobId,
+        requestId: capture.requestId,
+        status,
+        error,
+        steps: capture.steps,
+        artifacts,
+      },
+    });
+
+    const excess = await prisma.debugCapture.findMany({
+      where: { imageId: capture.imageId },
+      orderBy: { createdAt: "desc" },
+      skip: debugConfig.maxPerImage,
+    });
+    await deleteDebugCaptures(excess);
+
+    logger.info("Debug capture saved", {
+      captureId: id,
+      images: artifacts.length,
+    });
+    return record;
+  } catch (saveError) {
+    logger.error("Error saving debug capture", { error: saveError });
+    // The image may have been deleted during the run
+    await storage
+      .deleteMany(artifacts.map((artifact) => artifact.key))
+      .catch(() => {});
+    return null;
+  }
+};
+
+/**
+ * Queue an image to be evaluated with a debug capture. Processed and failed
+ * images are evaluated again with the current pipeline, like a re-process;
+ * a pending image is captured when its queued job runs.
+ * @param {string} imageId - The image ID
+ * @returns {Promise<object>} - The processing job
+ */
+const requestDebugCapture = async (imageId) => {
+  if (!debugConfig.enabled) {
+    throw new ApiError(409, "Debug captures are turned off");
+  }
+
+  const image = await prisma.image.findUnique({ where: { id: imageId } });
+
+  if (!image) {
+    throw new ApiError(404, "Image not found");
+  }
+
+  const reprocess = REPROCESSABLE_STATUSES.includes(image.status);
+  if (!reprocess && image.status !== "PENDING") {
+    throw new ApiError(
+      409,
+      "Only pending, processed or failed images can be captured"
+    );
+  }
+
+  return enqueueImageProcessing(imageId, { debug: true, reprocess });
+};
+
+/**
+ * Get the debug captures of an image, newest first, with expiring URLs for
+ * their images
+ * @param {string} imageId - The image ID
+ * @returns {Promise<object[]>} - The captures
+ */
+const getDebugCaptures = async (imageId) => {
+  const image = await prisma.image.findUnique({
+    where: { id: imageId },
+    select: { id: true },
+  });
+
+  if (!image) {
+    throw new ApiError(404, "Image not found");
+  }
+
+  const captures = await prisma.debugCapture.findMany({
+    where: { imageId },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return Promise.all(
+    captures.map(async (capture) => ({
+      ...capture,
+      artifacts: await Promise.all(
+        capture.artifacts.map(async ({ step, name, key, size }) => ({
+          step,
+          name,
+          size,
+          url: await storage.signedUrl(key, {
+            expiresIn: fileConfig.urlExpiresIn,
+          }),
+        }))
+      ),
+    }))
+  );
+};
+
+/**
+ * Delete captures past the retention period, with their files
+ * @returns {Promise<number>} - Number of captures deleted
+ */
+const pruneDebugCaptures = async () => {
+  const captures = await prisma.debugCapture.findMany({
+    where: {
+      createdAt: { lt: new Date(Date.now() - debugConfig.retentionMs) },
+    },
+    take: PRUNE_BATCH_SIZE,
+  });
+
+  await deleteDebugCaptures(captures);
+  return captures.length;
+};
+
+module.exports = {
+  createDebugCapture,
+  saveDebugCapture,
+  requestDebugCapture,
+  getDebugCaptures,
+  pruneDebugCaptures,
+};
@@ -1,8 +1,10 @@
 const sharp = require("sharp");
 const crypto = require("crypto");
 const { PrismaClient } = require("@prisma/client");
+const { createLogger } = require("../../utils/logger");
 
 const prisma = new PrismaClient();
+const logger = createLogger({ module: "duplicateDetection" });
 
 /**
  * Generates a perceptual hash (pHash) for an image to detect similar images
@@ -42,7 +44,7 @@ const generateImageHash = async (imageBuffer) => {
 
     return crypto.createHash("md5").update(hashBuffer).digest("hex");
   } catch (error) {
-    console.error("Error generating image hash:", error);
+    logger.error("Error generating image hash", { error });
     throw new Error(`Failed to generate image hash: ${error.message}`);
   }
 };
@@ -52,12 +54,16 @@ const generateImageHash = async (imageBuffer) => {
  * @param {string} hash - The perceptual hash of the image
  * @param {string} excludeId - ID of the image to exclude from comparison
  * @param {string} originalFileName - Original file name for quick duplicate check
+ * @param {object} [options] - Check options
+ * @param {number} [options.similarityThreshold] - Maximum Hamming distance for a duplicate
+ * @param {string|null} [options.ownerId] - Only compare against images of this owner
  * @returns {Promise<{isDuplicate: boolean, similarImage: object|null}>} - Check result
  */
 const checkDuplicateImage = async (
   hash,
   excludeId = null,
-  originalFileName = ""
+  originalFileName = "",
+  options = {}
 ) => {
   try {
     // Find all processed images - using simpler query to avoid JSON path issues
@@ -65,6 +71,7 @@ const checkDuplicateImage = async (
       where: {
         status: "PROCESSED",
         ...(excludeId && { id: { not: excludeId } }),
+        ...(options.ownerId !== undefined && { ownerId: options.ownerId }),
       },
       select: {
         id: true,
@@ -81,14 +88,16 @@ const checkDuplicateImage = async (
       );
 
       if (exactMatch) {
-        console.log(`Exact filename match found for ${originalFileName}`);
+        logger.info("Duplicate found by file name", {
+          duplicateOf: exactMatch.id,
+        });
         return { isDuplicate: true, similarImage: exactMatch };
       }
     }
 
     // Calculate Hamming distance for each existing image
     // For perceptual hashes, lower hamming distance = more similarity
-    const SIMILARITY_THRESHOLD = 3; // Lowered from 5 to make detection more sensitive
+    const SIMILARITY_THRESHOLD = options.similarityThreshold ?? 3; // Lowered from 5 to make detection more sensitive
 
     let isDuplicate = false;
     let similarImage = null;
@@ -114,19 +123,18 @@ const checkDuplicateImage = async (
           if (binary1[i] !== binary2[i]) distance++;
         }
 
-        console.log(
-          `Image hash comparison: Distance ${distance} between ${hash.substring(
-            0,
-            8
-          )} and ${existingHash.substring(0, 8)}`
-        );
+        logger.debug("Image hashes compared", {
+          comparedWith: image.id,
+          distance,
+        });
 
         if (distance <= SIMILARITY_THRESHOLD) {
           isDuplicate = true;
           similarImage = image;
-          console.log(
-            `Found duplicate image! ID: ${image.id}, Name: ${image.originalName}`
-          );
+          logger.info("Duplicate found by image hash", {
+            duplicateOf: image.id,
+            distance,
+          });
           break;
         }
       }
@@ -134,7 +142,7 @@ const checkDuplicateImage = async (
 
     return { isDuplicate, similarImage };
   } catch (error) {
-    console.error("Error checking for duplicate images:", error);
+    logger.error("Error checking for duplicate images", { error });
     // Return non-duplicate result instead of throwing error to prevent technical errors shown to users
     return { isDuplicate: false, similarImage: null };
   }
@@ -0,0 +1,28 @@
+/**
+ * Error of the image pipeline itself rather than of the photo, with a code
+ * the processor decides on instead of the message
+ */
+class PipelineError extends Error {
+  /**
+   * @param {string} code - One of PIPELINE_ERROR_CODES
+   * @param {string} message - What went wrong, for the logs
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "PipelineError";
+    this.code = code;
+  }
+}
+
+const PIPELINE_ERROR_CODES = {
+  // The original can't be decoded; the owner has to upload another file
+  UNSUPPORTED_FORMAT: "unsupported_format",
+  // The face detector can't run, so no image can be checked until the
+  // server is fixed
+  FACE_MODELS_UNAVAILABLE: "face_models_unavailable",
+};
+
+module.exports = {
+  PipelineError,
+  PIPELINE_ERROR_CODES,
+};
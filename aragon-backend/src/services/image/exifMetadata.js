@@ -0,0 +1,123 @@
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+const { createLogger } = require("../../utils/logger");
+
+const logger = createLogger({ module: "exifMetadata" });
+
+// EXIF orientation of an image whose pixels are already upright
+const UPRIGHT = 1;
+
+// Quality JPEG originals are re-encoded at after rotation
+const ROTATED_JPEG_QUALITY = 95;
+
+/**
+ * Format an EXIF date as ISO 8601 without a time zone. EXIF dates are local
+ * time; exif-reader parses them as UTC, so the UTC fields hold the local time.
+ * @param {Date} date - Date from exif-reader
+ * @returns {string|undefined} - e.g. "2025-06-01T14:03:22"
+ */
+const toLocalIsoString = (date) =>
+  date instanceof Date && !Number.isNaN(date.getTime())
+    ? date.toISOString().slice(0, 19)
+    : undefined;
+
+/**
+ * Trim an EXIF string, treating blank values as missing
+ * @param {*} value - Tag value
+ * @returns {string|undefined} - The trimmed string
+ */
+const text = (value) =>
+  typeof value === "string" && value.trim() ? value.trim() : undefined;
+
+/**
+ * Pick the useful EXIF fields of an image before its metadata is stripped.
+ * GPS positions, serial numbers, maker notes and XMP are never kept.
+ * @param {object} metadata - sharp metadata of the original
+ * @returns {object} - orientation, capturedAt, cameraMake, cameraModel, lensModel and copyright, where present
+ */
+const extractExifMetadata = (metadata) => {
+  const fields = { orientation: metadata.orientation || UPRIGHT };
+  if (!metadata.exif) return fields;
+
+  let exif;
+  try {
+    exif = exifReader(metadata.exif);
+  } catch (error) {
+    logger.warn("Ignoring unreadable EXIF data", { reason: error.message });
+    return fields;
+  }
+
+  const { Image: ifd0 = {}, Photo: photo = {} } = exif;
+  const capturedAt = toLocalIsoString(photo.DateTimeOriginal);
+
+  Object.assign(fields, {
+    capturedAt:
+      capturedAt && text(photo.OffsetTimeOriginal)
+        ? `${capturedAt}${text(photo.OffsetTimeOriginal)}`
+        : capturedAt,
+    cameraMake: text(ifd0.Make),
+    cameraModel: text(ifd0.Model),
+    lensModel: text(photo.LensModel),
+    copyright: text(ifd0.Copyright),
+  });
+
+  // Drop fields the camera didn't write
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * Rotate and flip an image as its EXIF orientation says, so validators and
+ * renditions see the pixels the way the camera was held
+ * @param {Buffer} imageBuffer - The image
+ * @param {object} metadata - sharp metadata of the image
+ * @returns {Promise<Buffer>} - The upright image, or the input if it already was
+ */
+const applyOrientation = async (imageBuffer, metadata) => {
+  if (!metadata.orientation || metadata.orientation === UPRIGHT) {
+    return imageBuffer;
+  }
+
+  const upright = sharp(imageBuffer).rotate();
+  if (metadata.format === "jpeg") {
+    upright.jpeg({ quality: ROTATED_JPEG_QUALITY });
+  }
+  return upright.toBuffer();
+};
+
+/**
+ * The EXIF written to renditions: the allow-listed fields only, in sharp's
+ * withMetadata format (IFD0 is the main image, IFD2 the Exif sub-IFD)
+ * @param {object} [exif] - Fields from extractExifMetadata
+ * @returns {object} - Tags keyed by IFD
+ */
+const getOutputExif = (exif = {}) => {
+  const [capturedAt, offset] = exif.capturedAt
+    ? [exif.capturedAt.slice(0, 19), exif.capturedAt.slice(19)]
+    : [];
+
+  const pick = (tags) =>
+    Object.fromEntries(
+      Object.entries(tags).filter(([, value]) => typeof value === "string")
+    );
+
+  return {
+    IFD0: pick({
+      Make: exif.cameraMake,
+      Model: exif.cameraModel,
+      Copyright: exif.copyright,
+    }),
+    IFD2: pick({
+      DateTimeOriginal: capturedAt?.replace("T", " ").replace(/-/g, ":"),
+      OffsetTimeOriginal: offset || undefined,
+      LensModel: exif.lensModel,
+    }),
+  };
+};
+
+module.exports = {
+  extractExifMetadata,
+  applyOrientation,
+  getOutputExif,
+};
@@ -0,0 +1,185 @@
+// Landmarks in face-api's 68-point model
+const LANDMARKS = {
+  jawLeft: 0,
+  chin: 8,
+  jawRight: 16,
+  noseTip: 30,
+  leftEye: { start: 36, end: 42 },
+  rightEye: { start: 42, end: 48 },
+};
+
+// How far the nose tip sits in front of the cheeks, relative to half the
+// face width. Turning the head moves the nose tip across the face by
+// (1 + NOSE_DEPTH) * sin(yaw) of half the face width.
+const NOSE_DEPTH = 0.35;
+
+// In a level face the nose tip sits this far down from the eyes to the chin
+const LEVEL_NOSE_POSITION = 0.45;
+
+// Nodding the head moves the nose tip up or down by this share of the
+// eye-to-chin distance times sin(pitch)
+const NOSE_PITCH_TRAVEL = 0.5;
+
+// Limits used when the pipeline config doesn't set them
+const DEFAULT_LIMITS = {
+  maxYaw: 25,
+  maxPitch: 20,
+  maxRoll: 15,
+  minFaceHeight: 0.1,
+  minEdgeMargin: 0.05,
+};
+
+// `|| 0` turns -0 into 0
+const toDegrees = (radians) =>
+  Number(((radians * 180) / Math.PI).toFixed(1)) || 0;
+
+const asinClamped = (value) => Math.asin(Math.min(Math.max(value, -1), 1));
+
+const centroid = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+});
+
+/**
+ * Estimate the head pose from 2D landmarks. The estimate is approximate
+ * (a few degrees either way) but tells a frontal face from a turned,
+ * nodding or tilted one.
+ * @param {Array<{x: number, y: number}>} landmarks - The 68 landmarks from detectFaces
+ * @returns {{yaw: number, pitch: number, roll: number}|null} - Degrees: yaw is positive
+ * when the face turns towards the right of the photo, pitch when it looks up and roll
+ * when it tilts clockwise. Null without a full set of landmarks.
+ */
+const estimateHeadPose = (landmarks) => {
+  if (!Array.isArray(landmarks) || landmarks.length < 68) return null;
+
+  const leftEye = centroid(
+    landmarks.slice(LANDMARKS.leftEye.start, LANDMARKS.leftEye.end)
+  );
+  const rightEye = centroid(
+    landmarks.slice(LANDMARKS.rightEye.start, LANDMARKS.rightEye.end)
+  );
+  const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+
+  // Measure yaw and pitch in the face's own axes, with the roll undone
+  const cos = Math.cos(-roll);
+  const sin = Math.sin(-roll);
+  const level = (point) => ({
+    x: point.x * cos - point.y * sin,
+    y: point.x * sin + point.y * cos,
+  });
+  const jawLeft = level(landmarks[LANDMARKS.jawLeft]);
+  const jawRight = level(landmarks[LANDMARKS.jawRight]);
+  const noseTip = level(landmarks[LANDMARKS.noseTip]);
+  const chin = level(landmarks[LANDMARKS.chin]);
+  const eyeLine = level(centroid([leftEye, rightEye]));
+
+  const halfWidth = (jawRight.x - jawLeft.x) / 2;
+  const eyeToChin = chin.y - eyeLine.y;
+  if (halfWidth <= 0 || eyeToChin <= 0) return null;
+
+  const noseOffset = (noseTip.x - (jawLeft.x + halfWidth)) / halfWidth;
+  const nosePosition = (noseTip.y - eyeLine.y) / eyeToChin;
+
+  return {
+    yaw: toDegrees(asinClamped(noseOffset / (1 + NOSE_DEPTH))),
+    pitch: toDegrees(
+      asinClamped((LEVEL_NOSE_POSITION - nosePosition) / NOSE_PITCH_TRAVEL)
+    ),
+    roll: toDegrees(roll),
+  };
+};
+
+/**
+ * Distance from the face to each edge of the photo, relative to the face
+ * height. Negative when the face runs past the edge.
+ * @param {object} face - Face from detectFaces
+ * @param {{width: number, height: number}} imageSize - Size of the image
+ * @returns {{top: number, right: number, bottom: number, left: number}} - The margins
+ */
+const getEdgeMargins = (face, imageSize) => {
+  // The detector's box can stop short of the chin or the face outline, so
+  // the landmarks widen it
+  const xs = [face.box.x, face.box.x + face.box.width];
+  const ys = [face.box.y, face.box.y + face.box.height];
+  for (const point of face.landmarks || []) {
+    xs.push(point.x);
+    ys.push(point.y);
+  }
+
+  const size = face.box.height;
+  const round = (value) => Number(value.toFixed(3));
+
+  return {
+    top: round(Math.min(...ys) / size),
+    right: round((imageSize.width - Math.max(...xs)) / size),
+    bottom: round((imageSize.height - Math.max(...ys)) / size),
+    left: round(Math.min(...xs) / size),
+  };
+};
+
+/**
+ * Check that a face is fully in the photo, large enough and roughly
+ * frontal. The checks run in order and the first failure is reported;
+ * pose is only judged on faces that are fully in the photo, since the
+ * landmarks of a cut-off face are guesses.
+ * @param {object} face - Largest face from detectFaces
+ * @param {{width: number, height: number}} imageSize - Size of the image
+ * @param {object} [options] - Limits, see DEFAULT_LIMITS
+ * @returns {{isValid: boolean, reason: string|null, code: string|null, details: object}} - Validation result
+ */
+const validateFaceFraming = (face, imageSize, options = {}) => {
+  const limits = { ...DEFAULT_LIMITS, ...options };
+  const edgeMargins = getEdgeMargins(face, imageSize);
+  const faceHeightRatio = Number(
+    (face.box.height / imageSize.height).toFixed(3)
+  );
+  const pose = estimateHeadPose(face.landmarks);
+
+  const details = { pose, faceHeightRatio, edgeMargins, limits };
+  const fail = (code, reason) => ({ isValid: false, reason, code, details });
+
+  if (
+    Object.values(edgeMargins).some((margin) => margin < limits.minEdgeMargin)
+  ) {
+    return fail(
+      "face_cut_off",
+      "Your face is cut off by the edge of the photo. Please upload a photo with your whole face in the frame."
+    );
+  }
+
+  if (faceHeightRatio < limits.minFaceHeight) {
+    return fail(
+      "face_too_small",
+      "Your face is too small in the photo. Please upload a closer photo."
+    );
+  }
+
+  if (pose && Math.abs(pose.yaw) > limits.maxYaw) {
+    return fail(
+      "face_yaw_exceeded",
+      "Your face is turned to the side. Please upload a photo facing the camera."
+    );
+  }
+
+  if (pose && Math.abs(pose.pitch) > limits.maxPitch) {
+    return fail(
+      "face_pitch_exceeded",
+      "Your head is tilted up or down. Please upload a photo looking straight at the camera."
+    );
+  }
+
+  if (pose && Math.abs(pose.roll) > limits.maxRoll) {
+    return fail(
+      "face_roll_exceeded",
+      "Your head is tilted to the side. Please upload a photo with your head level."
+    );
+  }
+
+  return { isValid: true, reason: null, code: null, details };
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  estimateHeadPose,
+  validateFaceFraming,
+};
@@ -0,0 +1,186 @@
+const heicConvert = require("heic-convert");
+const { PipelineError, PIPELINE_ERROR_CODES } = require("./errors");
+const { createLogger } = require("../../utils/logger");
+
+const logger = createLogger({ module: "heicConversion" });
+
+// ftyp brands used by HEIC/HEIF stills and sequences
+const HEIC_BRANDS = [
+  "heic",
+  "heix",
+  "hevc",
+  "hevx",
+  "heim",
+  "heis",
+  "hevm",
+  "hevs",
+  "mif1",
+  "msf1",
+];
+
+// AVIF shares the mif1 brand but is decoded by sharp directly
+const AVIF_BRANDS = ["avif", "avis"];
+
+// Item types that libheif treats as images
+const IMAGE_ITEM_TYPES = ["hvc1", "grid", "iden", "iovl", "av01", "jpeg"];
+
+// Quality of the JPEG master written for converted originals (0-1)
+const CONVERTED_JPEG_QUALITY = 0.92;
+
+/**
+ * Reads the ISO BMFF boxes between two offsets
+ * @param {Buffer} buffer - The file buffer
+ * @param {number} start - Offset of the first box
+ * @param {number} end - Offset the boxes end at
+ * @returns {Array<{type: string, start: number, end: number}>} - Boxes with their payload ranges
+ */
+const readBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+/**
+ * Checks the ftyp box of a buffer for HEIC/HEIF brands
+ * @param {Buffer} buffer - The file buffer
+ * @returns {boolean} - Whether the buffer holds a HEIC/HEIF image
+ */
+const isHeicBuffer = (buffer) => {
+  if (!buffer || buffer.length < 16) return false;
+  if (buffer.toString("ascii", 4, 8) !== "ftyp") return false;
+
+  const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+
+  // Major brand, then the compatible brands after the minor version
+  const brands = [buffer.toString("ascii", 8, 12)];
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    brands.push(buffer.toString("ascii", offset, offset + 4));
+  }
+
+  if (brands.some((brand) => AVIF_BRANDS.includes(brand))) return false;
+
+  return brands.some((brand) => HEIC_BRANDS.includes(brand));
+};
+
+/**
+ * Finds the position of the primary image among the top-level images of a
+ * HEIC container, in the order libheif decodes them
+ * @param {Buffer} buffer - The HEIC buffer
+ * @returns {number} - Index of the primary image (0 when it can't be determined)
+ */
+const getPrimaryImageIndex = (buffer) => {
+  try {
+    const meta = readBoxes(buffer, 0, buffer.length).find(
+      (box) => box.type === "meta"
+    );
+    if (!meta) return 0;
+
+    // meta is a full box: skip version and flags
+    const children = readBoxes(buffer, meta.start + 4, meta.end);
+
+    const pitm = children.find((box) => box.type === "pitm");
+    if (!pitm) return 0;
+    const primaryId =
+      buffer[pitm.start] === 0
+        ? buffer.readUInt16BE(pitm.start + 4)
+        : buffer.readUInt32BE(pitm.start + 4);
+
+    // Thumbnails and auxiliary images (alpha, depth) are not top-level
+    const excludedIds = new Set();
+    const iref = children.find((box) => box.type === "iref");
+    if (iref) {
+      const idSize = buffer[iref.start] === 0 ? 2 : 4;
+      for (const ref of readBoxes(buffer, iref.start + 4, iref.end)) {
+        if (ref.type === "thmb" || ref.type === "auxl") {
+          excludedIds.add(
+            idSize === 2
+              ? buffer.readUInt16BE(ref.start)
+              : buffer.readUInt32BE(ref.start)
+          );
+        }
+      }
+    }
+
+    const iinf = children.find((box) => box.type === "iinf");
+    if (!iinf) return 0;
+    const entriesStart = iinf.start + 4 + (buffer[iinf.start] === 0 ? 2 : 4);
+
+    const topLevelIds = [];
+    for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+      const version = buffer[infe.start];
+      // Item types are only present from infe version 2 onwards
+      if (infe.type !== "infe" || version < 2) continue;
+
+      const isHidden = (buffer[infe.start + 3] & 1) === 1;
+      const itemId =
+        version === 2
+          ? buffer.readUInt16BE(infe.start + 4)
+          : buffer.readUInt32BE(infe.start + 4);
+      const typeOffset = infe.start + (version === 2 ? 8 : 10);
+      const itemType = buffer.toString("ascii", typeOffset, typeOffset + 4);
+
+      if (
+        IMAGE_ITEM_TYPES.includes(itemType) &&
+        !isHidden &&
+        !excludedIds.has(itemId)
+      ) {
+        topLevelIds.push(itemId);
+      }
+    }
+
+    return Math.max(topLevelIds.indexOf(primaryId), 0);
+  } catch (error) {
+    logger.warn("Error reading HEIC item structure", { error });
+    return 0;
+  }
+};
+
+/**
+ * Decodes the primary image of a HEIC/HEIF container to JPEG
+ * @param {Buffer} buffer - The HEIC buffer
+ * @returns {Promise<Buffer>} - The JPEG buffer
+ */
+const convertHeicToJpeg = async (buffer) => {
+  try {
+    const images = await heicConvert.all({
+      buffer,
+      format: "JPEG",
+      quality: CONVERTED_JPEG_QUALITY,
+    });
+
+    const primaryIndex = getPrimaryImageIndex(buffer);
+    const image = images[primaryIndex] || images[0];
+
+    return Buffer.from(await image.convert());
+  } catch (error) {
+    throw new PipelineError(
+      PIPELINE_ERROR_CODES.UNSUPPORTED_FORMAT,
+      `Failed to decode HEIC/HEIF image: ${error.message}`
+    );
+  }
+};
+
+module.exports = {
+  isHeicBuffer,
+  getPrimaryImageIndex,
+  convertHeicToJpeg,
+};
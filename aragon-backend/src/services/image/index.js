@@ -6,12 +6,43 @@ const {
 } = require("./duplicateDetection");
 const {
   getImageUrl,
+  getVariantUrls,
+  withUrls,
+  getUploadUrl,
+  getStoredFileHead,
   deleteImageFiles,
   getImageBuffer,
   saveImageToStorage,
 } = require("./storage");
-const { processImage, deleteImage } = require("./processor");
-const { detectFaces, validateFaceCount } = require("./faceDetection");
+const {
+  sniffImageType,
+  finalizeUpload,
+  expireAbandonedUploads,
+} = require("./uploads");
+const { isHeicBuffer, convertHeicToJpeg } = require("./heicConversion");
+const {
+  REPROCESSABLE_STATUSES,
+  checkProcessable,
+  queueImageProcessing,
+  processImage,
+  updateImageCrop,
+  deleteImage,
+  deleteImages,
+  getPipeline,
+  getPipelineVersion,
+  saveImageHistory,
+} = require("./processor");
+const {
+  registerValidator,
+  getValidator,
+  listValidators,
+} = require("./validators");
+const {
+  loadModels,
+  detectFaces,
+  validateFaceCount,
+} = require("./faceDetection");
+const { requestDebugCapture, getDebugCaptures } = require("./debugCapture");
 
 module.exports = {
   // Image validation
@@ -21,20 +52,51 @@ module.exports = {
   detectBlurryImage,
 
   // Face detection
+  loadModels,
   detectFaces,
   validateFaceCount,
 
+  // HEIC/HEIF decoding
+  isHeicBuffer,
+  convertHeicToJpeg,
+
   // Duplicate detection
   generateImageHash,
   checkDuplicateImage,
 
   // Storage functions
   getImageUrl,
+  getVariantUrls,
+  withUrls,
+  getUploadUrl,
+  getStoredFileHead,
   deleteImageFiles,
   getImageBuffer,
   saveImageToStorage,
 
+  // Direct uploads
+  sniffImageType,
+  finalizeUpload,
+  expireAbandonedUploads,
+
+  // Validation pipeline
+  registerValidator,
+  getValidator,
+  listValidators,
+  getPipeline,
+  getPipelineVersion,
+
+  // Debug captures
+  requestDebugCapture,
+  getDebugCaptures,
+
   // Main processing functions
+  REPROCESSABLE_STATUSES,
+  checkProcessable,
+  queueImageProcessing,
   processImage,
+  updateImageCrop,
   deleteImage,
+  deleteImages,
+  saveImageHistory,
 };
@@ -1,26 +1,207 @@
+const crypto = require("crypto");
 const sharp = require("sharp");
 const path = require("path");
 const { PrismaClient } = require("@prisma/client");
 const { ApiError } = require("../../utils/errorHandler");
+const { PipelineError, PIPELINE_ERROR_CODES } = require("./errors");
 
 // Import modules
-const { validateImageSize } = require("./sizeValidation");
-const { detectBlurryImage } = require("./blurDetection");
 const {
-  generateImageHash,
-  checkDuplicateImage,
-} = require("./duplicateDetection");
-const { getImageBuffer, saveImageToStorage } = require("./storage");
-const { validateFacesWithOverride } = require("./faceDetection");
+  getImageBuffer,
+  saveImageToStorage,
+  deleteImageFiles,
+} = require("./storage");
+const { generateRenditions, getPrimaryVariant } = require("./renditions");
+const { isHeicBuffer, convertHeicToJpeg } = require("./heicConversion");
+const { extractExifMetadata, applyOrientation } = require("./exifMetadata");
+const { computeCrops, validateCrop } = require("./smartCrop");
+const { scoreImageQuality } = require("./qualityScore");
+const renditionConfig = require("../../config/renditions");
+const { resolvePipeline, runValidator } = require("./validators");
+const validationConfig = require("../../config/validation");
+const { publishImageEvent } = require("../imageEvents");
+const { enqueueImageProcessing } = require("../queue/jobQueue");
+const { dispatchWebhookEvent } = require("../webhookService");
+const { createLogger } = require("../../utils/logger");
+const { rejectionsTotal, processingDuration } = require("../../utils/metrics");
 
 const prisma = new PrismaClient();
+const logger = createLogger({ module: "processor" });
+
+// Resolved when the module loads so config mistakes surface at startup
+const pipeline = resolvePipeline(validationConfig.pipeline);
+
+/**
+ * Get the active validation pipeline
+ * @returns {Array<{name: string, severity: string, options: object}>} - The pipeline steps
+ */
+const getPipeline = () =>
+  pipeline.map(({ name, severity, options }) => ({ name, severity, options }));
+
+// Identifies the options images were evaluated with, so a tuning change
+// shows up even when the version wasn't bumped
+const pipelineConfigHash = crypto
+  .createHash("sha256")
+  .update(JSON.stringify(getPipeline()))
+  .digest("hex")
+  .slice(0, 16);
+
+/**
+ * Get the version and config hash recorded on evaluated images
+ * @returns {{version: number, configHash: string}}
+ */
+const getPipelineVersion = () => ({
+  version: validationConfig.version,
+  configHash: pipelineConfigHash,
+});
+
+// Statuses of images that already have a result to re-evaluate
+const REPROCESSABLE_STATUSES = ["PROCESSED", "FAILED"];
+
+/**
+ * Keep the current result of an image before it is evaluated again
+ * @param {object} image - The image
+ * @param {string} reason - Why it is evaluated again, e.g. "reprocess"
+ * @returns {Promise<object>} - The history record
+ */
+const saveImageHistory = (image, reason) =>
+  prisma.imageHistory.create({
+    data: {
+      imageId: image.id,
+      reason,
+      status: image.status,
+      pipelineVersion: image.pipelineVersion,
+      pipelineConfigHash: image.pipelineConfigHash,
+      qualityScore: image.qualityScore,
+      quality: image.quality ?? undefined,
+      metaData: image.metaData ?? undefined,
+      evaluatedAt: image.updatedAt,
+    },
+  });
+
+/**
+ * Why an image can't be queued for processing on its owner's request
+ * @param {object} image - The image, with the status of its `photoSet` if it has one
+ * @returns {ApiError|null} - The error, or null if it can be queued
+ */
+const checkProcessable = (image) => {
+  // Submitted sets are final; a re-run could change what was accepted
+  if (image.photoSet && image.photoSet.status !== "DRAFT") {
+    return new ApiError(
+      409,
+      "Images in a submitted photo set can't be processed"
+    ).withCode("photo_set_submitted");
+  }
+
+  if (image.status === "PROCESSED") {
+    return new ApiError(400, "Image already processed").withCode(
+      "already_processed"
+    );
+  }
+
+  if (image.status === "UPLOADING") {
+    return new ApiError(400, "Image upload has not been finalized").withCode(
+      "upload_not_finalized"
+    );
+  }
+
+  // A reviewer's rejection is final
+  if (image.metaData?.review?.decision === "REJECTED") {
+    return new ApiError(409, "Image was rejected on review").withCode(
+      "rejected_on_review"
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Queue an image for processing on its owner's request. A failed image is
+ * evaluated again: its result is kept in its history and it goes back to
+ * PENDING until the worker picks it up.
+ * @param {object} image - The image
+ * @param {object} [options] - Job options, see enqueueImageProcessing
+ * @returns {Promise<object>} - The queued job
+ * @throws {ApiError} - If the image can't be processed, see checkProcessable
+ */
+const queueImageProcessing = async (image, options = {}) => {
+  const error = checkProcessable(image);
+  if (error) throw error;
+
+  if (image.status === "FAILED") {
+    // Only one of several concurrent requests moves the image
+    const { count } = await prisma.image.updateMany({
+      where: { id: image.id, status: "FAILED" },
+      data: { status: "PENDING" },
+    });
+    if (count > 0) {
+      await saveImageHistory(image, "retry");
+      await publishImageEvent(image, "status", { status: "PENDING" });
+    }
+  }
+
+  return enqueueImageProcessing(image.id, options);
+};
+
+/**
+ * Read the metadata of an image
+ * @param {Buffer} imageBuffer - The image buffer
+ * @returns {Promise<object>} - The sharp metadata
+ * @throws {PipelineError} - If sharp can't decode the image
+ */
+const readMetadata = async (imageBuffer) => {
+  try {
+    return await sharp(imageBuffer).metadata();
+  } catch (error) {
+    throw new PipelineError(
+      PIPELINE_ERROR_CODES.UNSUPPORTED_FORMAT,
+      `Failed to decode image: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Mark an image as failed by the current pipeline. Renditions of an
+ * earlier run don't belong to a failed image, so they are removed.
+ * @param {object} image - The image
+ * @param {object} metaData - Why it failed
+ * @returns {Promise<object>} - The failed image
+ */
+const failImage = async (image, metaData) => {
+  const staleVariants = image.processedPath
+    ? await prisma.imageVariant.findMany({ where: { imageId: image.id } })
+    : [];
+
+  const failedImage = await prisma.image.update({
+    where: { id: image.id },
+    data: {
+      status: "FAILED",
+      processedPath: null,
+      processedSize: null,
+      variants: { deleteMany: {} },
+      pipelineVersion: validationConfig.version,
+      pipelineConfigHash,
+      metaData,
+    },
+  });
+  await deleteImageFiles(...staleVariants.map((variant) => variant.path));
+
+  return failedImage;
+};
 
 /**
  * Process an image
  * @param {string} imageId - The image ID
+ * @param {object} [options] - Processing options
+ * @param {boolean} [options.retryable] - Put the image back to PENDING and rethrow
+ * unexpected errors instead of failing it, so the caller can retry
+ * @param {boolean} [options.reprocess] - Evaluate a processed or failed image again,
+ * keeping its current result in its history
+ * @param {object} [options.debug] - Debug capture to record each step's stats and
+ * images in, from createDebugCapture
  * @returns {Promise<object>} - The processed image
  */
-const processImage = async (imageId) => {
+const processImage = async (imageId, options = {}) => {
   let image = await prisma.image.findUnique({
     where: { id: imageId },
   });
@@ -29,12 +210,49 @@ const processImage = async (imageId) => {
     throw new ApiError(404, "Image not found");
   }
 
-  // Only process images with PENDING status
-  if (image.status !== "PENDING") {
-    console.log(`Skipping image ${imageId} with status ${image.status}`);
+  // A reviewer's decision outlives reprocessing
+  const review = image.metaData?.review;
+  const reprocessing =
+    options.reprocess && REPROCESSABLE_STATUSES.includes(image.status);
+
+  // Streams still waiting on the image learn where it stands
+  const publishSkipped = () =>
+    publishImageEvent(image, "status", {
+      status: image.status,
+      ...(image.metaData?.rejectionReason && {
+        rejectionReason: image.metaData.rejectionReason,
+        validationErrors: image.metaData.validationErrors,
+      }),
+    });
+
+  // Only process images with PENDING status, unless re-evaluating a result
+  if (image.status !== "PENDING" && !reprocessing) {
+    logger.info("Skipping image", { status: image.status });
+    await publishSkipped();
+    return image;
+  }
+
+  if (reprocessing && review?.decision === "REJECTED") {
+    logger.info("Skipping image rejected on review");
+    await publishSkipped();
     return image;
   }
 
+  if (reprocessing) {
+    await saveImageHistory(image, "reprocess");
+  }
+
+  // Tell the owner's event streams about each status change
+  const publishStatus = (status, data = {}) =>
+    publishImageEvent(image, "status", { status, ...data });
+
+  const startedAt = Date.now();
+  const endTimer = processingDuration.startTimer();
+  logger.info("Processing image", {
+    status: image.status,
+    reprocess: Boolean(reprocessing),
+  });
+
   try {
     // Update status to PROCESSING
     await prisma.image.update({
@@ -43,213 +261,336 @@ const processImage = async (imageId) => {
         status: "PROCESSING",
       },
     });
+    await publishStatus("PROCESSING");
 
-    // Get image buffer from storage
-    const imageBuffer = await getImageBuffer(image.originalPath);
+    // Get image buffer from storage, preferring an already converted master
+    let imageBuffer = await getImageBuffer(
+      image.convertedPath || image.originalPath
+    );
 
-    // Validate image size
-    const sizeValidation = await validateImageSize(imageBuffer);
-    if (!sizeValidation.isValid) {
-      await prisma.image.update({
+    // Decode HEIC/HEIF originals before any validator sees them, and keep
+    // the converted master next to the original
+    if (isHeicBuffer(imageBuffer)) {
+      imageBuffer = await convertHeicToJpeg(imageBuffer);
+      const convertedPath = await saveImageToStorage(
+        imageBuffer,
+        `${path.parse(image.originalPath).name}.jpg`,
+        path.posix.dirname(image.originalPath)
+      );
+      image = await prisma.image.update({
         where: { id: imageId },
-        data: {
-          status: "FAILED",
-          metaData: {
-            rejectionReason: sizeValidation.reason,
-            validationErrors: ["size_validation_failed"],
-            width: imageBuffer
-              ? (
-                  await sharp(imageBuffer).metadata()
-                ).width
-              : null,
-            height: imageBuffer
-              ? (
-                  await sharp(imageBuffer).metadata()
-                ).height
-              : null,
-            fileSize: imageBuffer ? imageBuffer.length : null,
-          },
-        },
+        data: { convertedPath },
       });
-      return await prisma.image.findUnique({ where: { id: imageId } });
     }
 
-    // Check for multiple faces in the image
-    let faceValidation;
-    try {
-      faceValidation = await validateFacesWithOverride(imageBuffer);
-      if (!faceValidation.isValid) {
-        console.log(
-          `Rejecting image ${imageId} due to multiple faces detection`
-        );
-        await prisma.image.update({
-          where: { id: imageId },
-          data: {
-            status: "FAILED",
-            metaData: {
-              rejectionReason: faceValidation.reason,
-              validationErrors: ["multiple_faces_detected"],
-              faceData: faceValidation.details,
-            },
-          },
-        });
-        return await prisma.image.findUnique({ where: { id: imageId } });
-      }
-    } catch (faceError) {
-      console.error(
-        `Error during face validation for image ${imageId}:`,
-        faceError
-      );
-      // Continue with processing if face detection fails, don't reject the image
-      faceValidation = {
-        isValid: true,
-        details: { faceCount: 0, error: faceError.message },
+    // Keep the useful EXIF fields, then turn the pixels upright before any
+    // validator measures or scans them
+    const originalMetadata = await readMetadata(imageBuffer);
+    const exif = extractExifMetadata(originalMetadata);
+    imageBuffer = await applyOrientation(imageBuffer, originalMetadata);
+
+    // Run the configured validation pipeline
+    const sourceMetadata = await sharp(imageBuffer).metadata();
+    const context = {
+      image,
+      imageBuffer,
+      metadata: sourceMetadata,
+      results: {},
+      debug: options.debug || null,
+    };
+    context.debug?.addStats("source", {
+      format: originalMetadata.format,
+      orientation: originalMetadata.orientation,
+      width: sourceMetadata.width,
+      height: sourceMetadata.height,
+      fileSize: imageBuffer.length,
+    });
+    const validations = {};
+    const validationWarnings = [];
+    const overriddenErrors = [];
+    let validatorMetaData = {};
+
+    for (const step of pipeline) {
+      const stepStartedAt = Date.now();
+      const result = await runValidator(step, context);
+      context.results[step.name] = result;
+      context.debug?.addStats(step.name, {
+        passed: result.passed,
+        severity: result.severity,
+        code: result.code,
+        durationMs: Date.now() - stepStartedAt,
+        details: result.details,
+      });
+      logger.debug("Validation step finished", {
+        step: step.name,
+        passed: result.passed,
+        severity: result.severity,
+        code: result.passed ? undefined : result.code,
+      });
+      validations[step.name] = {
+        passed: result.passed,
+        severity: result.severity,
+        code: result.code,
+        reason: result.reason,
+        details: result.details,
       };
-    }
+      validatorMetaData = { ...validatorMetaData, ...result.metaData };
+      await publishImageEvent(image, "validation", {
+        step: step.name,
+        ...validations[step.name],
+      });
 
-    // Check if image is blurry
-    const blurDetection = await detectBlurryImage(imageBuffer);
-    console.log(
-      `Final blur detection result for image ${imageId}: isBlurry=${blurDetection.isBlurry}, reason=${blurDetection.reason}`
-    );
+      if (result.passed) continue;
 
-    if (blurDetection.isBlurry) {
-      console.log(`Rejecting image ${imageId} due to blur detection`);
-      await prisma.image.update({
-        where: { id: imageId },
-        data: {
-          status: "FAILED",
-          metaData: {
-            rejectionReason: `Image is too blurry. Please upload a clearer photo.`,
-            validationErrors: ["blurry_image_detected"],
-            blurDetails: blurDetection.details || {
-              reason: blurDetection.reason,
-            },
-          },
-        },
+      if (result.severity === "warn") {
+        validationWarnings.push(result.code);
+        continue;
+      }
+
+      // A reviewer accepted the image despite this check
+      if (review?.decision === "ACCEPTED") {
+        overriddenErrors.push(result.code);
+        continue;
+      }
+
+      logger.info("Image rejected", {
+        step: step.name,
+        code: result.code,
+        durationMs: Date.now() - startedAt,
+      });
+
+      const rejectedImage = await failImage(image, {
+        ...validatorMetaData,
+        rejectionReason: result.reason,
+        validationErrors: [result.code],
+        validationWarnings,
+        validations,
+        exif,
+        width: sourceMetadata.width,
+        height: sourceMetadata.height,
+        fileSize: imageBuffer.length,
       });
-      return await prisma.image.findUnique({ where: { id: imageId } });
+      await publishStatus("FAILED", {
+        rejectionReason: result.reason,
+        validationErrors: [result.code],
+        validationWarnings,
+      });
+      await dispatchWebhookEvent("image.failed", rejectedImage);
+      rejectionsTotal.inc({ code: result.code });
+      endTimer({ outcome: "rejected" });
+      return rejectedImage;
     }
 
-    // Generate hash and check for duplicates
-    const imageHash = await generateImageHash(imageBuffer);
-    const { isDuplicate, similarImage } = await checkDuplicateImage(
-      imageHash,
-      imageId,
-      image.originalName
+    // Score the photo so it can be compared with the owner's other photos.
+    // A scoring error shouldn't turn away a photo that passed validation.
+    let quality = null;
+    try {
+      quality = await scoreImageQuality(context);
+    } catch (error) {
+      logger.error("Error scoring image quality", { error });
+    }
+
+    // Frame the crops around the largest face the faces check found
+    const crops = computeCrops(
+      { width: sourceMetadata.width, height: sourceMetadata.height },
+      context.results.faces?.details?.faces?.[0]
     );
 
-    if (isDuplicate) {
-      await prisma.image.update({
-        where: { id: imageId },
-        data: {
-          status: "FAILED",
-          metaData: {
-            rejectionReason: `Duplicate of image: ${similarImage.id} (${similarImage.originalName})`,
-            validationErrors: ["duplicate_image_detected"],
-            pHash: imageHash,
-            similarTo: similarImage.id,
-          },
-        },
-      });
-      return await prisma.image.findUnique({ where: { id: imageId } });
-    }
+    // Write the configured renditions
+    const variants = await generateRenditions(imageId, imageBuffer, {
+      exif,
+      crops: crops.regions,
+    });
+    const primaryVariant = getPrimaryVariant(variants);
 
-    // Process the image (example: resize, optimize, etc.)
-    const processedImageBuffer = await sharp(imageBuffer)
-      .resize(800, 800, { fit: "inside", withoutEnlargement: true })
-      .jpeg({ quality: 80 })
-      .toBuffer();
-
-    // Get metadata for the processed image
-    const metadata = await sharp(processedImageBuffer).metadata();
-
-    // Prepare filename for processed image
-    const filename = `${
-      path.parse(image.originalName).name
-    }-processed-${Date.now()}${path.extname(image.originalName)}`;
-
-    // Save processed image
-    const processedPath = await saveImageToStorage(
-      processedImageBuffer,
-      filename,
-      "uploads/processed"
+    // Replace the variants of an earlier run, removing files of renditions
+    // that are no longer configured
+    const previousVariants = await prisma.imageVariant.findMany({
+      where: { imageId },
+    });
+    const variantPaths = variants.map((variant) => variant.path);
+    await deleteImageFiles(
+      ...previousVariants
+        .map((variant) => variant.path)
+        .filter((variantPath) => !variantPaths.includes(variantPath))
     );
+    await prisma.$transaction([
+      prisma.imageVariant.deleteMany({ where: { imageId } }),
+      prisma.imageVariant.createMany({
+        data: variants.map((variant) => ({ imageId, ...variant })),
+      }),
+    ]);
 
     // Update the image record with the processed information
     image = await prisma.image.update({
       where: { id: imageId },
       data: {
-        processedPath,
-        processedSize: processedImageBuffer.length,
+        processedPath: primaryVariant.path,
+        processedSize: primaryVariant.size,
         status: "PROCESSED",
+        pipelineVersion: validationConfig.version,
+        pipelineConfigHash,
+        ...(quality && {
+          qualityScore: quality.score,
+          quality: quality.components,
+        }),
         metaData: {
-          width: metadata.width,
-          height: metadata.height,
-          format: metadata.format,
-          pHash: imageHash,
+          ...validatorMetaData,
+          width: primaryVariant.width,
+          height: primaryVariant.height,
+          format: primaryVariant.format,
           processingTime: new Date().toISOString(),
-          faceCount: faceValidation.details.faceCount || 0,
+          validationWarnings,
+          validations,
+          exif,
+          crops,
+          ...(review && { review, overriddenErrors }),
         },
       },
     });
+    await publishStatus("PROCESSED", {
+      validationWarnings,
+      qualityScore: image.qualityScore,
+    });
+    await dispatchWebhookEvent("image.processed", image);
+
+    logger.info("Image processed", {
+      qualityScore: image.qualityScore,
+      validationWarnings,
+      durationMs: Date.now() - startedAt,
+    });
+    endTimer({ outcome: "processed" });
 
     return image;
   } catch (error) {
-    console.error(`Error processing image ${imageId}:`, error);
+    logger.error("Error processing image", { error });
 
     // Create a user-friendly error message
     let userFriendlyMessage = "Image processing failed";
     let validationError = "processing_error";
 
-    // Check for specific error types and provide friendly messages
-    if (error.message?.includes("duplicate")) {
-      userFriendlyMessage =
-        "This image appears to be a duplicate of one you've already uploaded";
-      validationError = "duplicate_image_detected";
-    } else if (
-      error.message?.includes("resolution") ||
-      error.message?.includes("dimensions")
-    ) {
-      userFriendlyMessage =
-        "Image resolution is too low. Please upload a larger image (minimum 800x800px)";
-      validationError = "size_validation_failed";
-    } else if (error.message?.includes("size")) {
-      userFriendlyMessage =
-        "Image file size is too small. Please upload a larger image file (minimum 100KB)";
-      validationError = "size_validation_failed";
-    } else if (
-      error.message?.includes("format") ||
-      error.message?.includes("unsupported")
-    ) {
+    // Only a photo the owner can replace gets its own message. Everything
+    // else, such as missing face models, is a processing error.
+    if (error.code === PIPELINE_ERROR_CODES.UNSUPPORTED_FORMAT) {
       userFriendlyMessage =
         "Unsupported image format. Please use JPEG, PNG, or HEIC formats";
       validationError = "format_validation_failed";
-    } else if (error.message?.includes("face")) {
-      userFriendlyMessage =
-        "Multiple faces detected in image. Please upload a photo with at most one face.";
-      validationError = "multiple_faces_detected";
     }
 
+    // Unexpected errors (storage, database) may succeed on another attempt
+    if (options.retryable && validationError === "processing_error") {
+      await prisma.image.update({
+        where: { id: imageId },
+        data: { status: "PENDING" },
+      });
+      await publishStatus("PENDING");
+      endTimer({ outcome: "retried" });
+      throw error;
+    }
+
+    rejectionsTotal.inc({ code: validationError });
+    endTimer({ outcome: "failed" });
+
     // Update the image status to FAILED with a user-friendly message
-    await prisma.image.update({
+    const failedImage = await failImage(image, {
+      rejectionReason: userFriendlyMessage,
+      validationErrors: [validationError],
+      technicalError:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+      ...(review && { review }),
+    });
+    await publishStatus("FAILED", {
+      rejectionReason: userFriendlyMessage,
+      validationErrors: [validationError],
+    });
+    await dispatchWebhookEvent("image.failed", failedImage);
+
+    // Return the updated image rather than throwing
+    return failedImage;
+  }
+};
+
+/**
+ * Replace one crop of a processed image and write its renditions again
+ * @param {string} imageId - The image ID
+ * @param {string} name - The crop name
+ * @param {object} crop - `{ x, y, width, height }` in pixels of the upright image
+ * @returns {Promise<object>} - The updated image with its variants
+ */
+const updateImageCrop = async (imageId, name, crop) => {
+  const image = await prisma.image.findUnique({
+    where: { id: imageId },
+  });
+
+  if (!image) {
+    throw new ApiError(404, "Image not found");
+  }
+
+  if (image.status !== "PROCESSED" || !image.metaData?.crops) {
+    throw new ApiError(409, "Only processed images can be cropped");
+  }
+
+  const { imageSize, regions } = image.metaData.crops;
+  const region = validateCrop(name, crop, imageSize);
+
+  // Start from the same upright source the pipeline used
+  let imageBuffer = await getImageBuffer(
+    image.convertedPath || image.originalPath
+  );
+  imageBuffer = await applyOrientation(
+    imageBuffer,
+    await sharp(imageBuffer).metadata()
+  );
+
+  const names = renditionConfig.renditions
+    .filter((rendition) => rendition.crop === name)
+    .map((rendition) => rendition.name);
+  const variants = await generateRenditions(imageId, imageBuffer, {
+    exif: image.metaData.exif,
+    crops: { [name]: region },
+    only: names,
+  });
+
+  const [, , updatedImage] = await prisma.$transaction([
+    prisma.imageVariant.deleteMany({
+      where: { imageId, name: { in: names } },
+    }),
+    prisma.imageVariant.createMany({
+      data: variants.map((variant) => ({ imageId, ...variant })),
+    }),
+    prisma.image.update({
       where: { id: imageId },
       data: {
-        status: "FAILED",
         metaData: {
-          rejectionReason: userFriendlyMessage,
-          validationErrors: [validationError],
-          technicalError:
-            process.env.NODE_ENV === "development" ? error.message : undefined,
+          ...image.metaData,
+          crops: { imageSize, regions: { ...regions, [name]: region } },
         },
       },
-    });
+      include: { variants: true },
+    }),
+  ]);
 
-    // Return the updated image rather than throwing
-    return await prisma.image.findUnique({ where: { id: imageId } });
-  }
+  return updatedImage;
 };
 
+// Relations holding the paths of an image's other files
+const imageFileRelations = { variants: true, debugCaptures: true };
+
+/**
+ * Paths of every stored file of an image
+ * @param {object} image - The image, with its variants and debug captures
+ * @returns {string[]} - The paths (some may be empty)
+ */
+const getImageFilePaths = (image) => [
+  image.originalPath,
+  image.convertedPath,
+  image.processedPath,
+  ...image.variants.map((variant) => variant.path),
+  ...image.debugCaptures.flatMap((capture) =>
+    capture.artifacts.map((artifact) => artifact.key)
+  ),
+];
+
 /**
  * Delete an image and its files
  * @param {string} imageId - The image ID
@@ -258,6 +599,7 @@ const processImage = async (imageId) => {
 const deleteImage = async (imageId) => {
   const image = await prisma.image.findUnique({
     where: { id: imageId },
+    include: imageFileRelations,
   });
 
   if (!image) {
@@ -265,16 +607,47 @@ const deleteImage = async (imageId) => {
   }
 
   // Delete the image files using the storage module's deleteImageFiles function
-  const { deleteImageFiles } = require("./storage");
-  await deleteImageFiles(image.originalPath, image.processedPath);
+  await deleteImageFiles(...getImageFilePaths(image));
 
   // Delete database record
   await prisma.image.delete({
     where: { id: imageId },
   });
+  await dispatchWebhookEvent("image.deleted", image);
+};
+
+/**
+ * Delete several images, removing all of their files in one storage request
+ * @param {string[]} imageIds - IDs of the images
+ * @returns {Promise<object[]>} - The deleted images; unknown IDs are skipped
+ */
+const deleteImages = async (imageIds) => {
+  const images = await prisma.image.findMany({
+    where: { id: { in: imageIds } },
+    include: imageFileRelations,
+  });
+
+  await deleteImageFiles(...images.flatMap(getImageFilePaths));
+
+  await prisma.image.deleteMany({
+    where: { id: { in: images.map((image) => image.id) } },
+  });
+  for (const image of images) {
+    await dispatchWebhookEvent("image.deleted", image);
+  }
+
+  return images;
 };
 
 module.exports = {
+  REPROCESSABLE_STATUSES,
+  checkProcessable,
+  queueImageProcessing,
   processImage,
+  updateImageCrop,
   deleteImage,
+  deleteImages,
+  getPipeline,
+  getPipelineVersion,
+  saveImageHistory,
 };
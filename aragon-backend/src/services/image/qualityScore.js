@@ -0,0 +1,207 @@
+const sharp = require("sharp");
+const { detectBlurryImage } = require("./blurDetection");
+
+// How much each component counts towards the overall score. Components
+// that can't be measured (e.g. no face found) are left out and the other
+// weights scaled up.
+const WEIGHTS = {
+  sharpness: 0.3,
+  exposure: 0.15,
+  contrast: 0.1,
+  noise: 0.1,
+  faceSize: 0.2,
+  resolution: 0.15,
+};
+
+// Longest edge the image is scaled down to for the pixel statistics
+const ANALYSIS_SIZE = 512;
+
+// Gray levels at or past these count as clipped shadows and highlights
+const CLIP_LOW = 4;
+const CLIP_HIGH = 251;
+
+/**
+ * Map a measurement onto 0-100, linearly between two points
+ * @param {number} value - The measurement
+ * @param {number} worst - Value that scores 0
+ * @param {number} best - Value that scores 100
+ * @returns {number} - The score, clamped to 0-100
+ */
+const ramp = (value, worst, best) =>
+  Math.min(Math.max(((value - worst) / (best - worst)) * 100, 0), 100);
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Brightness, contrast, clipping and noise of a downscaled grayscale copy
+ * @param {Buffer} imageBuffer - The image
+ * @returns {Promise<{mean: number, stdev: number, clippedPercentage: number, noiseSigma: number}>}
+ */
+const measurePixels = async (imageBuffer) => {
+  const { data, info } = await sharp(imageBuffer)
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+
+  let sum = 0;
+  let sumSq = 0;
+  let clipped = 0;
+  const pixelCount = width * height;
+  for (let i = 0; i < pixelCount; i++) {
+    const value = data[i * channels];
+    sum += value;
+    sumSq += value * value;
+    if (value <= CLIP_LOW || value >= CLIP_HIGH) clipped++;
+  }
+  const mean = sum / pixelCount;
+
+  // Immerkaer's fast noise estimate: a Laplacian-difference kernel cancels
+  // out image structure and leaves mostly noise
+  let residual = 0;
+  const at = (x, y) => data[(y * width + x) * channels];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      residual += Math.abs(
+        at(x - 1, y - 1) -
+          2 * at(x, y - 1) +
+          at(x + 1, y - 1) -
+          2 * at(x - 1, y) +
+          4 * at(x, y) -
+          2 * at(x + 1, y) +
+          at(x - 1, y + 1) -
+          2 * at(x, y + 1) +
+          at(x + 1, y + 1)
+      );
+    }
+  }
+  const noiseSigma =
+    width > 2 && height > 2
+      ? (Math.sqrt(Math.PI / 2) * residual) / (6 * (width - 2) * (height - 2))
+      : 0;
+
+  return {
+    mean,
+    stdev: Math.sqrt(Math.max(sumSq / pixelCount - mean * mean, 0)),
+    clippedPercentage: (clipped / pixelCount) * 100,
+    noiseSigma,
+  };
+};
+
+/**
+ * Score how sharp the image is from the blur check's measurement of the
+ * face, or of the whole frame without one. The blur threshold scores 25.
+ * @param {object} blurDetails - `details` from detectBlurryImage
+ * @returns {object|null} - The component, or null without measurements
+ */
+const scoreSharpness = (blurDetails) => {
+  const measured = blurDetails?.face || blurDetails?.frame;
+  if (!Number.isFinite(measured?.score) || !(measured.threshold > 0)) {
+    return null;
+  }
+
+  return {
+    score: ramp(
+      measured.score,
+      measured.threshold * 0.75,
+      measured.threshold * 1.75
+    ),
+    measures: {
+      laplacianVariance: measured.score,
+      threshold: measured.threshold,
+      measuredOn: blurDetails.measuredOn,
+    },
+  };
+};
+
+/**
+ * Score how large the face is in the frame. Headshots want a face that
+ * fills a good part of the photo, but not one cut off at the edges.
+ * @param {object} [face] - Largest face from detectFaces
+ * @param {number} imageHeight - Height of the image
+ * @returns {object|null} - The component, or null without a face
+ */
+const scoreFaceSize = (face, imageHeight) => {
+  if (!face || !imageHeight) return null;
+
+  const faceHeightRatio = face.box.height / imageHeight;
+  const score =
+    faceHeightRatio > 0.75
+      ? 100 - ramp(faceHeightRatio, 0.75, 1) / 2
+      : ramp(faceHeightRatio, 0.05, 0.25);
+
+  return { score, measures: { faceHeightRatio: round(faceHeightRatio, 3) } };
+};
+
+/**
+ * Score the quality of an image that passed validation. Reuses what the
+ * validators already measured and computes the rest.
+ * @param {object} context - The validation context ({ imageBuffer, metadata, results })
+ * @returns {Promise<{score: number, components: object}>} - Overall 0-100 score and
+ * each component as `{ score, measures }`
+ */
+const scoreImageQuality = async ({ imageBuffer, metadata, results }) => {
+  const pixels = await measurePixels(imageBuffer);
+
+  // The blur check may be disabled; measure sharpness here then
+  const face = results.faces?.details?.faces?.[0];
+  let blurDetails = results.blur?.details;
+  if (!blurDetails?.frame) {
+    blurDetails = (await detectBlurryImage(imageBuffer, { faceBox: face?.box }))
+      .details;
+  }
+
+  const shortEdge = Math.min(metadata.width, metadata.height);
+  const components = {
+    sharpness: scoreSharpness(blurDetails),
+    // Penalize a mean far from mid-gray beyond a comfortable band, and
+    // blown-out highlights or crushed shadows
+    exposure: {
+      score: Math.max(
+        100 -
+          Math.max(Math.abs(pixels.mean - 128) - 24, 0) * (100 / 104) -
+          pixels.clippedPercentage * 4,
+        0
+      ),
+      measures: {
+        meanBrightness: round(pixels.mean),
+        clippedPercentage: round(pixels.clippedPercentage),
+      },
+    },
+    contrast: {
+      score: ramp(pixels.stdev, 15, 60),
+      measures: { stdev: round(pixels.stdev) },
+    },
+    noise: {
+      score: 100 - ramp(pixels.noiseSigma, 1.5, 10),
+      measures: { sigma: round(pixels.noiseSigma) },
+    },
+    faceSize: scoreFaceSize(face, metadata.height),
+    resolution: {
+      score: ramp(shortEdge, 600, 2000),
+      measures: { width: metadata.width, height: metadata.height },
+    },
+  };
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const [name, component] of Object.entries(components)) {
+    if (!component) continue;
+    component.score = Math.round(component.score);
+    weightedSum += component.score * WEIGHTS[name];
+    totalWeight += WEIGHTS[name];
+  }
+
+  return {
+    score: totalWeight ? Math.round(weightedSum / totalWeight) : 0,
+    components,
+  };
+};
+
+module.exports = {
+  scoreImageQuality,
+};
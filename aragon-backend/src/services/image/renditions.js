@@ -0,0 +1,107 @@
+const sharp = require("sharp");
+const renditionConfig = require("../../config/renditions");
+const { saveImageToStorage } = require("./storage");
+const { getOutputExif } = require("./exifMetadata");
+
+// File extension written for each format
+const FILE_EXTENSIONS = { jpeg: "jpg", webp: "webp", avif: "avif" };
+
+/**
+ * Write every configured rendition of an image in every configured format.
+ * Renditions carry only the allow-listed EXIF fields; everything else in
+ * the source's metadata (GPS, serial numbers, XMP, IPTC) is dropped.
+ * @param {string} imageId - The image ID
+ * @param {Buffer} imageBuffer - The upright source image
+ * @param {object} [options] - Rendition options
+ * @param {object} [options.exif] - Fields from extractExifMetadata to write back
+ * @param {object} [options.crops] - Crop regions by name, from computeCrops
+ * @param {string[]} [options.only] - Write only the renditions with these names
+ * @returns {Promise<Array<{name: string, crop: string|null, format: string, width: number, height: number, size: number, path: string}>>} - The written variants
+ */
+const generateRenditions = async (imageId, imageBuffer, options = {}) => {
+  const { exif, crops = {}, only } = options;
+  const variants = [];
+
+  // Decode once to bare pixels so no source metadata can reach the outputs
+  const { data: pixels, info: source } = await sharp(imageBuffer)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const metadata = { exif: getOutputExif(exif) };
+
+  for (const rendition of renditionConfig.renditions) {
+    if (only && !only.includes(rendition.name)) continue;
+
+    const resized = sharp(pixels, {
+      raw: {
+        width: source.width,
+        height: source.height,
+        channels: source.channels,
+      },
+    }).withMetadata(metadata);
+
+    if (rendition.crop) {
+      const region = crops[rendition.crop];
+      if (!region) continue;
+
+      const { aspectRatio } = renditionConfig.crops[rendition.crop];
+      resized
+        .extract({
+          left: region.x,
+          top: region.y,
+          width: region.width,
+          height: region.height,
+        })
+        .resize(rendition.width, Math.round(rendition.width / aspectRatio), {
+          fit: "cover",
+          withoutEnlargement: true,
+        });
+    } else {
+      resized.resize(rendition.width, rendition.width, {
+        fit: "inside",
+        withoutEnlargement: true,
+      });
+    }
+
+    for (const [format, options] of Object.entries(renditionConfig.formats)) {
+      const { data, info } = await resized
+        .clone()
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+
+      const variantPath = await saveImageToStorage(
+        data,
+        `${rendition.name}.${FILE_EXTENSIONS[format]}`,
+        `uploads/processed/${imageId}`
+      );
+
+      variants.push({
+        name: rendition.name,
+        crop: rendition.crop || null,
+        format,
+        width: info.width,
+        height: info.height,
+        size: info.size,
+        path: variantPath,
+      });
+    }
+  }
+
+  return variants;
+};
+
+/**
+ * Find the variant stored as the image's processedPath
+ * @param {object[]} variants - Variants from generateRenditions
+ * @returns {object} - The JPEG of the primary rendition
+ */
+const getPrimaryVariant = (variants) =>
+  variants.find(
+    (variant) =>
+      variant.name === renditionConfig.primaryRendition &&
+      variant.format === "jpeg"
+  );
+
+module.exports = {
+  generateRenditions,
+  getPrimaryVariant,
+};
@@ -1,18 +1,25 @@
 const sharp = require("sharp");
+const { createLogger } = require("../../utils/logger");
+
+const logger = createLogger({ module: "sizeValidation" });
 
 /**
  * Validates if the image meets the minimum size/resolution requirements
  * @param {Buffer} imageBuffer - The image buffer
+ * @param {object} [options] - Minimum requirements
+ * @param {number} [options.minWidth] - Minimum width in pixels
+ * @param {number} [options.minHeight] - Minimum height in pixels
+ * @param {number} [options.minSizeBytes] - Minimum file size in bytes
  * @returns {Promise<{isValid: boolean, reason: string|null}>} - Validation result
  */
-const validateImageSize = async (imageBuffer) => {
+const validateImageSize = async (imageBuffer, options = {}) => {
   try {
     const metadata = await sharp(imageBuffer).metadata();
 
     // Minimum requirements - adjusted for higher quality requirements
-    const MIN_WIDTH = 800;
-    const MIN_HEIGHT = 800;
-    const MIN_SIZE_IN_BYTES = 100 * 1024; // 100 KB
+    const MIN_WIDTH = options.minWidth ?? 800;
+    const MIN_HEIGHT = options.minHeight ?? 800;
+    const MIN_SIZE_IN_BYTES = options.minSizeBytes ?? 100 * 1024; // 100 KB
 
     if (metadata.width < MIN_WIDTH || metadata.height < MIN_HEIGHT) {
       return {
@@ -32,7 +39,7 @@ const validateImageSize = async (imageBuffer) => {
 
     return { isValid: true, reason: null };
   } catch (error) {
-    console.error("Error validating image size:", error);
+    logger.error("Error validating image size", { error });
     return {
       isValid: false,
       reason: `Failed to validate image: ${error.message}`,
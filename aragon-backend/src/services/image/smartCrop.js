@@ -0,0 +1,188 @@
+const renditionConfig = require("../../config/renditions");
+const { ApiError } = require("../../utils/errorHandler");
+
+// Landmarks of the eyes in face-api's 68-point model
+const EYE_LANDMARKS = { start: 36, end: 48 };
+
+// Eyes sit about this far down the detector's face box when landmarks are missing
+const FALLBACK_EYE_POSITION = 0.4;
+
+// Adjusted crops may be off their aspect ratio by this much
+const ASPECT_RATIO_TOLERANCE = 0.01;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Height of the eyes in a detected face
+ * @param {object} face - Face from detectFaces
+ * @returns {number} - y of the eye line in image pixels
+ */
+const getEyeLine = (face) => {
+  const eyes = (face.landmarks || []).slice(
+    EYE_LANDMARKS.start,
+    EYE_LANDMARKS.end
+  );
+  if (eyes.length === 0) {
+    return face.box.y + face.box.height * FALLBACK_EYE_POSITION;
+  }
+  return eyes.reduce((sum, point) => sum + point.y, 0) / eyes.length;
+};
+
+/**
+ * Frame a crop of the given aspect ratio around a face. The crop is as
+ * large as the head-room rules allow while keeping the eyes on the eye
+ * line and the face centered. When the photo is too tight for that, the
+ * crop shrinks down to the largest allowed face size and then shifts.
+ * @param {{width: number, height: number}} imageSize - Size of the upright image
+ * @param {object} face - Face from detectFaces
+ * @param {number} aspectRatio - Width / height of the crop
+ * @returns {{x: number, y: number, width: number, height: number}} - The crop
+ */
+const frameFace = (imageSize, face, aspectRatio) => {
+  const [minFaceHeight, maxFaceHeight] = renditionConfig.framing.faceHeight;
+  const { eyeLine } = renditionConfig.framing;
+  const eyeY = getEyeLine(face);
+  const centerX = face.box.x + face.box.width / 2;
+
+  // Tallest crop that fits the photo at all
+  const fitHeight = Math.min(imageSize.height, imageSize.width / aspectRatio);
+
+  // Tallest crop with the face at its smallest allowed size that still
+  // has the eyes on the eye line and the face centered
+  const placedHeight = Math.min(
+    face.box.height / minFaceHeight,
+    fitHeight,
+    eyeY / eyeLine,
+    (imageSize.height - eyeY) / (1 - eyeLine),
+    (2 * centerX) / aspectRatio,
+    (2 * (imageSize.width - centerX)) / aspectRatio
+  );
+  const smallestHeight = face.box.height / maxFaceHeight;
+
+  const height =
+    placedHeight >= smallestHeight
+      ? placedHeight
+      : Math.min(smallestHeight, fitHeight);
+  const width = height * aspectRatio;
+
+  return roundCrop(imageSize, {
+    x: clamp(centerX - width / 2, 0, imageSize.width - width),
+    y: clamp(eyeY - height * eyeLine, 0, imageSize.height - height),
+    width,
+    height,
+  });
+};
+
+/**
+ * Largest crop of the given aspect ratio in the middle of the image
+ * @param {{width: number, height: number}} imageSize - Size of the upright image
+ * @param {number} aspectRatio - Width / height of the crop
+ * @returns {{x: number, y: number, width: number, height: number}} - The crop
+ */
+const centerCrop = (imageSize, aspectRatio) => {
+  const height = Math.min(imageSize.height, imageSize.width / aspectRatio);
+  const width = height * aspectRatio;
+
+  return roundCrop(imageSize, {
+    x: (imageSize.width - width) / 2,
+    y: (imageSize.height - height) / 2,
+    width,
+    height,
+  });
+};
+
+/**
+ * Round a crop to whole pixels inside the image
+ * @param {{width: number, height: number}} imageSize - Size of the image
+ * @param {object} crop - The crop in fractional pixels
+ * @returns {{x: number, y: number, width: number, height: number}} - The crop
+ */
+const roundCrop = (imageSize, crop) => {
+  const width = Math.max(Math.min(Math.round(crop.width), imageSize.width), 1);
+  const height = Math.max(
+    Math.min(Math.round(crop.height), imageSize.height),
+    1
+  );
+
+  return {
+    x: clamp(Math.round(crop.x), 0, imageSize.width - width),
+    y: clamp(Math.round(crop.y), 0, imageSize.height - height),
+    width,
+    height,
+  };
+};
+
+/**
+ * Compute every configured crop of an image, framed around its largest
+ * face or centered when no face was found
+ * @param {{width: number, height: number}} imageSize - Size of the upright image
+ * @param {object} [face] - Largest face from detectFaces
+ * @returns {{imageSize: object, regions: object}} - Crops by name, each with its `source` ("face" or "center")
+ */
+const computeCrops = (imageSize, face) => {
+  const regions = {};
+
+  for (const [name, { aspectRatio }] of Object.entries(renditionConfig.crops)) {
+    regions[name] = face
+      ? { ...frameFace(imageSize, face, aspectRatio), source: "face" }
+      : { ...centerCrop(imageSize, aspectRatio), source: "center" };
+  }
+
+  return { imageSize, regions };
+};
+
+/**
+ * Check a crop sent by a client
+ * @param {string} name - The crop name
+ * @param {object} crop - `{ x, y, width, height }` in pixels of the upright image
+ * @param {{width: number, height: number}} imageSize - Size of the upright image
+ * @returns {{x: number, y: number, width: number, height: number, source: string}} - The crop to store
+ */
+const validateCrop = (name, crop, imageSize) => {
+  const config = renditionConfig.crops[name];
+  if (!config) {
+    throw new ApiError(
+      404,
+      `Unknown crop "${name}". Available crops: ${Object.keys(
+        renditionConfig.crops
+      ).join(", ")}`
+    );
+  }
+
+  const { x, y, width, height } = crop || {};
+  if (![x, y, width, height].every(Number.isInteger)) {
+    throw new ApiError(400, "x, y, width and height must be integers");
+  }
+
+  if (
+    x < 0 ||
+    y < 0 ||
+    width < 1 ||
+    height < 1 ||
+    x + width > imageSize.width ||
+    y + height > imageSize.height
+  ) {
+    throw new ApiError(
+      400,
+      `The crop must lie within the ${imageSize.width}x${imageSize.height} image`
+    );
+  }
+
+  const aspectRatio = width / height;
+  if (
+    Math.abs(aspectRatio - config.aspectRatio) / config.aspectRatio >
+    ASPECT_RATIO_TOLERANCE
+  ) {
+    throw new ApiError(
+      400,
+      `The ${name} crop must have an aspect ratio of ${config.aspectRatio}`
+    );
+  }
+
+  return { x, y, width, height, source: "manual" };
+};
+
+module.exports = {
+  computeCrops,
+  validateCrop,
+};
@@ -1,125 +1,120 @@
 const path = require("path");
-const fs = require("fs");
-const {
-  S3Client,
-  GetObjectCommand,
-  PutObjectCommand,
-  DeleteObjectCommand,
-} = require("@aws-sdk/client-s3");
-const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const { PrismaClient } = require("@prisma/client");
-const { s3Config, useLocalStorage } = require("../../config/s3");
 const { ApiError } = require("../../utils/errorHandler");
+const { signUploadToken } = require("../authService");
+const { storage } = require("../storage");
+const fileConfig = require("../../config/files");
+const { createLogger } = require("../../utils/logger");
 
 const prisma = new PrismaClient();
+const logger = createLogger({ module: "storage" });
 
-// Get the bucket name from environment variable
-const bucketName = process.env.S3_BUCKET_NAME;
+/**
+ * Gets a signed URL for a stored file
+ * @param {string} imagePath - Path of the file
+ * @returns {Promise<string>} - The signed URL
+ */
+const getFileUrl = (imagePath) =>
+  storage.signedUrl(imagePath, { expiresIn: fileConfig.urlExpiresIn });
+
+/**
+ * Gets signed URLs for the variants of an image
+ * @param {object[]} variants - The image's ImageVariant records
+ * @returns {Promise<object>} - URLs by rendition and format, as
+ * `{ [name]: { [format]: { url, width, height } } }`
+ */
+const getVariantUrls = async (variants) => {
+  const urls = {};
+
+  for (const variant of variants) {
+    urls[variant.name] = urls[variant.name] || {};
+    urls[variant.name][variant.format] = {
+      url: await getFileUrl(variant.path),
+      width: variant.width,
+      height: variant.height,
+      ...(variant.crop && { crop: variant.crop }),
+    };
+  }
 
-// Create S3 client only if using S3 storage
-const s3 = !useLocalStorage
-  ? new S3Client({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      },
-    })
-  : null;
+  return urls;
+};
 
 /**
  * Gets a signed URL for an image
  * @param {string} imageId - The image ID
- * @param {string} type - The image type (original or processed)
- * @returns {Promise<string>} - The signed URL
+ * @param {string} type - The image type (original, converted or processed),
+ * or "variants" for the URLs of all its variants
+ * @returns {Promise<string|object>} - The signed URL, or the variant URLs by rendition and format
  */
 const getImageUrl = async (imageId, type = "original") => {
   try {
     const image = await prisma.image.findUnique({
       where: { id: imageId },
+      include: { variants: type === "variants" },
     });
 
     if (!image) {
       throw new ApiError(404, "Image not found");
     }
 
-    const imagePath =
-      type === "original" ? image.originalPath : image.processedPath;
-
-    if (!imagePath) {
-      throw new ApiError(404, `${type} image not found`);
+    if (type === "variants") {
+      return getVariantUrls(image.variants);
     }
 
-    // For local storage
-    if (useLocalStorage) {
-      return `${process.env.APP_URL || "http://localhost:3001"}/${imagePath}`;
-    }
+    const imagePaths = {
+      original: image.originalPath,
+      converted: image.convertedPath,
+      processed: image.processedPath,
+    };
+    const imagePath = imagePaths[type];
 
-    // For S3 storage
-    if (!bucketName) {
-      console.warn("S3 bucket name not configured, falling back to local URL");
-      return `${process.env.APP_URL || "http://localhost:3001"}/fallback-image`;
+    if (!imagePath) {
+      throw new ApiError(404, `${type} image not found`);
     }
 
-    const command = new GetObjectCommand({
-      Bucket: bucketName,
-      Key: imagePath,
-    });
-
-    const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-    return url;
+    return await getFileUrl(imagePath);
   } catch (error) {
-    console.error(`Error getting ${type} image URL:`, error);
+    logger.error("Error getting image URL", { imageId, type, error });
     throw error;
   }
 };
 
 /**
- * Delete image files from storage
- * @param {string} originalPath - Path to original image
- * @param {string} processedPath - Path to processed image
- * @returns {Promise<void>}
+ * Add signed URLs for the original, converted, processed and variant files.
+ * The paths are signed from the loaded image, so lists need no extra query
+ * per image.
+ * @param {object} image - The image, with its variants
+ * @returns {Promise<object>} - The image with a `urls` map, without the variant records
  */
-const deleteImageFiles = async (originalPath, processedPath) => {
-  if (useLocalStorage) {
-    // Local file system
-    if (originalPath) {
-      const originalFilePath = path.join(process.cwd(), originalPath);
-      if (fs.existsSync(originalFilePath)) {
-        fs.unlinkSync(originalFilePath);
-      }
-    }
+const withUrls = async ({ variants = [], ...image }) => {
+  const urls = {};
+  urls.original = await getFileUrl(image.originalPath);
 
-    if (processedPath) {
-      const processedFilePath = path.join(process.cwd(), processedPath);
-      if (fs.existsSync(processedFilePath)) {
-        fs.unlinkSync(processedFilePath);
-      }
-    }
-  } else {
-    // S3 bucket
-    if (!bucketName) {
-      console.warn("S3 bucket name not configured, skipping S3 file deletion");
-      return;
-    }
+  if (image.convertedPath) {
+    urls.converted = await getFileUrl(image.convertedPath);
+  }
 
-    if (originalPath) {
-      await s3.send(
-        new DeleteObjectCommand({
-          Bucket: bucketName,
-          Key: originalPath,
-        })
-      );
-    }
+  if (image.processedPath) {
+    urls.processed = await getFileUrl(image.processedPath);
+  }
 
-    if (processedPath) {
-      await s3.send(
-        new DeleteObjectCommand({
-          Bucket: bucketName,
-          Key: processedPath,
-        })
-      );
-    }
+  urls.variants = await getVariantUrls(variants);
+
+  return {
+    ...image,
+    urls,
+  };
+};
+
+/**
+ * Delete image files from storage in one go
+ * @param {...string} imagePaths - Paths of the files to delete (empty paths are skipped)
+ * @returns {Promise<void>}
+ */
+const deleteImageFiles = async (...imagePaths) => {
+  const keys = [...new Set(imagePaths.filter(Boolean))];
+  if (keys.length > 0) {
+    await storage.deleteMany(keys);
   }
 };
 
@@ -128,29 +123,7 @@ const deleteImageFiles = async (originalPath, processedPath) => {
  * @param {string} imagePath - Path to the image
  * @returns {Promise<Buffer>} - The image buffer
  */
-const getImageBuffer = async (imagePath) => {
-  if (useLocalStorage) {
-    // Local file system
-    const filePath = path.join(process.cwd(), imagePath);
-    return fs.readFileSync(filePath);
-  } else {
-    // S3
-    if (!bucketName) {
-      throw new Error("S3 bucket name not configured");
-    }
-
-    const command = new GetObjectCommand({
-      Bucket: bucketName,
-      Key: imagePath,
-    });
-    const response = await s3.send(command);
-    const chunks = [];
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
-    }
-    return Buffer.concat(chunks);
-  }
-};
+const getImageBuffer = (imagePath) => storage.get(imagePath);
 
 /**
  * Save an image to storage
@@ -160,37 +133,82 @@ const getImageBuffer = async (imagePath) => {
  * @returns {Promise<string>} - The saved image path
  */
 const saveImageToStorage = async (imageBuffer, filename, directory) => {
-  if (useLocalStorage) {
-    // For local storage
-    const dirPath = path.join(process.cwd(), directory);
-    if (!fs.existsSync(dirPath)) {
-      fs.mkdirSync(dirPath, { recursive: true });
-    }
+  const imagePath = `${directory}/${filename}`;
+  const extension = path.extname(filename).substring(1);
 
-    const imagePath = `${directory}/${filename}`;
-    fs.writeFileSync(path.join(process.cwd(), imagePath), imageBuffer);
-    return imagePath;
-  } else {
-    // For S3 storage
-    if (!bucketName) {
-      throw new Error("S3 bucket name not configured");
-    }
+  await storage.put(imagePath, imageBuffer, {
+    contentType: `image/${extension === "jpg" ? "jpeg" : extension}`,
+  });
+  return imagePath;
+};
+
+/**
+ * Get a URL the client can upload an original to directly
+ * @param {string} imageId - The image ID
+ * @param {string} imagePath - Path the original will be stored at
+ * @param {string} contentType - MIME type the client will send
+ * @param {number} expiresIn - Lifetime of the URL in seconds
+ * @returns {Promise<{method: string, url: string, headers: object}>} - The upload request to make
+ */
+const getUploadUrl = async (imageId, imagePath, contentType, expiresIn) => {
+  const headers = { "Content-Type": contentType };
+
+  // Drivers that can't take uploads themselves get them through the API
+  if (!storage.directUploads) {
+    const token = signUploadToken(imageId, expiresIn);
+    return {
+      method: "PUT",
+      url: `${
+        process.env.APP_URL || "http://localhost:3001"
+      }/api/images/${imageId}/content?token=${token}`,
+      headers,
+    };
+  }
+
+  return {
+    method: "PUT",
+    url: await storage.signedUrl(imagePath, {
+      method: "PUT",
+      contentType,
+      expiresIn,
+    }),
+    headers,
+  };
+};
+
+/**
+ * Read the size and first bytes of a stored file
+ * @param {string} imagePath - Path to the file
+ * @param {number} [byteCount] - Number of leading bytes to read
+ * @returns {Promise<{size: number, head: Buffer}|null>} - File info, or null if there is no such file
+ */
+const getStoredFileHead = async (imagePath, byteCount = 64) => {
+  const info = await storage.stat(imagePath);
+  if (!info) {
+    return null;
+  }
+
+  if (info.size === 0) {
+    return { size: 0, head: Buffer.alloc(0) };
+  }
 
-    const key = `${directory.replace(/^uploads\//, "")}/${filename}`;
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: bucketName,
-        Key: key,
-        Body: imageBuffer,
-        ContentType: `image/${path.extname(filename).substring(1)}`,
-      })
-    );
-    return key;
+  const chunks = [];
+  const stream = await storage.stream(imagePath, {
+    start: 0,
+    end: Math.min(byteCount, info.size) - 1,
+  });
+  for await (const chunk of stream) {
+    chunks.push(chunk);
   }
+  return { size: info.size, head: Buffer.concat(chunks) };
 };
 
 module.exports = {
   getImageUrl,
+  getVariantUrls,
+  withUrls,
+  getUploadUrl,
+  getStoredFileHead,
   deleteImageFiles,
   getImageBuffer,
   saveImageToStorage,
@@ -0,0 +1,50 @@
+/**
+ * Find the threshold that best separates photos that should pass a check
+ * from photos that should fail it. The threshold with the highest balanced
+ * accuracy wins, so an uneven number of each doesn't skew it.
+ * @param {Array<{value: number, shouldPass: boolean}>} samples - Measured photos
+ * @param {string} [direction] - "min" when values at or above the threshold
+ * pass, "max" when values at or below it pass
+ * @returns {{threshold: number, balancedAccuracy: number}|null} - The best threshold,
+ * or null without samples of both kinds
+ */
+const findBestThreshold = (samples, direction = "min") => {
+  const passing = samples.filter((sample) => sample.shouldPass);
+  const failing = samples.filter((sample) => !sample.shouldPass);
+  if (passing.length === 0 || failing.length === 0) return null;
+
+  const passes = (value, threshold) =>
+    direction === "min" ? value >= threshold : value <= threshold;
+
+  // Every distinct value is a candidate, plus one past the end that lets
+  // every sample fail
+  const values = [...new Set(samples.map((sample) => sample.value))].sort(
+    (a, b) => a - b
+  );
+  const candidates =
+    direction === "min"
+      ? [...values, values[values.length - 1] + 1]
+      : [values[0] - 1, ...values];
+
+  let best = null;
+  for (const threshold of candidates) {
+    const kept = passing.filter((sample) =>
+      passes(sample.value, threshold)
+    ).length;
+    const caught = failing.filter(
+      (sample) => !passes(sample.value, threshold)
+    ).length;
+    const balancedAccuracy =
+      (kept / passing.length + caught / failing.length) / 2;
+
+    if (!best || balancedAccuracy > best.balancedAccuracy) {
+      best = { threshold, balancedAccuracy };
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  findBestThreshold,
+};
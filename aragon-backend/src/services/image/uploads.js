@@ -0,0 +1,110 @@
+const { PrismaClient } = require("@prisma/client");
+const uploadConfig = require("../../config/uploads");
+const { ApiError } = require("../../utils/errorHandler");
+const { enqueueImageProcessing } = require("../queue/jobQueue");
+const { isHeicBuffer } = require("./heicConversion");
+const { publishImageEvent } = require("../imageEvents");
+const { dispatchWebhookEvent } = require("../webhookService");
+const { deleteImageFiles, getStoredFileHead } = require("./storage");
+const { uploadsTotal, uploadBytesTotal } = require("../../utils/metrics");
+
+const prisma = new PrismaClient();
+
+/**
+ * Detect the image type of a file from its first bytes
+ * @param {Buffer} head - The leading bytes of the file
+ * @returns {string|null} - File extension for the type, or null if it isn't a supported image
+ */
+const sniffImageType = (head) => {
+  if (!head || head.length < 4) return null;
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "jpg";
+  if (head.readUInt32BE(0) === 0x89504e47) return "png";
+  if (head.toString("ascii", 0, 4) === "GIF8") return "gif";
+  if (isHeicBuffer(head)) return "heic";
+
+  return null;
+};
+
+/**
+ * Check an uploaded original and queue its image for processing
+ * @param {object} image - The image, still in the UPLOADING state
+ * @param {object} [options] - Job options, see enqueueImageProcessing
+ * @returns {Promise<object>} - The queued processing job
+ */
+const finalizeUpload = async (image, options = {}) => {
+  if (image.status !== "UPLOADING") {
+    throw new ApiError(409, "Image upload has already been finalized");
+  }
+
+  const file = await getStoredFileHead(image.originalPath);
+  if (!file) {
+    throw new ApiError(400, "The file has not been uploaded yet");
+  }
+
+  // Trust the file's bytes rather than the name the client sent
+  const fileType = sniffImageType(file.head);
+  if (!fileType || file.size > uploadConfig.maxFileSize) {
+    await deleteImageFiles(image.originalPath);
+    await prisma.image.delete({ where: { id: image.id } });
+    throw new ApiError(
+      400,
+      fileType
+        ? "File exceeds the 10MB limit"
+        : "Uploaded file is not a supported image"
+    );
+  }
+
+  const { count } = await prisma.image.updateMany({
+    where: { id: image.id, status: "UPLOADING" },
+    data: { status: "PENDING", originalSize: file.size, fileType },
+  });
+  if (count === 0) {
+    throw new ApiError(409, "Image upload has already been finalized");
+  }
+  uploadsTotal.inc({ fileType });
+  uploadBytesTotal.inc({ fileType }, file.size);
+  await publishImageEvent(image, "status", { status: "PENDING" });
+  await dispatchWebhookEvent("image.created", {
+    ...image,
+    status: "PENDING",
+    originalSize: file.size,
+    fileType,
+  });
+
+  return enqueueImageProcessing(image.id, options);
+};
+
+/**
+ * Remove images whose upload was never finalized and has seen no activity
+ * for the timeout. Resumable uploads touch their image with every chunk,
+ * so a slow upload that is still running is kept.
+ * @returns {Promise<number>} - Number of images removed
+ */
+const expireAbandonedUploads = async () => {
+  const cutoff = new Date(Date.now() - uploadConfig.abandonedUploadTimeoutMs);
+  const idle = { status: "UPLOADING", updatedAt: { lt: cutoff } };
+
+  const abandoned = await prisma.image.findMany({ where: idle });
+
+  let removed = 0;
+  for (const image of abandoned) {
+    // A chunk may have arrived since the image was read
+    const { count } = await prisma.image.deleteMany({
+      where: { id: image.id, ...idle },
+    });
+    if (count === 0) continue;
+
+    // The client may have uploaded the file without finalizing
+    await deleteImageFiles(image.originalPath);
+    removed += 1;
+  }
+
+  return removed;
+};
+
+module.exports = {
+  sniffImageType,
+  finalizeUpload,
+  expireAbandonedUploads,
+};
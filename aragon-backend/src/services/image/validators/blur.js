@@ -0,0 +1,59 @@
+const {
+  DEFAULT_THRESHOLDS,
+  detectBlurryImage,
+  renderEdgeMap,
+} = require("../blurDetection");
+
+module.exports = {
+  name: "blur",
+  code: "blurry_image_detected",
+  description:
+    "Sharpness of the face (variance of the Laplacian), or of the whole photo without one",
+  defaultSeverity: "reject",
+  configSchema: {
+    minFaceSharpness: {
+      type: "number",
+      default: DEFAULT_THRESHOLDS.minFaceSharpness,
+      description: "Faces scoring below this are blurry",
+    },
+    minFrameSharpness: {
+      type: "number",
+      default: DEFAULT_THRESHOLDS.minFrameSharpness,
+      description:
+        "Photos without a detected face scoring below this are blurry",
+    },
+  },
+  tuning: {
+    minFaceSharpness: {
+      direction: "min",
+      measure: (details) => details.face?.score,
+    },
+    minFrameSharpness: {
+      direction: "min",
+      measure: (details) =>
+        details.measuredOn === "frame" ? details.frame?.score : undefined,
+    },
+  },
+  // Runs after the faces check to judge only the face
+  run: async ({ imageBuffer, results, debug }, options) => {
+    const blurDetection = await detectBlurryImage(imageBuffer, {
+      ...options,
+      faceBox: results.faces?.details?.faces?.[0]?.box,
+    });
+
+    if (debug) {
+      await debug.addImage("blur", "edges", () =>
+        renderEdgeMap(imageBuffer, blurDetection.details.face?.region)
+      );
+    }
+
+    return {
+      passed: !blurDetection.isBlurry,
+      reason:
+        blurDetection.details.measuredOn === "face"
+          ? "Your face is out of focus. Please upload a sharper photo."
+          : "Image is too blurry. Please upload a clearer photo.",
+      details: blurDetection.details,
+    };
+  },
+};
@@ -0,0 +1,38 @@
+const {
+  generateImageHash,
+  checkDuplicateImage,
+} = require("../duplicateDetection");
+
+module.exports = {
+  name: "duplicate",
+  code: "duplicate_image_detected",
+  description: "Not a duplicate of an already processed image",
+  defaultSeverity: "reject",
+  configSchema: {
+    similarityThreshold: {
+      type: "number",
+      default: 3,
+      description: "Maximum Hamming distance between perceptual hashes",
+    },
+  },
+  run: async ({ image, imageBuffer }, options) => {
+    const imageHash = await generateImageHash(imageBuffer);
+    const { isDuplicate, similarImage } = await checkDuplicateImage(
+      imageHash,
+      image.id,
+      image.originalName,
+      // One person's photo is never a duplicate of someone else's
+      { ...options, ownerId: image.ownerId }
+    );
+
+    return {
+      passed: !isDuplicate,
+      reason: isDuplicate
+        ? `Duplicate of image: ${similarImage.id} (${similarImage.originalName})`
+        : null,
+      details: isDuplicate ? { similarTo: similarImage.id } : {},
+      // The hash is stored so later uploads can be compared against it
+      metaData: { pHash: imageHash },
+    };
+  },
+};
@@ -0,0 +1,60 @@
+const { validateFaceCount, renderFaceOverlay } = require("../faceDetection");
+
+module.exports = {
+  name: "faces",
+  code: "multiple_faces_detected",
+  description: "Exactly one prominent face",
+  defaultSeverity: "reject",
+  configSchema: {
+    minRelativeFaceHeight: {
+      type: "number",
+      default: 0.35,
+      description:
+        "Faces smaller than this fraction of the largest face's height are ignored",
+    },
+  },
+  tuning: {
+    // A second face at or above the option's share of the largest one
+    // counts, so photos pass below it
+    minRelativeFaceHeight: {
+      direction: "max",
+      measure: ({ faces }) =>
+        faces?.length > 1
+          ? faces[1].box.height / faces[0].box.height
+          : undefined,
+    },
+  },
+  // A detection error on one photo shouldn't block it. Missing models
+  // still fail the job, see runValidator.
+  failOpen: true,
+  run: async ({ imageBuffer, debug }, options) => {
+    const result = await validateFaceCount(imageBuffer, options);
+
+    if (debug) {
+      const { faces } = result.details;
+      const minFaceHeight = faces.length
+        ? faces[0].box.height * options.minRelativeFaceHeight
+        : 0;
+      debug.addStats("faces", {
+        minFaceHeight,
+        relativeHeights: faces.map((face) =>
+          Number((face.box.height / faces[0].box.height).toFixed(3))
+        ),
+      });
+      await debug.addImage("faces", "overlay", () =>
+        renderFaceOverlay(imageBuffer, faces, minFaceHeight)
+      );
+    }
+
+    return {
+      passed: result.isValid,
+      code: result.code,
+      reason: result.reason,
+      details: result.details,
+      metaData: {
+        faceCount: result.details.faceCount,
+        faceData: result.details,
+      },
+    };
+  },
+};
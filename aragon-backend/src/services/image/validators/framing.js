@@ -0,0 +1,86 @@
+const { detectFaces } = require("../faceDetection");
+const { DEFAULT_LIMITS, validateFaceFraming } = require("../faceFraming");
+
+module.exports = {
+  name: "framing",
+  code: "face_cut_off",
+  description:
+    "A roughly frontal face (yaw, pitch and roll) of a minimum size, fully inside the photo",
+  defaultSeverity: "reject",
+  configSchema: {
+    maxYaw: {
+      type: "number",
+      default: DEFAULT_LIMITS.maxYaw,
+      description: "Largest left/right turn of the head, in degrees",
+    },
+    maxPitch: {
+      type: "number",
+      default: DEFAULT_LIMITS.maxPitch,
+      description: "Largest up/down tilt of the head, in degrees",
+    },
+    maxRoll: {
+      type: "number",
+      default: DEFAULT_LIMITS.maxRoll,
+      description: "Largest sideways tilt of the head, in degrees",
+    },
+    minFaceHeight: {
+      type: "number",
+      default: DEFAULT_LIMITS.minFaceHeight,
+      description: "Smallest face height as a fraction of the photo height",
+    },
+    minEdgeMargin: {
+      type: "number",
+      default: DEFAULT_LIMITS.minEdgeMargin,
+      description:
+        "Smallest gap between the face and each edge, as a fraction of the face height",
+    },
+  },
+  tuning: {
+    maxYaw: {
+      direction: "max",
+      measure: (details) => details.pose && Math.abs(details.pose.yaw),
+    },
+    maxPitch: {
+      direction: "max",
+      measure: (details) => details.pose && Math.abs(details.pose.pitch),
+    },
+    maxRoll: {
+      direction: "max",
+      measure: (details) => details.pose && Math.abs(details.pose.roll),
+    },
+    minFaceHeight: {
+      direction: "min",
+      measure: (details) => details.faceHeightRatio,
+    },
+    minEdgeMargin: {
+      direction: "min",
+      measure: (details) =>
+        details.edgeMargins && Math.min(...Object.values(details.edgeMargins)),
+    },
+  },
+  // A detection error on one photo shouldn't block it. Missing models
+  // still fail the job, see runValidator.
+  failOpen: true,
+  // Runs after the faces check to reuse its detection
+  run: async ({ imageBuffer, results }, options) => {
+    const detection =
+      results.faces?.details?.faces && results.faces.details.imageSize
+        ? results.faces.details
+        : await detectFaces(imageBuffer);
+
+    // Counting faces is the faces check's job
+    const face = detection.faces[0];
+    if (!face) {
+      return { passed: true, details: { faceFound: false } };
+    }
+
+    const result = validateFaceFraming(face, detection.imageSize, options);
+
+    return {
+      passed: result.isValid,
+      code: result.code,
+      reason: result.reason,
+      details: result.details,
+    };
+  },
+};
@@ -0,0 +1,24 @@
+const {
+  SEVERITIES,
+  registerValidator,
+  getValidator,
+  listValidators,
+  resolvePipeline,
+  runValidator,
+} = require("./registry");
+
+// Built-in validators
+registerValidator(require("./size"));
+registerValidator(require("./faces"));
+registerValidator(require("./framing"));
+registerValidator(require("./blur"));
+registerValidator(require("./duplicate"));
+
+module.exports = {
+  SEVERITIES,
+  registerValidator,
+  getValidator,
+  listValidators,
+  resolvePipeline,
+  runValidator,
+};
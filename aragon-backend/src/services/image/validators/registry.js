@@ -0,0 +1,181 @@
+const { PipelineError } = require("../errors");
+const { createLogger } = require("../../../utils/logger");
+const { validatorDuration } = require("../../../utils/metrics");
+
+const logger = createLogger({ module: "validators" });
+
+// Severities a pipeline step can run with. A failed "reject" step fails the
+// image, a failed "warn" step is recorded and processing continues.
+const SEVERITIES = ["reject", "warn"];
+
+const validators = new Map();
+
+/**
+ * Register a validator
+ * @param {object} definition - The validator definition
+ * @param {string} definition.name - Unique name used in the pipeline config
+ * @param {string} definition.code - Validation error code reported when the check fails
+ * @param {string} [definition.description] - What the check does
+ * @param {string} [definition.defaultSeverity] - Severity used when the config doesn't set one
+ * @param {object} [definition.configSchema] - Options accepted by the validator, as
+ * `{ optionName: { type, default, description } }`
+ * @param {boolean} [definition.failOpen] - Pass the image if the check itself throws.
+ * PipelineErrors, such as missing face models, still fail the job.
+ * @param {object} [definition.tuning] - Options the review report can suggest values for, as
+ * `{ optionName: { direction, measure } }`. `measure(details)` returns the value the option
+ * is compared against, and `direction` is "min" when values at or above the option pass
+ * and "max" when values at or below it pass.
+ * @param {Function} definition.run - `async (context, options) => result`, where result is
+ * `{ passed, code?, reason?, details?, metaData? }`
+ */
+const registerValidator = (definition) => {
+  if (!definition.name || typeof definition.run !== "function") {
+    throw new Error("A validator needs a name and a run function");
+  }
+
+  if (validators.has(definition.name)) {
+    throw new Error(`Validator "${definition.name}" is already registered`);
+  }
+
+  validators.set(definition.name, {
+    description: "",
+    defaultSeverity: "reject",
+    configSchema: {},
+    failOpen: false,
+    tuning: {},
+    ...definition,
+  });
+};
+
+/**
+ * Get a registered validator by name
+ * @param {string} name - The validator name
+ * @returns {object|undefined} - The validator definition
+ */
+const getValidator = (name) => validators.get(name);
+
+/**
+ * List the registered validators without their implementations
+ * @returns {object[]} - Validator descriptions
+ */
+const listValidators = () =>
+  Array.from(validators.values()).map(
+    ({ name, code, description, defaultSeverity, configSchema }) => ({
+      name,
+      code,
+      description,
+      defaultSeverity,
+      configSchema,
+    })
+  );
+
+/**
+ * Check step options against a validator's config schema and apply defaults
+ * @param {object} validator - The validator definition
+ * @param {object} options - Options from the pipeline config
+ * @returns {object} - The resolved options
+ */
+const resolveOptions = (validator, options = {}) => {
+  const schema = validator.configSchema;
+
+  for (const key of Object.keys(options)) {
+    if (!schema[key]) {
+      throw new Error(
+        `Unknown option "${key}" for validator "${validator.name}"`
+      );
+    }
+  }
+
+  const resolved = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = options[key] ?? spec.default;
+    if (value !== undefined && typeof value !== spec.type) {
+      throw new Error(
+        `Option "${key}" for validator "${validator.name}" must be a ${spec.type}`
+      );
+    }
+    resolved[key] = value;
+  }
+
+  return resolved;
+};
+
+/**
+ * Turn a pipeline config into the ordered list of steps to run
+ * @param {Array<{name: string, enabled?: boolean, severity?: string, options?: object}>} steps - Pipeline config
+ * @returns {Array<{name: string, severity: string, options: object, validator: object}>} - Resolved steps
+ */
+const resolvePipeline = (steps) =>
+  steps
+    .filter((step) => step.enabled !== false)
+    .map((step) => {
+      const validator = getValidator(step.name);
+      if (!validator) {
+        throw new Error(`Unknown validator "${step.name}" in pipeline config`);
+      }
+
+      const severity = step.severity || validator.defaultSeverity;
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(
+          `Invalid severity "${severity}" for validator "${step.name}"`
+        );
+      }
+
+      return {
+        name: step.name,
+        severity,
+        options: resolveOptions(validator, step.options),
+        validator,
+      };
+    });
+
+/**
+ * Run a pipeline step and normalize its result. Its duration is recorded
+ * with the outcome "passed", "failed" or "error".
+ * @param {object} step - A resolved pipeline step
+ * @param {object} context - Shared context ({ image, imageBuffer, metadata, results })
+ * @returns {Promise<{name: string, severity: string, passed: boolean, code: string|null, reason: string|null, details: object, metaData: object}>}
+ */
+const runValidator = async (step, context) => {
+  const endTimer = validatorDuration.startTimer({ step: step.name });
+
+  let result;
+  try {
+    result = await step.validator.run(context, step.options);
+    endTimer({ outcome: result.passed ? "passed" : "failed" });
+  } catch (error) {
+    endTimer({ outcome: "error" });
+    // A pipeline that can't run the check at all would pass every image
+    if (!step.validator.failOpen || error instanceof PipelineError) {
+      throw error;
+    }
+
+    logger.error("Validator failed, passing image", {
+      step: step.name,
+      error,
+    });
+    result = {
+      passed: true,
+      details: { error: error.message, validationFailed: true },
+    };
+  }
+
+  return {
+    name: step.name,
+    severity: step.severity,
+    passed: Boolean(result.passed),
+    code: result.passed ? null : result.code || step.validator.code,
+    reason: result.passed ? null : result.reason || null,
+    details: result.details || {},
+    metaData: result.metaData || {},
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  registerValidator,
+  getValidator,
+  listValidators,
+  resolvePipeline,
+  runValidator,
+};
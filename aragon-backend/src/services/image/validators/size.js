@@ -0,0 +1,38 @@
+const { validateImageSize } = require("../sizeValidation");
+
+module.exports = {
+  name: "size",
+  code: "size_validation_failed",
+  description: "Minimum resolution and file size",
+  defaultSeverity: "reject",
+  configSchema: {
+    minWidth: {
+      type: "number",
+      default: 800,
+      description: "Minimum width in pixels",
+    },
+    minHeight: {
+      type: "number",
+      default: 800,
+      description: "Minimum height in pixels",
+    },
+    minSizeBytes: {
+      type: "number",
+      default: 100 * 1024,
+      description: "Minimum file size in bytes",
+    },
+  },
+  run: async ({ imageBuffer, metadata }, options) => {
+    const { isValid, reason } = await validateImageSize(imageBuffer, options);
+
+    return {
+      passed: isValid,
+      reason,
+      details: {
+        width: metadata.width,
+        height: metadata.height,
+        fileSize: imageBuffer.length,
+      },
+    };
+  },
+};
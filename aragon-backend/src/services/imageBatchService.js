@@ -0,0 +1,195 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const batchConfig = require("../config/batch");
+const imageService = require("./imageService");
+const { createLogger } = require("../utils/logger");
+
+const prisma = new PrismaClient();
+const logger = createLogger({ module: "imageBatch" });
+
+const BATCH_ACTIONS = ["delete", "process", "status"];
+
+/**
+ * Check a batch request
+ * @param {object} fields - `{ action, ids }`
+ * @returns {{action: string, ids: string[]}} - The action and the distinct image IDs
+ */
+const validateBatch = (fields) => {
+  const { action, ids } = fields || {};
+
+  if (!BATCH_ACTIONS.includes(action)) {
+    throw new ApiError(
+      400,
+      `action must be one of: ${BATCH_ACTIONS.join(", ")}`
+    );
+  }
+
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    !ids.every((id) => typeof id === "string" && id)
+  ) {
+    throw new ApiError(400, "ids must be a non-empty array of image IDs");
+  }
+
+  const uniqueIds = [...new Set(ids)];
+  if (uniqueIds.length > batchConfig.maxImages) {
+    throw new ApiError(
+      400,
+      `A batch can hold at most ${batchConfig.maxImages} images`
+    );
+  }
+
+  return { action, ids: uniqueIds };
+};
+
+/**
+ * Why an image can't take part in a batch action, with the same checks as
+ * the single-image endpoints
+ * @param {string} action - The batch action
+ * @param {object|undefined} image - The image, with its photo set
+ * @param {string} userId - ID of the calling user
+ * @returns {ApiError|null} - The error, or null if the action may go ahead
+ */
+const checkImage = (action, image, userId) => {
+  if (!image) {
+    return new ApiError(404, "Image not found").withCode("not_found");
+  }
+
+  if (image.ownerId !== userId) {
+    return new ApiError(403, "You do not have access to this image").withCode(
+      "forbidden"
+    );
+  }
+
+  // Submitted sets are final; process checks them with the other
+  // processing rules
+  if (
+    action === "delete" &&
+    image.photoSet &&
+    image.photoSet.status !== "DRAFT"
+  ) {
+    return new ApiError(
+      409,
+      "Images in a submitted photo set can't be deleted"
+    ).withCode("photo_set_submitted");
+  }
+
+  if (action === "process") {
+    return imageService.checkProcessable(image);
+  }
+
+  return null;
+};
+
+/**
+ * Result of an image the action failed for
+ * @param {string} id - The image ID
+ * @param {Error} error - What went wrong
+ * @returns {object} - The result
+ */
+const failure = (id, error) => ({
+  id,
+  success: false,
+  error: {
+    status: error.statusCode || 500,
+    // Codes of other errors, such as database ones, aren't meant for clients
+    code: (error instanceof ApiError && error.code) || "internal_error",
+    message: error.message,
+  },
+});
+
+// Run an action on the images that passed their checks, giving each a result
+const actions = {
+  delete: async (images) => {
+    try {
+      await imageService.deleteImages(images.map((image) => image.id));
+      return images.map((image) => ({ id: image.id, success: true }));
+    } catch (error) {
+      logger.error("Error deleting images", {
+        imageIds: images.map((image) => image.id),
+        error,
+      });
+      return images.map((image) => failure(image.id, error));
+    }
+  },
+
+  process: async (images) => {
+    const results = [];
+
+    for (const image of images) {
+      try {
+        const job = await imageService.queueImageProcessing(image);
+        results.push({ id: image.id, success: true, jobId: job.id });
+      } catch (error) {
+        logger.error("Error queueing image", { imageId: image.id, error });
+        results.push(failure(image.id, error));
+      }
+    }
+
+    return results;
+  },
+
+  status: async (images) =>
+    images.map((image) => ({
+      id: image.id,
+      success: true,
+      status: image.status,
+      qualityScore: image.qualityScore,
+      rejectionReason: image.metaData?.rejectionReason || null,
+      validationErrors: image.metaData?.validationErrors || [],
+    })),
+};
+
+/**
+ * Delete, queue for processing or look up several of the caller's images.
+ * Each image is checked on its own, so some can fail while the rest go
+ * ahead.
+ * @param {string} userId - ID of the calling user
+ * @param {object} fields - `{ action, ids }`
+ * @returns {Promise<{action: string, results: object[], succeeded: number, failed: number}>} - A
+ * result per image, in the order of the IDs
+ */
+const runBatch = async (userId, fields) => {
+  const { action, ids } = validateBatch(fields);
+
+  const images = await prisma.image.findMany({
+    where: { id: { in: ids } },
+    include: { photoSet: { select: { status: true } } },
+  });
+  const imagesById = new Map(images.map((image) => [image.id, image]));
+
+  const results = new Map();
+  const eligible = [];
+
+  for (const id of ids) {
+    const image = imagesById.get(id);
+    const error = checkImage(action, image, userId);
+    if (error) {
+      results.set(id, failure(id, error));
+    } else {
+      eligible.push(image);
+    }
+  }
+
+  if (eligible.length > 0) {
+    for (const result of await actions[action](eligible)) {
+      results.set(result.id, result);
+    }
+  }
+
+  const orderedResults = ids.map((id) => results.get(id));
+  const succeeded = orderedResults.filter((result) => result.success).length;
+
+  return {
+    action,
+    results: orderedResults,
+    succeeded,
+    failed: orderedResults.length - succeeded,
+  };
+};
+
+module.exports = {
+  BATCH_ACTIONS,
+  runBatch,
+};
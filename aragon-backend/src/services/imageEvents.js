@@ -0,0 +1,196 @@
+const { PrismaClient } = require("@prisma/client");
+const eventConfig = require("../config/events");
+const { createLogger } = require("../utils/logger");
+
+const prisma = new PrismaClient();
+const logger = createLogger({ module: "imageEvents" });
+
+// Open event streams of this process. Each keeps its own cursor, so a
+// stream only gets the events after it connected.
+const subscribers = new Set();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Record an event about an image for its owner's event streams. Events go
+ * through the database so streams see them whichever instance processed
+ * the image. Failures are logged and never break the caller.
+ * @param {object} image - The image (needs id and ownerId)
+ * @param {string} type - Event type ("status" or "validation")
+ * @param {object} data - Event payload
+ * @returns {Promise<void>}
+ */
+const publishImageEvent = async (image, type, data) => {
+  if (!image?.ownerId) return;
+
+  try {
+    await prisma.imageEvent.create({
+      data: {
+        imageId: image.id,
+        ownerId: image.ownerId,
+        type,
+        data: { imageId: image.id, ...data },
+      },
+    });
+  } catch (error) {
+    logger.error("Error publishing image event", {
+      type,
+      imageId: image.id,
+      error,
+    });
+  }
+};
+
+/**
+ * Whether a subscriber still has to get an event. IDs are handed out when
+ * an event is inserted, not when it commits, so an event can become
+ * visible after one with a higher ID. Events within the commit lag window
+ * are read again and delivered once, even below the cursor.
+ * @param {object} subscriber - The subscriber
+ * @param {object} event - The event
+ * @param {Date} lagCutoff - Start of the commit lag window
+ * @returns {boolean}
+ */
+const isUndelivered = (subscriber, event, lagCutoff) => {
+  if (event.ownerId !== subscriber.ownerId) return false;
+  if (event.id > subscriber.cursor) return true;
+
+  return (
+    event.id > subscriber.startId &&
+    event.createdAt >= lagCutoff &&
+    !subscriber.delivered.has(event.id)
+  );
+};
+
+/**
+ * Hand an event to a subscriber and move its cursor on
+ * @param {object} subscriber - The subscriber
+ * @param {object} event - The event
+ */
+const deliverTo = (subscriber, event) => {
+  subscriber.cursor = Math.max(subscriber.cursor, event.id);
+  subscriber.delivered.set(event.id, event.createdAt);
+  subscriber.deliver(event);
+};
+
+/**
+ * Forget delivered events that have left the commit lag window, as they
+ * are no longer read again
+ * @param {object} subscriber - The subscriber
+ * @param {Date} lagCutoff - Start of the commit lag window
+ */
+const forgetDelivered = (subscriber, lagCutoff) => {
+  for (const [id, createdAt] of subscriber.delivered) {
+    if (createdAt < lagCutoff) {
+      subscriber.delivered.delete(id);
+    }
+  }
+};
+
+/**
+ * Hand new events to the subscribers of their owners
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  if (polling || subscribers.size === 0) return;
+  polling = true;
+
+  try {
+    const current = [...subscribers];
+    const ownerIds = [...new Set(current.map((s) => s.ownerId))];
+    const cursor = Math.min(...current.map((s) => s.cursor));
+    const lagCutoff = new Date(Date.now() - eventConfig.commitLagMs);
+
+    const events = await prisma.imageEvent.findMany({
+      where: {
+        ownerId: { in: ownerIds },
+        OR: [{ id: { gt: cursor } }, { createdAt: { gte: lagCutoff } }],
+      },
+      orderBy: { id: "asc" },
+      take: eventConfig.replayLimit,
+    });
+
+    for (const subscriber of current) {
+      // Closed while the events were read
+      if (!subscribers.has(subscriber)) continue;
+
+      for (const event of events) {
+        if (isUndelivered(subscriber, event, lagCutoff)) {
+          deliverTo(subscriber, event);
+        }
+      }
+      forgetDelivered(subscriber, lagCutoff);
+    }
+  } catch (error) {
+    logger.error("Error polling image events", { error });
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Follow the image events of a user, from the time of the call
+ * @param {string} ownerId - The user ID
+ * @param {number|null} lastEventId - Replay events after this one first (from Last-Event-ID)
+ * @param {Function} listener - Called with each event
+ * @returns {Promise<Function>} - Call to stop following
+ */
+const subscribeToImageEvents = async (ownerId, lastEventId, listener) => {
+  const { _max } = await prisma.imageEvent.aggregate({ _max: { id: true } });
+  const startId = _max.id || 0;
+
+  const subscriber = {
+    ownerId,
+    // Events up to here are history, only sent as a replay
+    startId,
+    cursor: startId,
+    // Events delivered within the commit lag window, by ID
+    delivered: new Map(),
+    deliver: listener,
+  };
+
+  // Live events follow once the replay is done, so they stay in order
+  if (Number.isInteger(lastEventId) && lastEventId < startId) {
+    const missed = await prisma.imageEvent.findMany({
+      where: { ownerId, id: { gt: lastEventId, lte: startId } },
+      orderBy: { id: "asc" },
+      take: eventConfig.replayLimit,
+    });
+    subscriber.startId = lastEventId;
+    missed.forEach((event) => deliverTo(subscriber, event));
+    subscriber.cursor = startId;
+  }
+
+  subscribers.add(subscriber);
+  if (!pollTimer) {
+    pollTimer = setInterval(poll, eventConfig.pollIntervalMs);
+  }
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+};
+
+/**
+ * Delete events past the retention period
+ * @returns {Promise<number>} - Number of events deleted
+ */
+const pruneImageEvents = async () => {
+  const { count } = await prisma.imageEvent.deleteMany({
+    where: {
+      createdAt: { lt: new Date(Date.now() - eventConfig.retentionMs) },
+    },
+  });
+  return count;
+};
+
+module.exports = {
+  publishImageEvent,
+  subscribeToImageEvents,
+  pruneImageEvents,
+};
@@ -0,0 +1,255 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const { parseLimit } = require("../utils/pagination");
+
+const prisma = new PrismaClient();
+
+const IMAGE_STATUSES = [
+  "UPLOADING",
+  "PENDING",
+  "PROCESSING",
+  "PROCESSED",
+  "REJECTED",
+  "FAILED",
+];
+
+// Sort keys clients can ask for, and the Image fields they order by
+const SORT_FIELDS = {
+  createdAt: "createdAt",
+  size: "originalSize",
+  qualityScore: "qualityScore",
+};
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Split a comma-separated query parameter
+ * @param {string|string[]|undefined} value - The parameter
+ * @returns {string[]} - The non-empty values
+ */
+const parseList = (value) =>
+  []
+    .concat(value ?? [])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parse a date filter
+ * @param {string|undefined} value - The parameter
+ * @param {string} name - Parameter name for the error message
+ * @returns {Date|undefined} - The date
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a date`);
+  }
+  return date;
+};
+
+/**
+ * Make an opaque cursor pointing after an image
+ * @param {object} image - The last image of a page
+ * @param {string} sort - The sort key
+ * @returns {string} - The cursor
+ */
+const encodeCursor = (image, sort) =>
+  Buffer.from(
+    JSON.stringify({ sort, value: image[SORT_FIELDS[sort]], id: image.id })
+  ).toString("base64url");
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - The cursor
+ * @param {string} sort - The sort key of the request
+ * @returns {{value: *, id: string}} - The sort value and ID of the image it points after
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+
+  if (!decoded || typeof decoded.id !== "string" || !("value" in decoded)) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+
+  // A cursor only means something in the order it was made for
+  if (decoded.sort !== sort) {
+    throw new ApiError(400, "The cursor was made for another sort order");
+  }
+
+  return {
+    value:
+      decoded.value !== null && sort === "createdAt"
+        ? new Date(decoded.value)
+        : decoded.value,
+    id: decoded.id,
+  };
+};
+
+/**
+ * Condition for the images after a cursor. Postgres puts nulls last in
+ * ascending and first in descending order, and the query keeps that
+ * default, so unscored images are paged through like any other.
+ * @param {string} field - The Image field sorted by
+ * @param {string} order - "asc" or "desc"
+ * @param {{value: *, id: string}} cursor - The decoded cursor
+ * @returns {object} - The Prisma condition
+ */
+const afterCursor = (field, order, { value, id }) => {
+  const beyond = order === "asc" ? "gt" : "lt";
+  const sameValueBeyondId = { [field]: value, id: { [beyond]: id } };
+
+  if (value === null) {
+    return order === "asc"
+      ? sameValueBeyondId
+      : { OR: [sameValueBeyondId, { [field]: { not: null } }] };
+  }
+
+  return {
+    OR: [
+      { [field]: { [beyond]: value } },
+      sameValueBeyondId,
+      ...(order === "asc" ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+/**
+ * Turn the query parameters of GET /api/images into a Prisma query
+ * @param {string} ownerId - ID of the calling user
+ * @param {object} query - The query parameters
+ * @returns {{where: object, orderBy: object[], cursorWhere: object|null, limit: number, sort: string}} - The query parts
+ */
+const buildImageQuery = (ownerId, query) => {
+  const {
+    status,
+    code,
+    createdFrom,
+    createdTo,
+    fileType,
+    photoSetId,
+    search,
+    sort = "createdAt",
+    order = "desc",
+    cursor,
+  } = query;
+
+  if (!SORT_FIELDS[sort]) {
+    throw new ApiError(
+      400,
+      `sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}`
+    );
+  }
+  if (order !== "asc" && order !== "desc") {
+    throw new ApiError(400, "order must be asc or desc");
+  }
+
+  for (const [name, value] of Object.entries({
+    code,
+    photoSetId,
+    search,
+    cursor,
+  })) {
+    if (value !== undefined && typeof value !== "string") {
+      throw new ApiError(400, `${name} must be a single value`);
+    }
+  }
+
+  const statuses = parseList(status);
+  if (!statuses.every((value) => IMAGE_STATUSES.includes(value))) {
+    throw new ApiError(
+      400,
+      `status must be one or more of: ${IMAGE_STATUSES.join(", ")}`
+    );
+  }
+
+  const fromDate = parseDate(createdFrom, "createdFrom");
+  const toDate = parseDate(createdTo, "createdTo");
+  const fileTypes = parseList(fileType).map((type) => type.toLowerCase());
+
+  const where = {
+    ownerId,
+    // Images still being uploaded directly have no file to show yet
+    status: statuses.length > 0 ? { in: statuses } : { not: "UPLOADING" },
+    ...(photoSetId && { photoSetId }),
+    ...(code && {
+      metaData: { path: ["validationErrors"], array_contains: [code] },
+    }),
+    ...((fromDate || toDate) && {
+      createdAt: {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lt: toDate }),
+      },
+    }),
+    ...(fileTypes.length > 0 && { fileType: { in: fileTypes } }),
+    ...(search && {
+      originalName: { contains: search, mode: "insensitive" },
+    }),
+  };
+
+  const field = SORT_FIELDS[sort];
+
+  return {
+    where,
+    // The ID breaks ties, so every image has one place in the order
+    orderBy: [{ [field]: order }, { id: order }],
+    cursorWhere: cursor
+      ? afterCursor(field, order, decodeCursor(cursor, sort))
+      : null,
+    limit: parseLimit(query.limit, DEFAULT_LIMIT),
+    sort,
+  };
+};
+
+/**
+ * List the caller's images one page at a time
+ * @param {string} ownerId - ID of the calling user
+ * @param {object} query - Query parameters, see the Get All Images docs
+ * @returns {Promise<{images: object[], pageInfo: object}>} - The page, with
+ * its variants, and `{ limit, total, hasMore, nextCursor }`
+ */
+const listImages = async (ownerId, query = {}) => {
+  const { where, orderBy, cursorWhere, limit, sort } = buildImageQuery(
+    ownerId,
+    query
+  );
+
+  const [rows, total] = await Promise.all([
+    prisma.image.findMany({
+      where: cursorWhere ? { AND: [where, cursorWhere] } : where,
+      orderBy,
+      // One more than asked for tells whether there is another page
+      take: limit + 1,
+      include: { variants: true },
+    }),
+    prisma.image.count({ where }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const images = rows.slice(0, limit);
+
+  return {
+    images,
+    pageInfo: {
+      limit,
+      total,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor(images[images.length - 1], sort)
+        : null,
+    },
+  };
+};
+
+module.exports = {
+  IMAGE_STATUSES,
+  SORT_FIELDS,
+  listImages,
+};
@@ -0,0 +1,133 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+
+const prisma = new PrismaClient();
+
+// Image statuses counted as accepted, still in flight and turned down
+const PHOTO_SET_STATUSES = ["DRAFT", "SUBMITTED", "LOCKED"];
+
+const ACCEPTED_STATUSES = ["PROCESSED"];
+const IN_FLIGHT_STATUSES = ["UPLOADING", "PENDING", "PROCESSING"];
+const REJECTED_STATUSES = ["REJECTED", "FAILED"];
+
+/**
+ * Load a photo set and make sure it belongs to the caller
+ * @param {string} id - The photo set ID
+ * @param {string} userId - ID of the calling user
+ * @returns {Promise<object>} - The photo set
+ */
+const findOwnedSet = async (id, userId) => {
+  const photoSet = await prisma.photoSet.findUnique({
+    where: { id },
+  });
+
+  if (!photoSet) {
+    throw new ApiError(404, "Photo set not found");
+  }
+
+  if (photoSet.ownerId !== userId) {
+    throw new ApiError(403, "You do not have access to this photo set");
+  }
+
+  return photoSet;
+};
+
+/**
+ * Count the images of a photo set by outcome
+ * @param {string} photoSetId - The photo set ID
+ * @returns {Promise<{accepted: number, inFlight: number, rejected: number, total: number}>}
+ */
+const getImageCounts = async (photoSetId) => {
+  const groups = await prisma.image.groupBy({
+    by: ["status"],
+    where: { photoSetId },
+    _count: { _all: true },
+  });
+
+  const counts = { accepted: 0, inFlight: 0, rejected: 0, total: 0 };
+  for (const group of groups) {
+    const count = group._count._all;
+    if (ACCEPTED_STATUSES.includes(group.status)) counts.accepted += count;
+    if (IN_FLIGHT_STATUSES.includes(group.status)) counts.inFlight += count;
+    if (REJECTED_STATUSES.includes(group.status)) counts.rejected += count;
+    counts.total += count;
+  }
+
+  return counts;
+};
+
+/**
+ * Check a photo set against its submission rules
+ * @param {object} photoSet - The photo set
+ * @param {object} counts - Image counts from getImageCounts
+ * @returns {Array<{rule: string, passed: boolean, message: string}>} - One entry per rule
+ */
+const evaluateRequirements = (photoSet, counts) => [
+  {
+    rule: "min_photos",
+    passed: counts.accepted >= photoSet.minPhotos,
+    message: `At least ${photoSet.minPhotos} accepted photos are required (${counts.accepted} accepted)`,
+  },
+  {
+    rule: "max_photos",
+    passed: counts.accepted <= photoSet.maxPhotos,
+    message: `At most ${photoSet.maxPhotos} accepted photos are allowed (${counts.accepted} accepted)`,
+  },
+  {
+    rule: "processing_complete",
+    passed: counts.inFlight === 0,
+    message:
+      counts.inFlight === 0
+        ? "All photos have been checked"
+        : `${counts.inFlight} photo(s) are still being uploaded or checked`,
+  },
+];
+
+/**
+ * Add image counts and submission requirements to a photo set
+ * @param {object} photoSet - The photo set
+ * @returns {Promise<object>} - The photo set with counts, requirements and canSubmit
+ */
+const withSummary = async (photoSet) => {
+  const counts = await getImageCounts(photoSet.id);
+  const requirements = evaluateRequirements(photoSet, counts);
+
+  return {
+    ...photoSet,
+    counts,
+    requirements,
+    canSubmit:
+      photoSet.status === "DRAFT" && requirements.every((r) => r.passed),
+  };
+};
+
+/**
+ * Make sure a photo set can take more uploads
+ * @param {object} photoSet - The photo set
+ * @param {number} fileCount - Number of files being added
+ * @returns {Promise<void>}
+ */
+const assertCanAddImages = async (photoSet, fileCount) => {
+  if (photoSet.status !== "DRAFT") {
+    throw new ApiError(409, "Photos can't be added to a submitted photo set");
+  }
+
+  // Rejected photos don't take up a slot, so they can be replaced
+  const counts = await getImageCounts(photoSet.id);
+  const used = counts.accepted + counts.inFlight;
+  if (used + fileCount > photoSet.maxPhotos) {
+    throw new ApiError(
+      400,
+      `This photo set takes at most ${photoSet.maxPhotos} photos and already has ${used}`
+    );
+  }
+};
+
+module.exports = {
+  PHOTO_SET_STATUSES,
+  findOwnedSet,
+  getImageCounts,
+  evaluateRequirements,
+  withSummary,
+  assertCanAddImages,
+};
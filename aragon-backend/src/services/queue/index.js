@@ -0,0 +1,29 @@
+const {
+  ACTIVE_STATUSES,
+  assertActiveJobIndex,
+  enqueueImageProcessing,
+  enqueueReprocessing,
+  claimNextJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+  enqueueOrphanedImages,
+} = require("./jobQueue");
+const { startWorker, stopWorker } = require("./worker");
+
+module.exports = {
+  // Job management
+  ACTIVE_STATUSES,
+  assertActiveJobIndex,
+  enqueueImageProcessing,
+  enqueueReprocessing,
+  claimNextJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+  enqueueOrphanedImages,
+
+  // Worker lifecycle
+  startWorker,
+  stopWorker,
+};
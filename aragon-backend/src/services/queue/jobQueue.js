@@ -0,0 +1,324 @@
+const { PrismaClient } = require("@prisma/client");
+const queueConfig = require("../../config/queue");
+const { publishImageEvent } = require("../imageEvents");
+const { dispatchWebhookEvent } = require("../webhookService");
+const { getLogContext } = require("../../utils/logger");
+
+const prisma = new PrismaClient();
+
+const ACTIVE_STATUSES = ["QUEUED", "PROCESSING"];
+
+// Partial unique index that allows an image one active job. Prisma 4 can't
+// express it, so it only exists in migration SQL.
+const ACTIVE_JOB_INDEX = "ProcessingJob_imageId_active_key";
+
+// Re-processing jobs wait for new uploads, so a large batch doesn't hold
+// up the photos users are waiting on
+const REPROCESS_PRIORITY = -1;
+
+/**
+ * Find the QUEUED or PROCESSING job of an image
+ * @param {string} imageId - The image ID
+ * @returns {Promise<object|null>} - The job, or null if there is none
+ */
+const findActiveJob = (imageId) =>
+  prisma.processingJob.findFirst({
+    where: { imageId, status: { in: ACTIVE_STATUSES } },
+  });
+
+/**
+ * Reuse the active job of an image for another request
+ * @param {object} activeJob - The active job
+ * @param {boolean} debug - Whether the request asked for a debug capture
+ * @returns {Promise<object>} - The job
+ */
+const reuseActiveJob = async (activeJob, debug) => {
+  // A capture asked for while the job waits is made when it runs
+  if (debug && !activeJob.debug && activeJob.status === "QUEUED") {
+    return prisma.processingJob.update({
+      where: { id: activeJob.id },
+      data: { debug: true },
+    });
+  }
+  return activeJob;
+};
+
+/**
+ * Queue an image for processing, reusing an active job if one exists. The
+ * job keeps the ID of the request that queued it, so the worker's logs can
+ * be matched to it.
+ * @param {string} imageId - The image ID
+ * @param {object} [options] - Job options
+ * @param {boolean} [options.debug] - Save a debug capture of the run
+ * @param {boolean} [options.reprocess] - Evaluate a processed or failed image again
+ * @returns {Promise<object>} - The queued job
+ */
+const enqueueImageProcessing = async (
+  imageId,
+  { debug = false, reprocess = false } = {}
+) => {
+  const activeJob = await findActiveJob(imageId);
+  if (activeJob) {
+    return reuseActiveJob(activeJob, debug);
+  }
+
+  try {
+    return await prisma.processingJob.create({
+      data: {
+        imageId,
+        reprocess,
+        debug,
+        maxAttempts: queueConfig.maxAttempts,
+        requestId: getLogContext().requestId,
+      },
+    });
+  } catch (error) {
+    // The unique index on active jobs turned this one away: another
+    // request queued the image in the meantime
+    if (error.code !== "P2002") throw error;
+
+    const queuedJob = await findActiveJob(imageId);
+    if (!queuedJob) throw error;
+
+    return reuseActiveJob(queuedJob, debug);
+  }
+};
+
+/**
+ * Make sure the unique index on active jobs exists. Prisma doesn't know
+ * about it, so `prisma db push` never creates it and a generated migration
+ * can drop it; without it concurrent requests can queue an image twice.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the index is missing
+ */
+const assertActiveJobIndex = async () => {
+  const indexes = await prisma.$queryRaw`
+    SELECT 1 FROM pg_indexes
+    WHERE tablename = 'ProcessingJob' AND indexname = ${ACTIVE_JOB_INDEX}
+  `;
+
+  if (indexes.length === 0) {
+    throw new Error(
+      `The unique index ${ACTIVE_JOB_INDEX} is missing; apply the migrations with "npm run db:deploy"`
+    );
+  }
+};
+
+/**
+ * Queue processed or failed images to be evaluated again. Images that
+ * already have an active job keep it and are not counted.
+ * @param {string[]} imageIds - IDs of the images
+ * @param {string} [batchId] - The re-process batch the jobs belong to
+ * @returns {Promise<number>} - Number of jobs queued
+ */
+const enqueueReprocessing = async (imageIds, batchId = null) => {
+  const { requestId } = getLogContext();
+  const { count } = await prisma.processingJob.createMany({
+    data: imageIds.map((imageId) => ({
+      imageId,
+      batchId,
+      reprocess: true,
+      priority: REPROCESS_PRIORITY,
+      maxAttempts: queueConfig.maxAttempts,
+      requestId,
+    })),
+    // Rows the unique index on active jobs rejects are left out
+    skipDuplicates: true,
+  });
+
+  return count;
+};
+
+/**
+ * Atomically claim the next due job, highest priority first. Rows locked
+ * by other workers are skipped, so several processes can poll the same
+ * table safely.
+ * @param {string} workerId - ID of the claiming worker
+ * @returns {Promise<object|null>} - The claimed job, or null if none is due
+ */
+const claimNextJob = async (workerId) => {
+  const [job] = await prisma.$queryRaw`
+    UPDATE "ProcessingJob"
+    SET "status" = 'PROCESSING',
+        "attempts" = "attempts" + 1,
+        "lockedAt" = NOW(),
+        "lockedBy" = ${workerId},
+        "updatedAt" = NOW()
+    WHERE "id" = (
+      SELECT "id" FROM "ProcessingJob"
+      WHERE "status" = 'QUEUED' AND "runAt" <= NOW()
+      ORDER BY "priority" DESC, "runAt" ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  return job || null;
+};
+
+/**
+ * Mark a job as completed
+ * @param {string} jobId - The job ID
+ * @returns {Promise<void>}
+ */
+const completeJob = async (jobId) => {
+  await prisma.processingJob.update({
+    where: { id: jobId },
+    data: { status: "COMPLETED", lockedAt: null, lockedBy: null },
+  });
+};
+
+/**
+ * Delay before the next attempt of a job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(
+    queueConfig.retryBaseDelayMs * Math.pow(2, Math.max(attempts - 1, 0)),
+    queueConfig.retryMaxDelayMs
+  );
+
+/**
+ * Mark the image of a dead-lettered job as failed
+ * @param {string} imageId - The image ID
+ * @returns {Promise<void>}
+ */
+const markImageFailed = async (imageId) => {
+  const metaData = {
+    rejectionReason: "Image processing failed",
+    validationErrors: ["processing_error"],
+  };
+  const { count } = await prisma.image.updateMany({
+    where: { id: imageId, status: { in: ["PENDING", "PROCESSING"] } },
+    data: { status: "FAILED", metaData },
+  });
+
+  if (count > 0) {
+    const image = await prisma.image.findUnique({ where: { id: imageId } });
+    await publishImageEvent(image, "status", { status: "FAILED", ...metaData });
+    await dispatchWebhookEvent("image.failed", image);
+  }
+};
+
+/**
+ * Record a failed attempt. The job is retried with exponential backoff
+ * until it runs out of attempts, then moved to the dead-letter state.
+ * @param {object} job - The claimed job
+ * @param {Error} error - The error the attempt failed with
+ * @param {boolean} retryable - Whether the error may succeed on retry
+ * @returns {Promise<object>} - The updated job
+ */
+const failJob = async (job, error, retryable = true) => {
+  const lastError = (error && error.message) || String(error);
+
+  if (retryable && job.attempts < job.maxAttempts) {
+    return prisma.processingJob.update({
+      where: { id: job.id },
+      data: {
+        status: "QUEUED",
+        runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+        lockedAt: null,
+        lockedBy: null,
+        lastError,
+      },
+    });
+  }
+
+  const deadJob = await prisma.processingJob.update({
+    where: { id: job.id },
+    data: { status: "DEAD", lockedAt: null, lockedBy: null, lastError },
+  });
+  await markImageFailed(job.imageId);
+
+  return deadJob;
+};
+
+/**
+ * Refresh the locks of jobs this worker is still running
+ * @param {string[]} jobIds - IDs of the running jobs
+ * @param {string} workerId - ID of the worker holding the locks
+ * @returns {Promise<void>}
+ */
+const refreshLocks = async (jobIds, workerId) => {
+  if (jobIds.length === 0) return;
+
+  await prisma.processingJob.updateMany({
+    where: { id: { in: jobIds }, status: "PROCESSING", lockedBy: workerId },
+    data: { lockedAt: new Date() },
+  });
+};
+
+/**
+ * Requeue jobs left PROCESSING by a worker that stopped refreshing its locks
+ * @returns {Promise<number>} - Number of jobs recovered
+ */
+const recoverStaleJobs = async () => {
+  const cutoff = new Date(Date.now() - queueConfig.staleJobTimeoutMs);
+
+  const staleJobs = await prisma.processingJob.findMany({
+    where: { status: "PROCESSING", lockedAt: { lt: cutoff } },
+  });
+
+  let recovered = 0;
+  for (const job of staleJobs) {
+    // Only take over the job if no other worker recovered it in the meantime
+    const { count } = await prisma.processingJob.updateMany({
+      where: { id: job.id, status: "PROCESSING", lockedAt: { lt: cutoff } },
+      data: { lockedAt: new Date() },
+    });
+    if (count === 0) continue;
+
+    // The interrupted attempt may have left the image mid-processing
+    await prisma.image.updateMany({
+      where: { id: job.imageId, status: "PROCESSING" },
+      data: { status: "PENDING" },
+    });
+    await failJob(
+      job,
+      new Error(`Worker ${job.lockedBy} stopped while processing the job`)
+    );
+    recovered++;
+  }
+
+  return recovered;
+};
+
+/**
+ * Queue images that are waiting for processing but have no active job,
+ * e.g. uploads from before the queue existed or a failed enqueue
+ * @returns {Promise<number>} - Number of images queued
+ */
+const enqueueOrphanedImages = async () => {
+  const orphans = await prisma.image.findMany({
+    where: {
+      status: { in: ["PENDING", "PROCESSING"] },
+      jobs: { none: { status: { in: ACTIVE_STATUSES } } },
+    },
+    select: { id: true },
+  });
+
+  for (const { id } of orphans) {
+    await prisma.image.updateMany({
+      where: { id, status: "PROCESSING" },
+      data: { status: "PENDING" },
+    });
+    await enqueueImageProcessing(id);
+  }
+
+  return orphans.length;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  assertActiveJobIndex,
+  enqueueImageProcessing,
+  enqueueReprocessing,
+  claimNextJob,
+  completeJob,
+  failJob,
+  refreshLocks,
+  recoverStaleJobs,
+  enqueueOrphanedImages,
+};
@@ -0,0 +1,220 @@
+const queueConfig = require("../../config/queue");
+const webhookConfig = require("../../config/webhooks");
+const debugConfig = require("../../config/debug");
+const { processImage } = require("../image/processor");
+const {
+  createDebugCapture,
+  saveDebugCapture,
+  pruneDebugCaptures,
+} = require("../image/debugCapture");
+const { expireAbandonedUploads } = require("../image/uploads");
+const { pruneImageEvents } = require("../imageEvents");
+const {
+  deliverDueWebhooks,
+  pruneWebhookDeliveries,
+} = require("../webhookService");
+const {
+  claimNextJob,
+  completeJob,
+  failJob,
+  refreshLocks,
+  recoverStaleJobs,
+  enqueueOrphanedImages,
+} = require("./jobQueue");
+const { createLogger, withLogContext } = require("../../utils/logger");
+
+const logger = createLogger({ module: "worker" });
+
+// Jobs currently running in this process, keyed by job ID
+const activeJobs = new Map();
+
+let running = false;
+let polling = false;
+let pollTimer = null;
+let maintenanceTimer = null;
+let webhookTimer = null;
+let delivering = null;
+
+/**
+ * Run a single claimed job. Its log lines carry the job and image IDs and
+ * the ID of the request that queued it. Jobs that asked for a debug
+ * capture save one when the attempt ends, however it ended.
+ * @param {object} job - The claimed job
+ * @returns {Promise<void>}
+ */
+const runJob = (job) =>
+  withLogContext(
+    {
+      jobId: job.id,
+      imageId: job.imageId,
+      ...(job.requestId && { requestId: job.requestId }),
+    },
+    async () => {
+      logger.info("Job started", {
+        attempt: job.attempts,
+        maxAttempts: job.maxAttempts,
+        reprocess: job.reprocess,
+        debug: job.debug,
+      });
+
+      const debug =
+        job.debug && debugConfig.enabled ? createDebugCapture(job) : null;
+      let outcome = {};
+
+      try {
+        const image = await processImage(job.imageId, {
+          retryable: job.attempts < job.maxAttempts,
+          reprocess: job.reprocess,
+          debug,
+        });
+        outcome = { status: image.status };
+        await completeJob(job.id);
+        logger.info("Job completed");
+      } catch (error) {
+        outcome = { error: error.message };
+        logger.error("Job failed", {
+          attempt: job.attempts,
+          maxAttempts: job.maxAttempts,
+          error,
+        });
+        // A missing image won't appear on retry
+        const retryable = error.statusCode !== 404;
+        const updatedJob = await failJob(job, error, retryable);
+        if (updatedJob.status === "DEAD") {
+          logger.error("Job moved to dead-letter state");
+        }
+      }
+
+      if (debug) {
+        await saveDebugCapture(debug, outcome);
+      }
+    }
+  );
+
+/**
+ * Claim jobs until the concurrency limit is reached or the queue is empty
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  if (!running || polling) return;
+  polling = true;
+
+  try {
+    while (running && activeJobs.size < queueConfig.concurrency) {
+      const job = await claimNextJob(queueConfig.workerId);
+      if (!job) break;
+
+      const run = runJob(job)
+        .catch((error) => {
+          logger.error("Error finishing job", { jobId: job.id, error });
+        })
+        .finally(() => {
+          activeJobs.delete(job.id);
+          // Pick up the next job straight away instead of waiting for the timer
+          poll();
+        });
+      activeJobs.set(job.id, run);
+    }
+  } catch (error) {
+    logger.error("Error polling processing queue", { error });
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Send due webhook deliveries, one batch at a time
+ * @returns {Promise<void>}
+ */
+const pollWebhooks = async () => {
+  if (!running || delivering) return;
+
+  delivering = deliverDueWebhooks()
+    .catch((error) => {
+      logger.error("Error sending webhooks", { error });
+    })
+    .finally(() => {
+      delivering = null;
+    });
+};
+
+/**
+ * Keep locks of running jobs fresh, recover jobs from dead workers and
+ * clean up abandoned direct uploads, old image events, old webhook
+ * deliveries and expired debug captures
+ * @returns {Promise<void>}
+ */
+const runMaintenance = async () => {
+  try {
+    await refreshLocks(Array.from(activeJobs.keys()), queueConfig.workerId);
+    const recovered = await recoverStaleJobs();
+    if (recovered > 0) {
+      logger.info("Recovered stale processing jobs", { count: recovered });
+    }
+
+    const expired = await expireAbandonedUploads();
+    if (expired > 0) {
+      logger.info("Removed uploads that were never finalized", {
+        count: expired,
+      });
+    }
+
+    await pruneImageEvents();
+    await pruneWebhookDeliveries();
+
+    const pruned = await pruneDebugCaptures();
+    if (pruned > 0) {
+      logger.info("Removed expired debug captures", { count: pruned });
+    }
+  } catch (error) {
+    logger.error("Error during queue maintenance", { error });
+  }
+};
+
+/**
+ * Start the worker loop
+ * @returns {Promise<void>}
+ */
+const startWorker = async () => {
+  if (running) return;
+  running = true;
+
+  // Pick up work left behind by a previous run before polling for new jobs
+  await runMaintenance();
+  const orphaned = await enqueueOrphanedImages();
+  if (orphaned > 0) {
+    logger.info("Queued images that had no processing job", {
+      count: orphaned,
+    });
+  }
+
+  pollTimer = setInterval(poll, queueConfig.pollIntervalMs);
+  maintenanceTimer = setInterval(
+    runMaintenance,
+    Math.max(Math.floor(queueConfig.staleJobTimeoutMs / 3), 1000)
+  );
+  webhookTimer = setInterval(pollWebhooks, webhookConfig.pollIntervalMs);
+  poll();
+
+  logger.info("Processing worker started", {
+    workerId: queueConfig.workerId,
+    concurrency: queueConfig.concurrency,
+  });
+};
+
+/**
+ * Stop claiming jobs and wait for running jobs to finish
+ * @returns {Promise<void>}
+ */
+const stopWorker = async () => {
+  running = false;
+  clearInterval(pollTimer);
+  clearInterval(maintenanceTimer);
+  clearInterval(webhookTimer);
+  await Promise.allSettled([...activeJobs.values(), delivering]);
+};
+
+module.exports = {
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,197 @@
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const queueConfig = require("../config/queue");
+const { REPROCESSABLE_STATUSES } = require("./imageService");
+const { ACTIVE_STATUSES, enqueueReprocessing } = require("./queue");
+
+const prisma = new PrismaClient();
+
+/**
+ * Parse a date filter
+ * @param {*} value - The value from the request
+ * @param {string} name - Filter name for the error message
+ * @returns {Date|undefined} - The date
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a date`);
+  }
+  return date;
+};
+
+/**
+ * Check re-process filters and turn them into an image query. Images in
+ * submitted or locked photo sets never match.
+ * @param {object} filters - Filters from the request
+ * @param {string|string[]} [filters.status] - PROCESSED and/or FAILED (default both)
+ * @param {string} [filters.code] - Validation error code the images failed with
+ * @param {string} [filters.createdFrom] - Only images uploaded at or after this date
+ * @param {string} [filters.createdTo] - Only images uploaded before this date
+ * @param {number} [filters.versionBelow] - Only images evaluated with an older
+ * pipeline version, or never versioned
+ * @returns {{filters: object, where: object}} - The normalized filters and the query
+ */
+const buildReprocessQuery = (filters = {}) => {
+  const statuses =
+    filters.status === undefined
+      ? REPROCESSABLE_STATUSES
+      : [].concat(filters.status);
+  if (
+    statuses.length === 0 ||
+    !statuses.every((status) => REPROCESSABLE_STATUSES.includes(status))
+  ) {
+    throw new ApiError(
+      400,
+      `status must be one or more of: ${REPROCESSABLE_STATUSES.join(", ")}`
+    );
+  }
+
+  if (filters.code !== undefined && typeof filters.code !== "string") {
+    throw new ApiError(400, "code must be a string");
+  }
+
+  const createdFrom = parseDate(filters.createdFrom, "createdFrom");
+  const createdTo = parseDate(filters.createdTo, "createdTo");
+
+  const versionBelow =
+    filters.versionBelow === undefined
+      ? undefined
+      : Number(filters.versionBelow);
+  if (
+    versionBelow !== undefined &&
+    !(Number.isInteger(versionBelow) && versionBelow > 0)
+  ) {
+    throw new ApiError(400, "versionBelow must be a positive integer");
+  }
+
+  const where = {
+    status: { in: statuses },
+    // Images already waiting for a job are evaluated with the current
+    // pipeline anyway
+    jobs: { none: { status: { in: ACTIVE_STATUSES } } },
+    ...(filters.code && {
+      metaData: { path: ["validationErrors"], array_contains: [filters.code] },
+    }),
+    ...((createdFrom || createdTo) && {
+      createdAt: {
+        ...(createdFrom && { gte: createdFrom }),
+        ...(createdTo && { lt: createdTo }),
+      },
+    }),
+    AND: [
+      // Submitted and locked photo sets are final, so their images keep
+      // the result they were submitted with
+      { OR: [{ photoSetId: null }, { photoSet: { is: { status: "DRAFT" } } }] },
+      ...(versionBelow
+        ? [
+            {
+              OR: [
+                { pipelineVersion: null },
+                { pipelineVersion: { lt: versionBelow } },
+              ],
+            },
+          ]
+        : []),
+    ],
+  };
+
+  return {
+    filters: {
+      status: statuses,
+      ...(filters.code && { code: filters.code }),
+      ...(createdFrom && { createdFrom }),
+      ...(createdTo && { createdTo }),
+      ...(versionBelow && { versionBelow }),
+    },
+    where,
+  };
+};
+
+/**
+ * Queue every image matching the filters to be evaluated again with the
+ * current pipeline. The worker keeps each image's previous result in its
+ * history before replacing it.
+ * @param {object} filters - Filters, see buildReprocessQuery
+ * @param {string} requestedById - ID of the requesting admin
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only count the matching images
+ * @returns {Promise<{batch: object|null, imageCount: number}>} - The batch and the
+ * number of images queued (or matching, for a dry run)
+ */
+const startReprocess = async (filters, requestedById, { dryRun } = {}) => {
+  const query = buildReprocessQuery(filters);
+
+  const imageCount = await prisma.image.count({ where: query.where });
+  if (imageCount > queueConfig.reprocessMaxImages) {
+    throw new ApiError(
+      422,
+      `${imageCount} images match; narrow the filters to at most ${queueConfig.reprocessMaxImages}`
+    );
+  }
+
+  if (dryRun || imageCount === 0) {
+    return { batch: null, imageCount };
+  }
+
+  const images = await prisma.image.findMany({
+    where: query.where,
+    select: { id: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  let batch = await prisma.reprocessBatch.create({
+    data: {
+      filters: query.filters,
+      imageCount: images.length,
+      requestedById,
+    },
+  });
+  const queuedCount = await enqueueReprocessing(
+    images.map((image) => image.id),
+    batch.id
+  );
+
+  // Images another request queued in the meantime keep that job
+  if (queuedCount !== images.length) {
+    batch = await prisma.reprocessBatch.update({
+      where: { id: batch.id },
+      data: { imageCount: queuedCount },
+    });
+  }
+
+  return { batch, imageCount: queuedCount };
+};
+
+/**
+ * Get a re-process batch with the state of its jobs
+ * @param {string} id - The batch ID
+ * @returns {Promise<object>} - The batch with job counts by status
+ */
+const getReprocessBatch = async (id) => {
+  const batch = await prisma.reprocessBatch.findUnique({ where: { id } });
+
+  if (!batch) {
+    throw new ApiError(404, "Re-process batch not found");
+  }
+
+  const groups = await prisma.processingJob.groupBy({
+    by: ["status"],
+    where: { batchId: id },
+    _count: { _all: true },
+  });
+
+  const jobs = { QUEUED: 0, PROCESSING: 0, COMPLETED: 0, DEAD: 0 };
+  for (const group of groups) {
+    jobs[group.status] = group._count._all;
+  }
+
+  return { ...batch, jobs };
+};
+
+module.exports = {
+  startReprocess,
+  getReprocessBatch,
+};
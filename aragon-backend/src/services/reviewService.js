@@ -0,0 +1,257 @@
+const { PrismaClient } = require("@prisma/client");
+const { v4: uuidv4 } = require("uuid");
+const { ApiError } = require("../utils/errorHandler");
+const imageService = require("./imageService");
+const { enqueueImageProcessing } = require("./queue");
+const { publishImageEvent } = require("./imageEvents");
+const { dispatchWebhookEvent } = require("./webhookService");
+const { findBestThreshold } = require("./image/thresholdTuning");
+
+const prisma = new PrismaClient();
+
+const REVIEW_DECISIONS = ["ACCEPTED", "REJECTED"];
+
+// Only images whose checks have run can be reviewed
+const REVIEWABLE_STATUSES = ["PROCESSED", "FAILED"];
+
+const MAX_NOTE_LENGTH = 1000;
+
+// Error code of images a reviewer turned down after they were processed
+const REJECTED_ON_REVIEW = "rejected_on_review";
+
+/**
+ * Check a review decision from a request
+ * @param {object} fields - `{ decision, note }`
+ * @returns {{decision: string, note: string|null}} - The review to store
+ */
+const validateReview = (fields) => {
+  const { decision, note } = fields || {};
+
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    throw new ApiError(
+      400,
+      `decision must be one of: ${REVIEW_DECISIONS.join(", ")}`
+    );
+  }
+
+  if (note !== undefined && note !== null) {
+    if (typeof note !== "string" || note.length > MAX_NOTE_LENGTH) {
+      throw new ApiError(
+        400,
+        `note must be a string of at most ${MAX_NOTE_LENGTH} characters`
+      );
+    }
+  }
+
+  return { decision, note: note?.trim() || null };
+};
+
+/**
+ * Accept or reject an image regardless of its validation result, and
+ * record the decision in the audit trail. Accepting a failed image sends
+ * it through processing again with its failed checks overridden; rejecting
+ * a processed image fails it and removes its renditions.
+ * @param {string} imageId - The image ID
+ * @param {string} reviewerId - ID of the reviewing admin
+ * @param {object} fields - `{ decision, note }`
+ * @returns {Promise<{image: object, review: object, job: object|null}>} - The updated
+ * image, the audit record and the processing job of an accepted failed image
+ */
+const overrideImage = async (imageId, reviewerId, fields) => {
+  const { decision, note } = validateReview(fields);
+
+  const image = await prisma.image.findUnique({
+    where: { id: imageId },
+    include: { variants: true },
+  });
+
+  if (!image) {
+    throw new ApiError(404, "Image not found");
+  }
+
+  if (!REVIEWABLE_STATUSES.includes(image.status)) {
+    throw new ApiError(409, "Only processed or failed images can be reviewed");
+  }
+
+  const metaData = image.metaData || {};
+  const reviewId = uuidv4();
+  const reviewedAt = new Date();
+  const review = { id: reviewId, decision, note, reviewerId, reviewedAt };
+
+  // Snapshot what the checks saw, so the tuning report still has it after
+  // the image is processed again
+  const createReview = prisma.imageReview.create({
+    data: {
+      id: reviewId,
+      imageId,
+      reviewerId,
+      decision,
+      note,
+      previousStatus: image.status,
+      validationErrors: metaData.validationErrors || [],
+      validations: metaData.validations,
+      createdAt: reviewedAt,
+    },
+  });
+
+  let data = { metaData: { ...metaData, review } };
+  const changes = [];
+
+  // The image is evaluated again; keep the result that was overridden
+  if (decision === "ACCEPTED" && image.status === "FAILED") {
+    data = { ...data, status: "PENDING" };
+    changes.push(imageService.saveImageHistory(image, "review"));
+  }
+
+  if (decision === "REJECTED" && image.status === "PROCESSED") {
+    data = {
+      status: "FAILED",
+      processedPath: null,
+      processedSize: null,
+      metaData: {
+        ...metaData,
+        rejectionReason: note || "Rejected on review",
+        validationErrors: [REJECTED_ON_REVIEW],
+        review,
+      },
+    };
+    changes.push(prisma.imageVariant.deleteMany({ where: { imageId } }));
+  }
+
+  const [reviewRecord, updatedImage] = await prisma.$transaction([
+    createReview,
+    prisma.image.update({ where: { id: imageId }, data }),
+    ...changes,
+  ]);
+
+  let job = null;
+  if (updatedImage.status === "PENDING") {
+    job = await enqueueImageProcessing(imageId);
+    await publishImageEvent(updatedImage, "status", { status: "PENDING" });
+  }
+
+  if (image.status === "PROCESSED" && updatedImage.status === "FAILED") {
+    await imageService.deleteImageFiles(
+      image.processedPath,
+      ...image.variants.map((variant) => variant.path)
+    );
+    await publishImageEvent(updatedImage, "status", {
+      status: "FAILED",
+      rejectionReason: updatedImage.metaData.rejectionReason,
+      validationErrors: updatedImage.metaData.validationErrors,
+    });
+    await dispatchWebhookEvent("image.failed", updatedImage);
+  }
+
+  return { image: updatedImage, review: reviewRecord, job };
+};
+
+/**
+ * Whether a value passes an option at its current setting
+ * @param {number} value - The measured value
+ * @param {number} threshold - The option's value
+ * @param {string} direction - "min" or "max"
+ * @returns {boolean}
+ */
+const passesThreshold = (value, threshold, direction) =>
+  direction === "min" ? value >= threshold : value <= threshold;
+
+/**
+ * Compare each check of the active pipeline with what reviewers decided,
+ * and suggest option values that would have agreed with them more often.
+ * Only the latest review of each image counts. Accepted images show how
+ * far options can be loosened; confirmed rejections that an option caught
+ * show how tight it must stay. Rejections of images a check passed can't
+ * be pinned on any one option and are only counted.
+ * @param {object} [filters] - Report filters
+ * @param {Date} [filters.since] - Only count reviews made since then
+ * @returns {Promise<{reviews: number, steps: object[]}>} - The report
+ */
+const getTuningReport = async ({ since } = {}) => {
+  const reviews = await prisma.imageReview.findMany({
+    where: since ? { createdAt: { gte: since } } : {},
+    orderBy: { createdAt: "desc" },
+  });
+
+  const latest = new Map();
+  for (const review of reviews) {
+    if (!latest.has(review.imageId)) latest.set(review.imageId, review);
+  }
+
+  const steps = imageService.getPipeline().map((step) => {
+    const validator = imageService.getValidator(step.name);
+    const results = [...latest.values()]
+      .filter((review) => review.validations?.[step.name])
+      .map((review) => ({
+        decision: review.decision,
+        validation: review.validations[step.name],
+      }));
+
+    const failed = results.filter(({ validation }) => !validation.passed);
+    const overturned = failed.filter(
+      ({ decision }) => decision === "ACCEPTED"
+    ).length;
+
+    const options = Object.entries(validator.tuning).map(
+      ([option, { direction, measure }]) => {
+        const current = step.options[option];
+        const samples = [];
+
+        for (const { decision, validation } of results) {
+          const value = measure(validation.details || {});
+          if (!Number.isFinite(value)) continue;
+
+          if (decision === "ACCEPTED") {
+            samples.push({ value, shouldPass: true });
+          } else if (
+            !validation.passed &&
+            !passesThreshold(value, current, direction)
+          ) {
+            samples.push({ value, shouldPass: false });
+          }
+        }
+
+        const best = findBestThreshold(samples, direction);
+
+        return {
+          option,
+          direction,
+          current,
+          acceptedSamples: samples.filter((sample) => sample.shouldPass).length,
+          rejectedSamples: samples.filter((sample) => !sample.shouldPass)
+            .length,
+          suggested: best && {
+            value: best.threshold,
+            balancedAccuracy: Number(best.balancedAccuracy.toFixed(3)),
+          },
+        };
+      }
+    );
+
+    return {
+      name: step.name,
+      severity: step.severity,
+      reviewed: results.length,
+      failed: failed.length,
+      overturned,
+      confirmed: failed.length - overturned,
+      falseRejectionRate: failed.length
+        ? Number((overturned / failed.length).toFixed(3))
+        : null,
+      rejectedAfterPassing: results.filter(
+        ({ decision, validation }) =>
+          decision === "REJECTED" && validation.passed
+      ).length,
+      options,
+    };
+  });
+
+  return { reviews: latest.size, steps };
+};
+
+module.exports = {
+  REVIEW_DECISIONS,
+  REVIEWABLE_STATUSES,
+  overrideImage,
+  getTuningReport,
+};
@@ -0,0 +1,107 @@
+const storageConfig = require("../../config/storage");
+const { storageOperationDuration } = require("../../utils/metrics");
+
+/**
+ * A storage driver. Keys are paths such as "uploads/original/abc.jpg".
+ * @typedef {object} StorageDriver
+ * @property {string} name - The driver name
+ * @property {boolean} directUploads - Whether clients can upload to `signedUrl(key, { method: "PUT" })`
+ * @property {(key: string, body: Buffer|import("stream").Readable, options?: {contentType?: string}) => Promise<void>} put - Write a file
+ * @property {(key: string) => Promise<Buffer>} get - Read a file; rejects with a 404 ApiError if it doesn't exist
+ * @property {(key: string, range?: {start?: number, end?: number}) => Promise<import("stream").Readable>} stream - Read a file, or an inclusive byte range of it, as a stream
+ * @property {(key: string) => Promise<{size: number, lastModified: Date}|null>} stat - Size and modification time, or null if there is no such file
+ * @property {(key: string) => Promise<boolean>} exists - Whether the file exists
+ * @property {(key: string) => Promise<void>} delete - Delete a file; missing files are ignored
+ * @property {(keys: string[]) => Promise<void>} deleteMany - Delete several files at once; missing files are ignored
+ * @property {(prefix: string) => Promise<Array<{key: string, size: number, lastModified: Date}>>} list - Files whose key starts with the prefix
+ * @property {(key: string, options?: {method?: string, expiresIn?: number, contentType?: string}) => Promise<string>} signedUrl - An expiring URL to download (or, with directUploads, upload) the file
+ */
+
+const drivers = new Map();
+
+/**
+ * Register a storage driver
+ * @param {{name: string, create: (options: object) => StorageDriver}} definition - The driver definition
+ */
+const registerStorageDriver = (definition) => {
+  if (!definition?.name || typeof definition.create !== "function") {
+    throw new Error("A storage driver needs a name and a create function");
+  }
+  drivers.set(definition.name, definition);
+};
+
+/**
+ * Create a storage driver
+ * @param {string} name - Name of a registered driver
+ * @param {object} [options] - Driver options
+ * @returns {StorageDriver} - The driver
+ */
+const createStorageDriver = (name, options = {}) => {
+  const definition = drivers.get(name);
+  if (!definition) {
+    throw new Error(
+      `Unknown storage driver "${name}" (available: ${[...drivers.keys()].join(
+        ", "
+      )})`
+    );
+  }
+  return definition.create(options);
+};
+
+// Driver methods that are timed
+const OPERATIONS = [
+  "put",
+  "get",
+  "stream",
+  "stat",
+  "exists",
+  "delete",
+  "deleteMany",
+  "list",
+  "signedUrl",
+];
+
+/**
+ * Time every operation of a driver in the storage metrics. A stream is
+ * timed until it is opened, not until it is read.
+ * @param {StorageDriver} driver - The driver
+ * @returns {StorageDriver} - The same interface, measured
+ */
+const instrumentStorageDriver = (driver) => {
+  const instrumented = { ...driver };
+
+  for (const operation of OPERATIONS) {
+    instrumented[operation] = async (...args) => {
+      const endTimer = storageOperationDuration.startTimer({
+        driver: driver.name,
+        operation,
+      });
+      try {
+        const result = await driver[operation](...args);
+        endTimer({ result: "success" });
+        return result;
+      } catch (error) {
+        endTimer({ result: "error" });
+        throw error;
+      }
+    };
+  }
+
+  return instrumented;
+};
+
+// Built-in drivers
+registerStorageDriver(require("./local"));
+registerStorageDriver(require("./s3"));
+registerStorageDriver(require("./memory"));
+
+// The configured driver, shared by the whole app
+const storage = instrumentStorageDriver(
+  createStorageDriver(storageConfig.driver, storageConfig[storageConfig.driver])
+);
+
+module.exports = {
+  storage,
+  registerStorageDriver,
+  createStorageDriver,
+};
@@ -0,0 +1,128 @@
+const path = require("path");
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { ApiError } = require("../../utils/errorHandler");
+const { createSignedFileUrl } = require("../fileUrlService");
+
+/**
+ * Local file system driver. Files are served by the /uploads route through
+ * HMAC-signed URLs, so keys must start with "uploads/" to be downloadable.
+ */
+module.exports = {
+  name: "local",
+  create: ({ root }) => {
+    /**
+     * Resolve a key to a file path inside the root directory
+     * @param {string} key - The storage key
+     * @returns {string} - The absolute file path
+     */
+    const resolve = (key) => {
+      const rootPath = path.resolve(root);
+      const filePath = path.resolve(rootPath, key);
+      if (filePath !== rootPath && !filePath.startsWith(rootPath + path.sep)) {
+        throw new Error(`Storage key "${key}" points outside the storage root`);
+      }
+      return filePath;
+    };
+
+    const stat = async (key) => {
+      try {
+        const stats = await fs.promises.stat(resolve(key));
+        return stats.isFile()
+          ? { size: stats.size, lastModified: stats.mtime }
+          : null;
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    };
+
+    return {
+      name: "local",
+      // Uploads go through the API (PUT /api/images/:id/content)
+      directUploads: false,
+
+      put: async (key, body) => {
+        const filePath = resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        if (Buffer.isBuffer(body)) {
+          await fs.promises.writeFile(filePath, body);
+        } else {
+          await pipeline(body, fs.createWriteStream(filePath));
+        }
+      },
+
+      get: async (key) => {
+        try {
+          return await fs.promises.readFile(resolve(key));
+        } catch (error) {
+          if (error.code === "ENOENT") {
+            throw new ApiError(404, `File not found: ${key}`);
+          }
+          throw error;
+        }
+      },
+
+      stream: async (key, range = {}) => {
+        if (!(await stat(key))) {
+          throw new ApiError(404, `File not found: ${key}`);
+        }
+        return fs.createReadStream(resolve(key), range);
+      },
+
+      stat,
+
+      exists: async (key) => Boolean(await stat(key)),
+
+      delete: async (key) => {
+        await fs.promises.rm(resolve(key), { force: true });
+      },
+
+      deleteMany: async (keys) => {
+        for (const key of keys) {
+          await fs.promises.rm(resolve(key), { force: true });
+        }
+      },
+
+      list: async (prefix) => {
+        // Walk the deepest directory the prefix names
+        const baseDir = prefix.endsWith("/")
+          ? prefix.slice(0, -1)
+          : path.posix.dirname(prefix);
+        const files = [];
+
+        const walk = async (dir) => {
+          let entries;
+          try {
+            entries = await fs.promises.readdir(resolve(dir), {
+              withFileTypes: true,
+            });
+          } catch (error) {
+            if (error.code === "ENOENT") return;
+            throw error;
+          }
+
+          for (const entry of entries) {
+            const key = dir === "." ? entry.name : `${dir}/${entry.name}`;
+            if (entry.isDirectory()) {
+              await walk(key);
+            } else if (entry.isFile() && key.startsWith(prefix)) {
+              files.push({ key, ...(await stat(key)) });
+            }
+          }
+        };
+
+        await walk(baseDir || ".");
+        return files;
+      },
+
+      signedUrl: async (key, { method = "GET", expiresIn } = {}) => {
+        if (method !== "GET") {
+          throw new Error("Local storage only signs download URLs");
+        }
+        return createSignedFileUrl(key, expiresIn);
+      },
+    };
+  },
+};
@@ -0,0 +1,79 @@
+const { Readable } = require("stream");
+const { ApiError } = require("../../utils/errorHandler");
+
+/**
+ * In-memory driver for tests and throwaway instances. Files are lost when
+ * the process exits and are not reachable over HTTP.
+ */
+module.exports = {
+  name: "memory",
+  create: () => {
+    const files = new Map();
+
+    const read = (key) => {
+      const file = files.get(key);
+      if (!file) {
+        throw new ApiError(404, `File not found: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      name: "memory",
+      directUploads: false,
+
+      put: async (key, body, { contentType } = {}) => {
+        const chunks = [];
+        if (Buffer.isBuffer(body)) {
+          chunks.push(body);
+        } else {
+          for await (const chunk of body) {
+            chunks.push(chunk);
+          }
+        }
+        files.set(key, {
+          data: Buffer.concat(chunks),
+          contentType,
+          lastModified: new Date(),
+        });
+      },
+
+      get: async (key) => Buffer.from(read(key).data),
+
+      stream: async (key, { start = 0, end } = {}) => {
+        const { data } = read(key);
+        return Readable.from([
+          data.subarray(start, end === undefined ? undefined : end + 1),
+        ]);
+      },
+
+      stat: async (key) => {
+        const file = files.get(key);
+        return file
+          ? { size: file.data.length, lastModified: file.lastModified }
+          : null;
+      },
+
+      exists: async (key) => files.has(key),
+
+      delete: async (key) => {
+        files.delete(key);
+      },
+
+      deleteMany: async (keys) => {
+        keys.forEach((key) => files.delete(key));
+      },
+
+      list: async (prefix) =>
+        [...files.entries()]
+          .filter(([key]) => key.startsWith(prefix))
+          .map(([key, file]) => ({
+            key,
+            size: file.data.length,
+            lastModified: file.lastModified,
+          })),
+
+      signedUrl: async (key) => `memory://${key}`,
+    };
+  },
+};
@@ -0,0 +1,177 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { ApiError } = require("../../utils/errorHandler");
+
+// Most keys a DeleteObjects request takes
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Whether an S3 error means the object doesn't exist
+ * @param {Error} error - The error
+ * @returns {boolean}
+ */
+const isNotFound = (error) =>
+  error.name === "NotFound" ||
+  error.name === "NoSuchKey" ||
+  error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Read a stream into a buffer
+ * @param {import("stream").Readable} stream - The stream
+ * @returns {Promise<Buffer>}
+ */
+const toBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Amazon S3 (or S3-compatible) driver. Keys are used as object keys as-is.
+ */
+module.exports = {
+  name: "s3",
+  create: ({ bucket, ...clientConfig }) => {
+    if (!bucket) {
+      throw new Error("S3_BUCKET_NAME must be set to use S3 storage");
+    }
+
+    const s3 = new S3Client(clientConfig);
+
+    const getObject = async (key, range = {}) => {
+      try {
+        const response = await s3.send(
+          new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ...(range.start !== undefined && {
+              Range: `bytes=${range.start}-${range.end ?? ""}`,
+            }),
+          })
+        );
+        return response.Body;
+      } catch (error) {
+        if (isNotFound(error)) {
+          throw new ApiError(404, `File not found: ${key}`);
+        }
+        throw error;
+      }
+    };
+
+    const stat = async (key) => {
+      try {
+        const info = await s3.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return { size: info.ContentLength, lastModified: info.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    };
+
+    return {
+      name: "s3",
+      directUploads: true,
+
+      put: async (key, body, { contentType } = {}) => {
+        await s3.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            // PutObject needs the length up front, and files are at most a
+            // few MB, so streams are buffered
+            Body: Buffer.isBuffer(body) ? body : await toBuffer(body),
+            ContentType: contentType,
+          })
+        );
+      },
+
+      get: async (key) => toBuffer(await getObject(key)),
+
+      stream: (key, range) => getObject(key, range),
+
+      stat,
+
+      exists: async (key) => Boolean(await stat(key)),
+
+      delete: async (key) => {
+        // S3 deletes are idempotent
+        await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+
+      deleteMany: async (keys) => {
+        for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+          const { Errors = [] } = await s3.send(
+            new DeleteObjectsCommand({
+              Bucket: bucket,
+              Delete: {
+                Objects: keys
+                  .slice(i, i + DELETE_BATCH_SIZE)
+                  .map((key) => ({ Key: key })),
+                Quiet: true,
+              },
+            })
+          );
+
+          // The request succeeds even when single objects can't be deleted
+          if (Errors.length > 0) {
+            throw new Error(
+              `Could not delete ${Errors.length} files: ${Errors.map(
+                (error) => `${error.Key} (${error.Code})`
+              ).join(", ")}`
+            );
+          }
+        }
+      },
+
+      list: async (prefix) => {
+        const files = [];
+        let ContinuationToken;
+
+        do {
+          const page = await s3.send(
+            new ListObjectsV2Command({
+              Bucket: bucket,
+              Prefix: prefix,
+              ContinuationToken,
+            })
+          );
+          for (const object of page.Contents || []) {
+            files.push({
+              key: object.Key,
+              size: object.Size,
+              lastModified: object.LastModified,
+            });
+          }
+          ContinuationToken = page.NextContinuationToken;
+        } while (ContinuationToken);
+
+        return files;
+      },
+
+      signedUrl: (key, { method = "GET", expiresIn, contentType } = {}) => {
+        const command =
+          method === "PUT"
+            ? new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+              })
+            : new GetObjectCommand({ Bucket: bucket, Key: key });
+
+        return getSignedUrl(s3, command, { expiresIn });
+      },
+    };
+  },
+};
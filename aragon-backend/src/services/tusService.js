@@ -0,0 +1,217 @@
+const path = require("path");
+const { PrismaClient } = require("@prisma/client");
+const { Server, EVENTS } = require("@tus/server");
+const { FileStore } = require("@tus/file-store");
+const { S3Store } = require("@tus/s3-store");
+const { v4: uuidv4 } = require("uuid");
+const storageConfig = require("../config/storage");
+const uploadConfig = require("../config/uploads");
+const { ApiError } = require("../utils/errorHandler");
+const { createLogger } = require("../utils/logger");
+const { finalizeUpload } = require("./image/uploads");
+const { storage } = require("./storage");
+const photoSetService = require("./photoSetService");
+
+const prisma = new PrismaClient();
+const logger = createLogger({ module: "tus" });
+
+// Directory resumable uploads are written to, like every other original
+const UPLOAD_DIR = "uploads/original";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Create the tus data store for the configured storage driver. Resumable
+ * uploads append to partially written files, which the storage drivers
+ * don't support, so tus writes to the same place with its own stores.
+ * @returns {object|null} - The data store, or null if the driver has no tus store
+ */
+const createDatastore = () => {
+  switch (storageConfig.driver) {
+    case "local":
+      return new FileStore({ directory: storageConfig.local.root });
+    case "s3":
+      return new S3Store({ s3ClientConfig: storageConfig.s3 });
+    default:
+      return null;
+  }
+};
+
+const datastore = createDatastore();
+
+/**
+ * Image ID of an upload
+ * @param {string} uploadId - The upload ID, which is the storage path of the file
+ * @returns {string} - The image ID
+ */
+const getImageId = (uploadId) => path.posix.basename(uploadId);
+
+/**
+ * Delete the tus metadata of an upload that can't be resumed any more
+ * @param {string} uploadId - The upload ID
+ * @returns {Promise<void>}
+ */
+const removeUploadInfo = async (uploadId) => {
+  if (storageConfig.driver === "local") {
+    await datastore.configstore.delete(uploadId);
+  } else {
+    await storage.delete(`${uploadId}.info`);
+  }
+};
+
+/**
+ * Turn an error into the form the tus server sends to the client
+ * @param {Error} error - The error
+ * @returns {object} - A tus error, or the error itself if it isn't an ApiError
+ */
+const toTusError = (error) =>
+  error instanceof ApiError
+    ? { status_code: error.statusCode, body: `${error.message}\n` }
+    : error;
+
+/**
+ * Only let the owner of an upload resume, inspect or cancel it
+ */
+const onIncomingRequest = async (req, res, uploadId) => {
+  // New uploads are checked in onUploadCreate
+  if (req.method === "POST") return;
+
+  const image = await prisma.image.findUnique({
+    where: { id: getImageId(uploadId) },
+    select: { ownerId: true },
+  });
+
+  if (!image || image.ownerId !== req.user.id) {
+    throw { status_code: 404, body: "Upload not found\n" };
+  }
+};
+
+/**
+ * Create the image an upload belongs to
+ */
+const onUploadCreate = async (req, res, upload) => {
+  try {
+    const { filename, photoSetId } = upload.metadata || {};
+    const extension = path
+      .extname(String(filename || ""))
+      .substring(1)
+      .toLowerCase();
+
+    if (!uploadConfig.allowedExtensions.includes(extension)) {
+      throw new ApiError(
+        400,
+        "Only JPG, PNG, GIF, HEIC and HEIF files are allowed"
+      );
+    }
+
+    if (upload.sizeIsDeferred) {
+      throw new ApiError(400, "Upload-Length is required");
+    }
+
+    if (photoSetId) {
+      const photoSet = await photoSetService.findOwnedSet(
+        photoSetId,
+        req.user.id
+      );
+      await photoSetService.assertCanAddImages(photoSet, 1);
+    }
+
+    // The image waits in UPLOADING until the last byte arrives
+    await prisma.image.create({
+      data: {
+        id: getImageId(upload.id),
+        originalName: filename,
+        originalSize: upload.size,
+        originalPath: upload.id,
+        fileType: extension,
+        status: "UPLOADING",
+        ownerId: req.user.id,
+        photoSetId: photoSetId || null,
+      },
+    });
+
+    return res;
+  } catch (error) {
+    throw toTusError(error);
+  }
+};
+
+/**
+ * Check the finished file, queue its image and drop the upload's tus metadata
+ */
+const onUploadFinish = async (req, res, upload) => {
+  try {
+    const image = await prisma.image.findUnique({
+      where: { id: getImageId(upload.id) },
+    });
+    if (!image) {
+      throw new ApiError(404, "Image not found");
+    }
+
+    try {
+      await finalizeUpload(image);
+    } catch (error) {
+      // A rejected file is deleted along with its image
+      if (error instanceof ApiError && error.statusCode === 400) {
+        await removeUploadInfo(upload.id);
+      }
+      throw error;
+    }
+
+    // Finished uploads can't be resumed, so their metadata isn't needed
+    await removeUploadInfo(upload.id);
+
+    return res;
+  } catch (error) {
+    throw toTusError(error);
+  }
+};
+
+// Uploads are stored at the path of their original, while their URLs only
+// carry the image ID
+const tusServer =
+  datastore &&
+  new Server({
+    path: "/api/uploads",
+    datastore,
+    maxSize: uploadConfig.maxFileSize,
+    namingFunction: () => `${UPLOAD_DIR}/${uuidv4()}`,
+    // Clients resolve the upload URL against the endpoint they used
+    generateUrl: (req, { path: basePath, id }) =>
+      `${basePath}/${getImageId(id)}`,
+    getFileIdFromRequest: (req, imageId) =>
+      UUID_PATTERN.test(imageId || "") ? `${UPLOAD_DIR}/${imageId}` : undefined,
+    onIncomingRequest,
+    onUploadCreate,
+    onUploadFinish,
+  });
+
+// Every chunk counts as activity, so a running upload isn't expired as
+// abandoned
+tusServer?.on(EVENTS.POST_RECEIVE, (req, res, upload) => {
+  prisma.image
+    .updateMany({
+      where: { id: getImageId(upload.id), status: "UPLOADING" },
+      data: { updatedAt: new Date() },
+    })
+    .catch((error) => {
+      logger.error("Error recording upload activity", {
+        uploadId: upload.id,
+        error,
+      });
+    });
+});
+
+// A cancelled upload leaves nothing to process
+tusServer?.on(EVENTS.POST_TERMINATE, (req, res, uploadId) => {
+  prisma.image
+    .deleteMany({ where: { id: getImageId(uploadId), status: "UPLOADING" } })
+    .catch((error) => {
+      logger.error("Error removing cancelled upload", { uploadId, error });
+    });
+});
+
+module.exports = {
+  tusServer,
+};
@@ -0,0 +1,354 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const { ApiError } = require("../utils/errorHandler");
+const webhookConfig = require("../config/webhooks");
+const { createLogger } = require("../utils/logger");
+
+const prisma = new PrismaClient();
+const logger = createLogger({ module: "webhooks" });
+
+// Events subscriptions can ask for
+const WEBHOOK_EVENTS = [
+  "image.created",
+  "image.processed",
+  "image.failed",
+  "image.deleted",
+];
+
+// A claimed delivery is picked up again after this long, so deliveries of
+// a worker that died mid-request aren't lost
+const CLAIM_TIMEOUT_MS = webhookConfig.timeoutMs + 60 * 1000;
+
+/**
+ * Create a secret for signing the payloads of a subscription
+ * @returns {string} - The secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Sign a payload. Receivers recompute the HMAC over `<timestamp>.<body>`
+ * with their secret and compare it to the signature header.
+ * @param {string} secret - The subscription's secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - The raw request body
+ * @returns {string} - Hex-encoded HMAC-SHA256
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Check the URL and events of a subscription
+ * @param {object} fields - Subscription fields from the request
+ * @param {boolean} partial - Only check the fields that were sent
+ * @returns {object} - The fields to store
+ */
+const validateSubscription = (fields, partial = false) => {
+  const { url, events, description, active } = fields || {};
+  const data = {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ApiError(400, "url must be a valid URL");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new ApiError(400, "url must use http or https");
+    }
+    data.url = parsed.toString();
+  }
+
+  if (events !== undefined || !partial) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !WEBHOOK_EVENTS.includes(event))
+    ) {
+      throw new ApiError(
+        400,
+        `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`
+      );
+    }
+    data.events = [...new Set(events)];
+  }
+
+  if (description !== undefined) {
+    data.description = description ? String(description).trim() : null;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== "boolean") {
+      throw new ApiError(400, "active must be a boolean");
+    }
+    data.active = active;
+  }
+
+  return data;
+};
+
+/**
+ * Fields of an image sent in webhook payloads
+ * @param {object} image - The image
+ * @returns {object} - The image as sent to receivers
+ */
+const serializeImage = (image) => ({
+  id: image.id,
+  ownerId: image.ownerId,
+  photoSetId: image.photoSetId,
+  status: image.status,
+  originalName: image.originalName,
+  originalSize: image.originalSize,
+  fileType: image.fileType,
+  qualityScore: image.qualityScore,
+  quality: image.quality,
+  metaData: image.metaData,
+  createdAt: image.createdAt,
+  updatedAt: image.updatedAt,
+});
+
+/**
+ * Queue a delivery of an image event to every active subscription that
+ * asked for it. Failures are logged and never break the caller.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} image - The image the event is about
+ * @returns {Promise<void>}
+ */
+const dispatchWebhookEvent = async (event, image) => {
+  try {
+    const subscriptions = await prisma.webhookSubscription.findMany({
+      where: { active: true, events: { has: event } },
+      select: { id: true },
+    });
+    if (subscriptions.length === 0) return;
+
+    // Every subscription gets the same event ID so receivers can tell
+    // deliveries of one event apart from redeliveries
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data: { image: serializeImage(image) },
+    };
+
+    await prisma.webhookDelivery.createMany({
+      data: subscriptions.map((subscription) => ({
+        subscriptionId: subscription.id,
+        event,
+        payload,
+        maxAttempts: webhookConfig.maxAttempts,
+      })),
+    });
+  } catch (error) {
+    logger.error("Error dispatching webhook", {
+      event,
+      imageId: image.id,
+      error,
+    });
+  }
+};
+
+/**
+ * Delay before the next attempt of a delivery
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(
+    webhookConfig.retryBaseDelayMs * Math.pow(2, Math.max(attempts - 1, 0)),
+    webhookConfig.retryMaxDelayMs
+  );
+
+/**
+ * Atomically claim due deliveries. Claimed rows stay PENDING with their
+ * next attempt pushed past the request timeout, so several workers can
+ * poll the table and a crashed worker's deliveries come back on their own.
+ * @param {number} limit - Most deliveries to claim
+ * @returns {Promise<object[]>} - The claimed deliveries
+ */
+const claimDueDeliveries = (limit) =>
+  prisma.$queryRaw`
+    UPDATE "WebhookDelivery"
+    SET "attempts" = "attempts" + 1,
+        "lastAttemptAt" = NOW(),
+        "nextAttemptAt" = ${new Date(Date.now() + CLAIM_TIMEOUT_MS)},
+        "updatedAt" = NOW()
+    WHERE "id" IN (
+      SELECT "id" FROM "WebhookDelivery"
+      WHERE "status" = 'PENDING' AND "nextAttemptAt" <= NOW()
+      ORDER BY "nextAttemptAt" ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+/**
+ * POST a claimed delivery to its subscription and record the outcome.
+ * Anything but a 2xx answer is retried with exponential backoff.
+ * @param {object} delivery - The claimed delivery
+ * @param {object|undefined} subscription - Its subscription
+ * @returns {Promise<object>} - The updated delivery
+ */
+const sendDelivery = async (delivery, subscription) => {
+  let responseStatus = null;
+  let responseBody = null;
+  let lastError = null;
+
+  if (!subscription || !subscription.active) {
+    lastError = "Subscription is disabled";
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "aragon-webhooks/1.0",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signPayload(
+            subscription.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+      });
+
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(
+        0,
+        webhookConfig.maxResponseBodyLength
+      );
+      if (!response.ok) {
+        lastError = `Receiver answered with status ${response.status}`;
+      }
+    } catch (error) {
+      lastError =
+        error.name === "TimeoutError"
+          ? `No response within ${webhookConfig.timeoutMs}ms`
+          : error.cause?.message || error.message;
+    }
+  }
+
+  if (!lastError) {
+    return prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "SUCCEEDED",
+        deliveredAt: new Date(),
+        responseStatus,
+        responseBody,
+        lastError: null,
+      },
+    });
+  }
+
+  const retry =
+    subscription?.active && delivery.attempts < delivery.maxAttempts;
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: retry ? "PENDING" : "FAILED",
+      ...(retry && {
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(delivery.attempts)),
+      }),
+      responseStatus,
+      responseBody,
+      lastError,
+    },
+  });
+};
+
+/**
+ * Send the deliveries that are due
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+const deliverDueWebhooks = async () => {
+  const deliveries = await claimDueDeliveries(webhookConfig.batchSize);
+  if (deliveries.length === 0) return 0;
+
+  const subscriptions = await prisma.webhookSubscription.findMany({
+    where: { id: { in: deliveries.map((d) => d.subscriptionId) } },
+  });
+  const byId = new Map(subscriptions.map((s) => [s.id, s]));
+
+  const results = await Promise.allSettled(
+    deliveries.map((delivery) =>
+      sendDelivery(delivery, byId.get(delivery.subscriptionId))
+    )
+  );
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      logger.error("Error recording webhook delivery", {
+        error: result.reason,
+      })
+    );
+
+  return deliveries.length;
+};
+
+/**
+ * Queue a logged delivery again. The copy gets its own attempts, so the
+ * log of the original stays as it was.
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<object>} - The new delivery
+ */
+const redeliver = async (deliveryId) => {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { subscription: { select: { active: true } } },
+  });
+
+  if (!delivery) {
+    throw new ApiError(404, "Webhook delivery not found");
+  }
+
+  if (!delivery.subscription.active) {
+    throw new ApiError(409, "The webhook subscription is disabled");
+  }
+
+  return prisma.webhookDelivery.create({
+    data: {
+      subscriptionId: delivery.subscriptionId,
+      event: delivery.event,
+      payload: delivery.payload,
+      maxAttempts: webhookConfig.maxAttempts,
+    },
+  });
+};
+
+/**
+ * Delete finished deliveries past the retention period
+ * @returns {Promise<number>} - Number of deliveries deleted
+ */
+const pruneWebhookDeliveries = async () => {
+  const { count } = await prisma.webhookDelivery.deleteMany({
+    where: {
+      status: { in: ["SUCCEEDED", "FAILED"] },
+      updatedAt: { lt: new Date(Date.now() - webhookConfig.retentionMs) },
+    },
+  });
+  return count;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  validateSubscription,
+  dispatchWebhookEvent,
+  deliverDueWebhooks,
+  redeliver,
+  pruneWebhookDeliveries,
+};
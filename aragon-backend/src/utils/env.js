@@ -0,0 +1,12 @@
+/**
+ * Parse an integer setting from the environment
+ * @param {string|undefined} value - The environment variable
+ * @param {number} fallback - Used when the variable is unset or not a number
+ * @returns {number} - The integer
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = { toInt };
@@ -1,3 +1,7 @@
+const { createLogger } = require("./logger");
+
+const logger = createLogger({ module: "http" });
+
 /**
  * Custom Error class for API errors
  */
@@ -13,6 +17,16 @@ class ApiError extends Error {
       Error.captureStackTrace(this, this.constructor);
     }
   }
+
+  /**
+   * Attach a code clients can act on, e.g. "already_processed"
+   * @param {string} code - The code
+   * @returns {ApiError} - This error
+   */
+  withCode(code) {
+    this.code = code;
+    return this;
+  }
 }
 
 /**
@@ -30,15 +44,19 @@ const errorHandler = (err, req, res, next) => {
   const statusCode = err.statusCode || 500;
   const message = err.message || "Server Error";
 
-  // Log error for server-side debugging
-  console.error(`[ERROR] ${statusCode} - ${message}`);
-  if (err.stack) {
-    console.error(err.stack);
+  // Log error for server-side debugging; client errors don't need a stack
+  if (statusCode >= 500) {
+    logger.error("Request failed", { status: statusCode, error: err });
+  } else {
+    logger.warn("Request rejected", { status: statusCode, message });
   }
 
   res.status(statusCode).json({
     error: true,
     message,
+    ...(err instanceof ApiError && err.code && { code: err.code }),
+    // Lets the client quote the request when reporting a problem
+    requestId: req.id,
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 };
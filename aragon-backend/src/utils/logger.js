@@ -0,0 +1,102 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const loggingConfig = require("../config/logging");
+
+const LEVEL_RANK = Object.fromEntries(
+  loggingConfig.LOG_LEVELS.map((level, index) => [level, index])
+);
+
+// Fields attached to every line written while handling one request or job,
+// such as requestId, jobId and imageId
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Make an error fit for a JSON log line
+ * @param {Error} error - The error
+ * @returns {object} - Its name, message, code, status code and stack
+ */
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  ...(error.statusCode && { statusCode: error.statusCode }),
+  stack: error.stack,
+});
+
+/**
+ * Write one JSON line. Errors go to stderr, everything else to stdout.
+ * @param {string} level - The level
+ * @param {object} bindings - Fields of the logger
+ * @param {string} message - The message
+ * @param {object} [fields] - Fields of this line; an `error` is serialized
+ */
+const write = (level, bindings, message, fields = {}) => {
+  if (LEVEL_RANK[level] < LEVEL_RANK[loggingConfig.level]) return;
+
+  const { error, ...rest } = fields;
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...logContext.getStore(),
+    ...bindings,
+    ...rest,
+    ...(error && {
+      error: error instanceof Error ? serializeError(error) : error,
+    }),
+  });
+
+  if (level === "error" || level === "warn") {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+/**
+ * Create a logger. Every line carries the current log context and the
+ * given bindings.
+ * @param {object} [bindings] - Fields added to every line, e.g. `{ module: "processor" }`
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}} - The logger;
+ * each level takes `(message, fields)`
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (message, fields) => write("debug", bindings, message, fields),
+  info: (message, fields) => write("info", bindings, message, fields),
+  warn: (message, fields) => write("warn", bindings, message, fields),
+  error: (message, fields) => write("error", bindings, message, fields),
+  child: (moreBindings) => createLogger({ ...bindings, ...moreBindings }),
+});
+
+/**
+ * Run a function with fields added to the log context of everything it
+ * does, including work it awaits
+ * @param {object} fields - Fields such as `{ requestId }` or `{ jobId, imageId }`
+ * @param {Function} fn - The function
+ * @returns {*} - What the function returns
+ */
+const withLogContext = (fields, fn) =>
+  logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+/**
+ * Add fields to the current log context, e.g. the image ID once a request
+ * has read it. Outside a context this does nothing.
+ * @param {object} fields - The fields
+ */
+const addLogContext = (fields) => {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+/**
+ * Get the current log context
+ * @returns {object} - Its fields, empty outside a context
+ */
+const getLogContext = () => ({ ...logContext.getStore() });
+
+module.exports = {
+  logger: createLogger(),
+  createLogger,
+  withLogContext,
+  addLogContext,
+  getLogContext,
+};
@@ -0,0 +1,113 @@
+const { PrismaClient } = require("@prisma/client");
+const client = require("prom-client");
+const metricsConfig = require("../config/metrics");
+const { createLogger } = require("./logger");
+
+const prisma = new PrismaClient();
+const logger = createLogger({ module: "metrics" });
+
+// Every metric of the app is registered here and served on GET /metrics
+const register = new client.Registry();
+
+if (metricsConfig.collectDefault) {
+  client.collectDefaultMetrics({ register });
+}
+
+// Buckets in seconds, from quick storage reads to slow face detection
+const DURATION_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30,
+];
+
+const uploadsTotal = new client.Counter({
+  name: "aragon_image_uploads_total",
+  help: "Images uploaded and queued for processing",
+  labelNames: ["fileType"],
+  registers: [register],
+});
+
+const uploadBytesTotal = new client.Counter({
+  name: "aragon_image_upload_bytes_total",
+  help: "Bytes of uploaded originals",
+  labelNames: ["fileType"],
+  registers: [register],
+});
+
+const validatorDuration = new client.Histogram({
+  name: "aragon_validator_duration_seconds",
+  help: "Time each validation step took, by whether the image passed it",
+  labelNames: ["step", "outcome"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const rejectionsTotal = new client.Counter({
+  name: "aragon_image_rejections_total",
+  help: "Images failed by processing, by validation error code",
+  labelNames: ["code"],
+  registers: [register],
+});
+
+const processingDuration = new client.Histogram({
+  name: "aragon_image_processing_duration_seconds",
+  help: "Time to process an image, by outcome (processed, rejected, failed or retried)",
+  labelNames: ["outcome"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const storageOperationDuration = new client.Histogram({
+  name: "aragon_storage_operation_duration_seconds",
+  help: "Time storage driver operations took",
+  labelNames: ["driver", "operation", "result"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const JOB_STATUSES = ["QUEUED", "PROCESSING", "COMPLETED", "DEAD"];
+
+// Counted in the database on every scrape, so each instance reports the
+// whole queue rather than its own share. When the count fails the gauge is
+// left empty, so the other metrics are still served.
+const queueJobs = new client.Gauge({
+  name: "aragon_queue_jobs",
+  help: "Processing jobs by status",
+  labelNames: ["status"],
+  registers: [register],
+  async collect() {
+    this.reset();
+    try {
+      const groups = await prisma.processingJob.groupBy({
+        by: ["status"],
+        _count: { _all: true },
+      });
+      const counts = new Map(
+        groups.map((group) => [group.status, group._count._all])
+      );
+      for (const status of JOB_STATUSES) {
+        this.set({ status }, counts.get(status) || 0);
+      }
+    } catch (error) {
+      logger.error("Error counting processing jobs", { error });
+    }
+  },
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "aragon_http_request_duration_seconds",
+  help: "Time to answer HTTP requests, by route pattern",
+  labelNames: ["method", "route", "status"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  uploadsTotal,
+  uploadBytesTotal,
+  validatorDuration,
+  rejectionsTotal,
+  processingDuration,
+  storageOperationDuration,
+  queueJobs,
+  httpRequestDuration,
+};
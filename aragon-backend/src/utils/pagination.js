@@ -0,0 +1,51 @@
+const { ApiError } = require("./errorHandler");
+
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a positive whole number query parameter
+ * @param {string|undefined} value - The parameter
+ * @param {string} name - Parameter name for the error message
+ * @param {number} fallback - Used when the parameter is missing
+ * @param {number} max - Largest value allowed, or Infinity
+ * @returns {number} - The number
+ * @throws {ApiError} - 400 if the value isn't a whole number from 1 to max
+ */
+const parseWholeNumber = (value, name, fallback, max) => {
+  if (value === undefined || value === "") return fallback;
+
+  // Repeated parameters arrive as arrays and are refused too
+  const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (!(Number.isSafeInteger(number) && number >= 1 && number <= max)) {
+    throw new ApiError(
+      400,
+      Number.isFinite(max)
+        ? `${name} must be a whole number from 1 to ${max}`
+        : `${name} must be a whole number from 1`
+    );
+  }
+  return number;
+};
+
+/**
+ * Parse the page size of a list request
+ * @param {string|undefined} value - The `limit` parameter
+ * @param {number} fallback - Page size when none is asked for
+ * @param {number} [max] - Largest page size allowed
+ * @returns {number} - The page size
+ */
+const parseLimit = (value, fallback, max = MAX_LIMIT) =>
+  parseWholeNumber(value, "limit", fallback, max);
+
+/**
+ * Parse the page number of a list request, counted from 1
+ * @param {string|undefined} value - The `page` parameter
+ * @returns {number} - The page number
+ */
+const parsePage = (value) => parseWholeNumber(value, "page", 1, Infinity);
+
+module.exports = {
+  MAX_LIMIT,
+  parseLimit,
+  parsePage,
+};
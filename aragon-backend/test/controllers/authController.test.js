@@ -0,0 +1,67 @@
+const { prisma } = require("@prisma/client");
+const authController = require("../../src/controllers/authController");
+
+describe("authController.register", () => {
+  const register = async (body) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await authController.register({ body }, res, next);
+    return { res, next };
+  };
+
+  const body = { email: "Ada@Example.com", password: "correct horse" };
+
+  beforeEach(() => {
+    prisma.user.findUnique.mockResolvedValue(null);
+  });
+
+  it("creates the account with a normalized email", async () => {
+    prisma.user.create.mockImplementation(async ({ data }) => ({
+      id: "user-1",
+      role: "USER",
+      ...data,
+    }));
+
+    const { res } = await register(body);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(prisma.user.create.mock.calls[0][0].data.email).toBe(
+      "ada@example.com"
+    );
+  });
+
+  it("refuses a registered email with 409", async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: "user-1" });
+
+    const { next } = await register(body);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 409 })
+    );
+    expect(prisma.user.create).not.toHaveBeenCalled();
+  });
+
+  it("answers 409 when a concurrent request took the email", async () => {
+    prisma.user.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+    );
+
+    const { next } = await register(body);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({
+        statusCode: 409,
+        message: "An account with this email already exists",
+      })
+    );
+  });
+
+  it("passes other database errors on", async () => {
+    const error = new Error("connection lost");
+    prisma.user.create.mockRejectedValue(error);
+
+    const { next } = await register(body);
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
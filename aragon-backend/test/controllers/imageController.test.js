@@ -0,0 +1,96 @@
+const { prisma } = require("@prisma/client");
+const imageService = require("../../src/services/imageService");
+const imageController = require("../../src/controllers/imageController");
+
+// These pull in the image pipeline, its native modules and the storage
+// drivers
+jest.mock("../../src/services/imageService", () => ({
+  queueImageProcessing: jest.fn(),
+}));
+jest.mock("../../src/services/queue", () => ({
+  enqueueImageProcessing: jest.fn(),
+}));
+jest.mock("../../src/services/imageBatchService", () => ({}));
+jest.mock("../../src/services/imageQueryService", () => ({}));
+jest.mock("../../src/services/storage", () => ({ storage: {} }));
+
+describe("imageController.processImage", () => {
+  const run = async (user, query) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await imageController.processImage(
+      { params: { id: "img-1" }, query, user },
+      res,
+      next
+    );
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    prisma.image.findUnique.mockResolvedValue({
+      id: "img-1",
+      ownerId: "user-1",
+      status: "PENDING",
+    });
+    imageService.queueImageProcessing.mockResolvedValue({ id: "job-1" });
+  });
+
+  it("queues a debug capture for an admin", async () => {
+    const { res } = await run(
+      { id: "user-1", role: "ADMIN" },
+      { debug: "true" }
+    );
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(imageService.queueImageProcessing).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "img-1" }),
+      { debug: true }
+    );
+  });
+
+  it("ignores ?debug=true from other users", async () => {
+    const { res } = await run(
+      { id: "user-1", role: "USER" },
+      { debug: "true" }
+    );
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(imageService.queueImageProcessing).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "img-1" }),
+      { debug: false }
+    );
+  });
+
+  it("passes the image's photo set on, so submitted sets are refused", async () => {
+    prisma.image.findUnique.mockResolvedValue({
+      id: "img-1",
+      ownerId: "user-1",
+      status: "FAILED",
+      photoSetId: "set-1",
+    });
+    prisma.photoSet.findUnique.mockResolvedValue({
+      id: "set-1",
+      ownerId: "user-1",
+      status: "SUBMITTED",
+    });
+
+    await run({ id: "user-1", role: "USER" }, {});
+
+    expect(imageService.queueImageProcessing).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: "img-1",
+        photoSet: expect.objectContaining({ status: "SUBMITTED" }),
+      }),
+      { debug: false }
+    );
+  });
+
+  it("refuses another user's image with 403", async () => {
+    const { next } = await run({ id: "user-2", role: "ADMIN" }, {});
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 403 })
+    );
+    expect(imageService.queueImageProcessing).not.toHaveBeenCalled();
+  });
+});
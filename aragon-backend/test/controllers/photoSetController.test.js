@@ -0,0 +1,44 @@
+const { prisma } = require("@prisma/client");
+const photoSetController = require("../../src/controllers/photoSetController");
+
+const run = async (handler, req) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await photoSetController[handler](
+    { user: { id: "user-1" }, params: {}, query: {}, ...req },
+    res,
+    next
+  );
+  return { res, next, body: res.json.mock.calls[0]?.[0] };
+};
+
+describe("photoSetController.getPhotoSets", () => {
+  beforeEach(() => {
+    prisma.photoSet.findMany.mockResolvedValue([]);
+  });
+
+  it("filters by status", async () => {
+    const { res } = await run("getPhotoSets", {
+      query: { status: "SUBMITTED" },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(prisma.photoSet.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { ownerId: "user-1", status: "SUBMITTED" },
+      })
+    );
+  });
+
+  it.each(["foo", "draft", ["DRAFT", "LOCKED"]])(
+    "refuses the status %p with 400",
+    async (status) => {
+      const { next } = await run("getPhotoSets", { query: { status } });
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ statusCode: 400 })
+      );
+      expect(prisma.photoSet.findMany).not.toHaveBeenCalled();
+    }
+  );
+});
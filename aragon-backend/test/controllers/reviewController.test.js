@@ -0,0 +1,65 @@
+const { prisma } = require("@prisma/client");
+const reviewController = require("../../src/controllers/reviewController");
+
+// Pulls in the image pipeline and its native modules
+jest.mock("../../src/services/imageService", () => ({
+  withUrls: async (image) => image,
+}));
+jest.mock("../../src/services/queue", () => ({
+  enqueueImageProcessing: jest.fn(),
+}));
+
+const run = async (handler, query) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await reviewController[handler]({ query }, res, next);
+  return { res, next, body: res.json.mock.calls[0]?.[0] };
+};
+
+describe("reviewController pagination", () => {
+  beforeEach(() => {
+    prisma.image.findMany.mockResolvedValue([]);
+    prisma.image.count.mockResolvedValue(45);
+    prisma.imageReview.findMany.mockResolvedValue([]);
+    prisma.imageReview.count.mockResolvedValue(120);
+  });
+
+  it("pages the review queue", async () => {
+    const { body } = await run("getQueue", { page: "3", limit: "10" });
+
+    expect(prisma.image.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ skip: 20, take: 10 })
+    );
+    expect(body.pagination).toEqual({
+      total: 45,
+      page: 3,
+      limit: 10,
+      pages: 5,
+    });
+  });
+
+  it("pages the audit trail with its own default size", async () => {
+    const { body } = await run("getReviews", {});
+
+    expect(prisma.imageReview.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ skip: 0, take: 50 })
+    );
+    expect(body.pagination.pages).toBe(3);
+  });
+
+  it.each([
+    ["getQueue", { limit: "abc" }],
+    ["getQueue", { limit: "0" }],
+    ["getQueue", { limit: "1000" }],
+    ["getReviews", { page: "-1" }],
+    ["getReviews", { page: "0" }],
+  ])("%s refuses %p with 400", async (handler, query) => {
+    const { next } = await run(handler, query);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 400 })
+    );
+    expect(prisma.image.findMany).not.toHaveBeenCalled();
+    expect(prisma.imageReview.findMany).not.toHaveBeenCalled();
+  });
+});
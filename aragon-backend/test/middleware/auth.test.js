@@ -0,0 +1,76 @@
+const { prisma } = require("@prisma/client");
+const { requireAuth, requireRole } = require("../../src/middleware/auth");
+const {
+  signToken,
+  signUploadToken,
+} = require("../../src/services/authService");
+
+const runRequireAuth = async (authorization) => {
+  const req = { headers: authorization ? { authorization } : {} };
+  const next = jest.fn();
+  await requireAuth(req, {}, next);
+  return { req, next };
+};
+
+describe("requireAuth", () => {
+  const user = {
+    id: "user-1",
+    email: "a@example.com",
+    name: null,
+    role: "USER",
+  };
+
+  it("loads the caller of a valid access token", async () => {
+    prisma.user.findUnique.mockResolvedValue(user);
+
+    const { req, next } = await runRequireAuth(`Bearer ${signToken(user)}`);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toEqual(user);
+    expect(prisma.user.findUnique).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "user-1" } })
+    );
+  });
+
+  it.each([
+    ["no header", undefined],
+    ["another scheme", "Basic abc"],
+    ["a malformed token", "Bearer not-a-token"],
+    ["an upload token", `Bearer ${signUploadToken("image-1", 60)}`],
+  ])("rejects %s with 401", async (_, authorization) => {
+    const { next } = await runRequireAuth(authorization);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401 })
+    );
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+
+  it("rejects tokens of deleted users with 401", async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    const { next } = await runRequireAuth(`Bearer ${signToken(user)}`);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401 })
+    );
+  });
+});
+
+describe("requireRole", () => {
+  it("lets users with an allowed role through", () => {
+    const next = jest.fn();
+    requireRole("ADMIN")({ user: { role: "ADMIN" } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("rejects other users with 403", () => {
+    const next = jest.fn();
+    requireRole("ADMIN")({ user: { role: "USER" } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 403 })
+    );
+  });
+});
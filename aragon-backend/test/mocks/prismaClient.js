@@ -0,0 +1,39 @@
+// Stands in for the generated Prisma client, so tests run without a
+// database. Every model method (prisma.image.findMany, ...) and client
+// method (prisma.$queryRaw, ...) is a jest.fn, created on first use and
+// shared by all PrismaClient instances of a test file. Tests reach it
+// through `require("@prisma/client").prisma`.
+
+const createModel = () =>
+  new Proxy(
+    {},
+    {
+      get: (methods, name) => {
+        if (!(name in methods)) methods[name] = jest.fn();
+        return methods[name];
+      },
+    }
+  );
+
+const prisma = new Proxy(
+  {},
+  {
+    get: (members, name) => {
+      if (!(name in members)) {
+        members[name] =
+          typeof name === "string" && name.startsWith("$")
+            ? jest.fn()
+            : createModel();
+      }
+      return members[name];
+    },
+  }
+);
+
+class PrismaClient {
+  constructor() {
+    return prisma;
+  }
+}
+
+module.exports = { PrismaClient, prisma };
@@ -0,0 +1,100 @@
+const express = require("express");
+const { prisma } = require("@prisma/client");
+const metricsConfig = require("../../src/config/metrics");
+const metricsRoutes = require("../../src/routes/metricsRoutes");
+const { httpMetrics } = require("../../src/middleware/metrics");
+const { errorHandler } = require("../../src/utils/errorHandler");
+const { register } = require("../../src/utils/metrics");
+
+const images = express.Router();
+images.use(httpMetrics);
+images.get("/:id", (req, res) => res.json({ id: req.params.id }));
+
+const app = express();
+app.use("/api/images", images);
+app.use("/metrics", metricsRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+beforeAll(
+  () =>
+    new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  register.resetMetrics();
+  prisma.processingJob.groupBy.mockResolvedValue([
+    { status: "QUEUED", _count: { _all: 4 } },
+    { status: "DEAD", _count: { _all: 1 } },
+  ]);
+});
+
+describe("GET /metrics", () => {
+  afterEach(() => {
+    metricsConfig.token = null;
+  });
+
+  it("serves the metrics in the Prometheus text format", async () => {
+    const response = await fetch(`${baseUrl}/metrics`);
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toMatch(/^text\/plain/);
+    expect(body).toContain("# TYPE aragon_image_uploads_total counter");
+    expect(body).toContain('aragon_queue_jobs{status="QUEUED"} 4');
+    expect(body).toContain('aragon_queue_jobs{status="PROCESSING"} 0');
+    expect(body).toContain('aragon_queue_jobs{status="DEAD"} 1');
+  });
+
+  it("still serves the other metrics when the queue can't be counted", async () => {
+    const stderr = jest
+      .spyOn(process.stderr, "write")
+      .mockImplementation(() => true);
+    prisma.processingJob.groupBy.mockRejectedValue(new Error("database down"));
+
+    const response = await fetch(`${baseUrl}/metrics`);
+    const body = await response.text();
+    stderr.mockRestore();
+
+    expect(response.status).toBe(200);
+    expect(body).toContain("# TYPE aragon_image_uploads_total counter");
+    expect(body).not.toMatch(/^aragon_queue_jobs\{/m);
+  });
+
+  it("times requests by route pattern, not by image", async () => {
+    await fetch(`${baseUrl}/api/images/image-1`);
+    await fetch(`${baseUrl}/api/images/image-2`);
+
+    const body = await (await fetch(`${baseUrl}/metrics`)).text();
+
+    expect(body).toContain(
+      'aragon_http_request_duration_seconds_count{method="GET",route="/api/images/:id",status="200"} 2'
+    );
+    expect(body).not.toContain("image-1");
+  });
+
+  it("requires the metrics token when one is set", async () => {
+    metricsConfig.token = "scrape-secret";
+
+    const missing = await fetch(`${baseUrl}/metrics`);
+    const wrong = await fetch(`${baseUrl}/metrics`, {
+      headers: { Authorization: "Bearer wrong" },
+    });
+    const valid = await fetch(`${baseUrl}/metrics`, {
+      headers: { Authorization: "Bearer scrape-secret" },
+    });
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(valid.status).toBe(200);
+  });
+});
@@ -0,0 +1,78 @@
+const jwt = require("jsonwebtoken");
+const authService = require("../../src/services/authService");
+
+describe("authService", () => {
+  describe("passwords", () => {
+    it("verifies a password against its hash", async () => {
+      const hash = await authService.hashPassword("correct horse");
+
+      expect(hash).not.toBe("correct horse");
+      await expect(
+        authService.verifyPassword("correct horse", hash)
+      ).resolves.toBe(true);
+      await expect(
+        authService.verifyPassword("wrong horse", hash)
+      ).resolves.toBe(false);
+    });
+  });
+
+  describe("access tokens", () => {
+    it("carry the user ID and role", () => {
+      const token = authService.signToken({ id: "user-1", role: "ADMIN" });
+      const payload = authService.verifyToken(token);
+
+      expect(payload.sub).toBe("user-1");
+      expect(payload.role).toBe("ADMIN");
+    });
+
+    it("are rejected when signed with another secret", () => {
+      const token = jwt.sign({ role: "ADMIN" }, "another-secret", {
+        subject: "user-1",
+      });
+
+      expect(() => authService.verifyToken(token)).toThrow();
+    });
+
+    it("are rejected once expired", () => {
+      const token = jwt.sign(
+        { role: "USER", exp: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET,
+        { subject: "user-1" }
+      );
+
+      expect(() => authService.verifyToken(token)).toThrow(/expired/);
+    });
+
+    it("don't work as upload tokens", () => {
+      const token = authService.signToken({ id: "user-1", role: "USER" });
+
+      expect(() => authService.verifyUploadToken(token)).toThrow();
+    });
+  });
+
+  describe("upload tokens", () => {
+    it("carry the image ID", () => {
+      const token = authService.signUploadToken("image-1", 60);
+
+      expect(authService.verifyUploadToken(token)).toBe("image-1");
+    });
+
+    it("don't work as access tokens", () => {
+      const token = authService.signUploadToken("image-1", 60);
+
+      expect(() => authService.verifyToken(token)).toThrow(
+        "Not an access token"
+      );
+    });
+  });
+
+  it("strips the password hash from public users", () => {
+    expect(
+      authService.toPublicUser({
+        id: "user-1",
+        email: "a@example.com",
+        passwordHash: "hash",
+      })
+    ).toEqual({ id: "user-1", email: "a@example.com" });
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  createSignedFileUrl,
+  verifyFileSignature,
+} = require("../../src/services/fileUrlService");
+
+const FILE_PATH = "uploads/original/abc 1.jpg";
+
+// The path, expires and signature of a signed URL, as the file route sees them
+const parseSignedUrl = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  return [
+    decodeURIComponent(pathname.slice(1)),
+    searchParams.get("expires"),
+    searchParams.get("signature"),
+  ];
+};
+
+describe("fileUrlService", () => {
+  it("accepts the URLs it signed", () => {
+    const [filePath, expires, signature] = parseSignedUrl(
+      createSignedFileUrl(FILE_PATH, 60)
+    );
+
+    expect(filePath).toBe(FILE_PATH);
+    expect(verifyFileSignature(filePath, expires, signature)).toBe(true);
+  });
+
+  it("rejects a signature used for another file", () => {
+    const [, expires, signature] = parseSignedUrl(
+      createSignedFileUrl(FILE_PATH, 60)
+    );
+
+    expect(
+      verifyFileSignature("uploads/original/other.jpg", expires, signature)
+    ).toBe(false);
+  });
+
+  it("rejects a changed expiry", () => {
+    const [filePath, expires, signature] = parseSignedUrl(
+      createSignedFileUrl(FILE_PATH, 60)
+    );
+
+    expect(
+      verifyFileSignature(filePath, String(Number(expires) + 3600), signature)
+    ).toBe(false);
+  });
+
+  it("rejects expired URLs", () => {
+    const [filePath, expires, signature] = parseSignedUrl(
+      createSignedFileUrl(FILE_PATH, -1)
+    );
+
+    expect(verifyFileSignature(filePath, expires, signature)).toBe(false);
+  });
+
+  it.each([
+    ["a missing expiry", undefined, "abc"],
+    ["a non-numeric expiry", "soon", "abc"],
+    ["a missing signature", "9999999999", undefined],
+    ["a truncated signature", "9999999999", "abcd"],
+  ])("rejects %s", (_, expires, signature) => {
+    expect(verifyFileSignature(FILE_PATH, expires, signature)).toBe(false);
+  });
+});
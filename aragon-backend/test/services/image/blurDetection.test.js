@@ -0,0 +1,73 @@
+// These tests measure real pixels, so they need sharp's native module.
+// Skip them where it isn't installed rather than fake the decoding.
+const loadSharp = () => {
+  try {
+    return require("sharp");
+  } catch {
+    return null;
+  }
+};
+const sharp = loadSharp();
+const describeWithSharp = sharp ? describe : describe.skip;
+
+const { detectBlurryImage, renderEdgeMap } = sharp
+  ? require("../../../src/services/image/blurDetection")
+  : {};
+
+/**
+ * A black and white checkerboard
+ * @param {number} size - Width and height in pixels
+ * @param {number} square - Size of each square in pixels
+ * @param {number} channels - 3 for RGB, 4 for RGBA
+ * @returns {Promise<Buffer>} - A PNG
+ */
+const checkerboard = (size, square, channels) => {
+  const data = Buffer.alloc(size * size * channels);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const value =
+        (Math.floor(x / square) + Math.floor(y / square)) % 2 ? 255 : 0;
+      const i = (y * size + x) * channels;
+      data.fill(value, i, i + 3);
+      if (channels === 4) data[i + 3] = 255;
+    }
+  }
+  return sharp(data, { raw: { width: size, height: size, channels } })
+    .png()
+    .toBuffer();
+};
+
+describeWithSharp("detectBlurryImage", () => {
+  it("scores a PNG with an alpha channel like the same PNG without one", async () => {
+    const rgb = await detectBlurryImage(await checkerboard(64, 8, 3));
+    const rgba = await detectBlurryImage(await checkerboard(64, 8, 4));
+
+    expect(rgba.details.frame.score).toBeGreaterThan(0);
+    expect(rgba.details.frame.score).toBe(rgb.details.frame.score);
+  });
+
+  it("measures faces of any size at the same sample size", async () => {
+    const small = await detectBlurryImage(await checkerboard(128, 16, 3), {
+      faceBox: { x: 0, y: 0, width: 128, height: 128 },
+    });
+    const large = await detectBlurryImage(await checkerboard(1024, 128, 3), {
+      faceBox: { x: 0, y: 0, width: 1024, height: 1024 },
+    });
+
+    expect(small.details.face.sampleSize).toEqual(
+      large.details.face.sampleSize
+    );
+    expect(small.details.face.sampleSize.height).toBe(256);
+  });
+});
+
+describeWithSharp("renderEdgeMap", () => {
+  it("renders an RGBA PNG like the same PNG without alpha", async () => {
+    const fromRgb = await renderEdgeMap(await checkerboard(64, 8, 3));
+    const fromRgba = await renderEdgeMap(await checkerboard(64, 8, 4));
+
+    const rgbPixels = await sharp(fromRgb).raw().toBuffer();
+    const rgbaPixels = await sharp(fromRgba).raw().toBuffer();
+    expect(rgbaPixels.equals(rgbPixels)).toBe(true);
+  });
+});
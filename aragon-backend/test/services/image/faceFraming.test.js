@@ -0,0 +1,177 @@
+const {
+  DEFAULT_LIMITS,
+  estimateHeadPose,
+  validateFaceFraming,
+} = require("../../../src/services/image/faceFraming");
+
+const IMAGE_SIZE = { width: 1000, height: 1000 };
+
+/**
+ * A level, frontal face in the middle of a 1000x1000 photo, with the 68
+ * landmarks detectFaces returns. Only the points estimateHeadPose reads are
+ * placed, the rest sit in the middle of the face.
+ * @param {object} [pose] - Turn the face by these angles, in degrees
+ * @param {number} [pose.yaw] - Towards the right of the photo
+ * @param {number} [pose.pitch] - Looking up
+ * @param {number} [pose.roll] - Clockwise
+ * @returns {{box: object, landmarks: Array<{x: number, y: number}>}} - The face
+ */
+const makeFace = ({ yaw = 0, pitch = 0, roll = 0 } = {}) => {
+  const sin = (degrees) => Math.sin((degrees * Math.PI) / 180);
+  const landmarks = Array.from({ length: 68 }, () => ({ x: 500, y: 450 }));
+
+  landmarks[0] = { x: 400, y: 400 };
+  landmarks[16] = { x: 600, y: 400 };
+  landmarks[8] = { x: 500, y: 540 };
+  for (let i = 36; i < 42; i++) landmarks[i] = { x: 450, y: 370 };
+  for (let i = 42; i < 48; i++) landmarks[i] = { x: 550, y: 370 };
+  // Half the face width is 100 and the eyes are 170 above the chin
+  landmarks[30] = {
+    x: 500 + 100 * 1.35 * sin(yaw),
+    y: 370 + 170 * (0.45 - 0.5 * sin(pitch)),
+  };
+
+  const cos = Math.cos((roll * Math.PI) / 180);
+  const rotate = ({ x, y }) => ({
+    x: 500 + (x - 500) * cos - (y - 450) * sin(roll),
+    y: 450 + (x - 500) * sin(roll) + (y - 450) * cos,
+  });
+
+  return {
+    box: { x: 400, y: 320, width: 200, height: 240 },
+    landmarks: landmarks.map(rotate),
+  };
+};
+
+// Move a face across the photo
+const shift = (face, dx, dy) => ({
+  box: { ...face.box, x: face.box.x + dx, y: face.box.y + dy },
+  landmarks: face.landmarks.map(({ x, y }) => ({ x: x + dx, y: y + dy })),
+});
+
+describe("estimateHeadPose", () => {
+  it("finds a level, frontal face", () => {
+    const pose = estimateHeadPose(makeFace().landmarks);
+
+    expect(pose).toEqual({ yaw: 0, pitch: 0, roll: 0 });
+  });
+
+  it.each([
+    ["yaw", { yaw: 30 }],
+    ["yaw", { yaw: -30 }],
+    ["pitch", { pitch: 20 }],
+    ["pitch", { pitch: -20 }],
+    ["roll", { roll: 15 }],
+    ["roll", { roll: -15 }],
+  ])("measures %s with its sign", (angle, turn) => {
+    const pose = estimateHeadPose(makeFace(turn).landmarks);
+
+    expect(pose[angle]).toBeCloseTo(turn[angle], 0);
+  });
+
+  it("measures yaw and pitch in the face's own axes", () => {
+    const pose = estimateHeadPose(
+      makeFace({ yaw: 20, pitch: 10, roll: 30 }).landmarks
+    );
+
+    expect(pose.yaw).toBeCloseTo(20, 0);
+    expect(pose.pitch).toBeCloseTo(10, 0);
+    expect(pose.roll).toBeCloseTo(30, 0);
+  });
+
+  it("returns null without a full set of landmarks", () => {
+    expect(estimateHeadPose(makeFace().landmarks.slice(0, 30))).toBeNull();
+    expect(estimateHeadPose(undefined)).toBeNull();
+  });
+});
+
+describe("validateFaceFraming", () => {
+  it("passes a frontal face well inside the photo", () => {
+    const result = validateFaceFraming(makeFace(), IMAGE_SIZE);
+
+    expect(result).toEqual({
+      isValid: true,
+      reason: null,
+      code: null,
+      details: {
+        pose: { yaw: 0, pitch: 0, roll: 0 },
+        faceHeightRatio: 0.24,
+        edgeMargins: {
+          top: 1.333,
+          right: 1.667,
+          bottom: 1.833,
+          left: 1.667,
+        },
+        limits: DEFAULT_LIMITS,
+      },
+    });
+  });
+
+  it("refuses a face running past an edge", () => {
+    const result = validateFaceFraming(shift(makeFace(), -395, 0), IMAGE_SIZE);
+
+    expect(result.isValid).toBe(false);
+    expect(result.code).toBe("face_cut_off");
+    expect(result.details.edgeMargins.left).toBeLessThan(
+      DEFAULT_LIMITS.minEdgeMargin
+    );
+  });
+
+  it("widens the box with landmarks outside it", () => {
+    const face = makeFace();
+    face.landmarks[8] = { x: 500, y: 995 };
+
+    const result = validateFaceFraming(face, IMAGE_SIZE);
+
+    expect(result.code).toBe("face_cut_off");
+    expect(result.details.edgeMargins.bottom).toBe(0.021);
+  });
+
+  it("refuses a face that is too small in the photo", () => {
+    const result = validateFaceFraming(makeFace(), {
+      width: 1000,
+      height: 4000,
+    });
+
+    expect(result.code).toBe("face_too_small");
+    expect(result.details.faceHeightRatio).toBe(0.06);
+  });
+
+  it.each([
+    ["face_yaw_exceeded", { yaw: 40 }],
+    ["face_pitch_exceeded", { pitch: -30 }],
+    ["face_roll_exceeded", { roll: 25 }],
+  ])("refuses a turned face with %s", (code, turn) => {
+    const result = validateFaceFraming(makeFace(turn), IMAGE_SIZE);
+
+    expect(result.isValid).toBe(false);
+    expect(result.code).toBe(code);
+  });
+
+  it("reports a cut-off face before judging its pose", () => {
+    const result = validateFaceFraming(
+      shift(makeFace({ yaw: 40 }), 0, -330),
+      IMAGE_SIZE
+    );
+
+    expect(result.code).toBe("face_cut_off");
+  });
+
+  it("skips the pose checks when the landmarks are missing", () => {
+    const { box } = makeFace();
+
+    const result = validateFaceFraming({ box }, IMAGE_SIZE);
+
+    expect(result.isValid).toBe(true);
+    expect(result.details.pose).toBeNull();
+  });
+
+  it("uses the limits from the options", () => {
+    const face = makeFace({ yaw: 40 });
+
+    const result = validateFaceFraming(face, IMAGE_SIZE, { maxYaw: 45 });
+
+    expect(result.isValid).toBe(true);
+    expect(result.details.limits).toEqual({ ...DEFAULT_LIMITS, maxYaw: 45 });
+  });
+});
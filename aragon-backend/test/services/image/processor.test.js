@@ -0,0 +1,312 @@
+// The one pipeline step of these tests, a fail-open faces check
+const mockRunFaces = jest.fn();
+const mockPipeline = [
+  {
+    name: "faces",
+    severity: "reject",
+    options: {},
+    validator: {
+      code: "multiple_faces_detected",
+      failOpen: true,
+      run: (...args) => mockRunFaces(...args),
+    },
+  },
+];
+
+const sharp = require("sharp");
+const { prisma } = require("@prisma/client");
+const storage = require("../../../src/services/image/storage");
+const validationConfig = require("../../../src/config/validation");
+const exifMetadata = require("../../../src/services/image/exifMetadata");
+const {
+  PipelineError,
+  PIPELINE_ERROR_CODES,
+} = require("../../../src/services/image/errors");
+const {
+  processImage,
+  queueImageProcessing,
+  getPipelineVersion,
+} = require("../../../src/services/image/processor");
+
+// The processor's collaborators load sharp, face-api and the storage
+// drivers; the failure paths under test only need them to exist
+jest.mock("sharp", () => jest.fn());
+jest.mock("../../../src/services/image/storage", () => ({
+  getImageBuffer: jest.fn(),
+  saveImageToStorage: jest.fn(),
+  deleteImageFiles: jest.fn(),
+}));
+jest.mock("../../../src/services/image/renditions", () => ({}));
+jest.mock("../../../src/services/image/heicConversion", () => ({
+  isHeicBuffer: jest.fn(),
+}));
+jest.mock("../../../src/services/image/exifMetadata", () => ({
+  extractExifMetadata: jest.fn(),
+  applyOrientation: jest.fn(),
+}));
+jest.mock("../../../src/services/image/smartCrop", () => ({}));
+jest.mock("../../../src/services/image/qualityScore", () => ({}));
+jest.mock("../../../src/services/image/validators", () => ({
+  resolvePipeline: () => mockPipeline,
+  runValidator: jest.requireActual(
+    "../../../src/services/image/validators/registry"
+  ).runValidator,
+}));
+
+const image = (fields = {}) => ({
+  id: "image-1",
+  ownerId: "user-1",
+  status: "PENDING",
+  originalPath: "uploads/original/a.jpg",
+  processedPath: null,
+  metaData: null,
+  ...fields,
+});
+
+beforeEach(() => {
+  prisma.image.update.mockImplementation(async ({ data }) => ({
+    ...image(),
+    ...data,
+  }));
+  prisma.imageEvent.create.mockResolvedValue({});
+  prisma.webhookSubscription.findMany.mockResolvedValue([]);
+});
+
+describe("processImage", () => {
+  it("skips images that aren't waiting for processing", async () => {
+    prisma.image.findUnique.mockResolvedValue(image({ status: "PROCESSED" }));
+
+    await expect(processImage("image-1")).resolves.toMatchObject({
+      status: "PROCESSED",
+    });
+    expect(prisma.image.update).not.toHaveBeenCalled();
+  });
+
+  it("tells event streams where a skipped image stands", async () => {
+    prisma.image.findUnique.mockResolvedValue(
+      image({
+        status: "FAILED",
+        metaData: {
+          rejectionReason: "Too blurry",
+          validationErrors: ["blurry_image_detected"],
+        },
+      })
+    );
+
+    await processImage("image-1");
+
+    expect(prisma.imageEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        type: "status",
+        data: {
+          imageId: "image-1",
+          status: "FAILED",
+          rejectionReason: "Too blurry",
+          validationErrors: ["blurry_image_detected"],
+        },
+      }),
+    });
+  });
+
+  it("puts the image back to PENDING and rethrows retryable errors", async () => {
+    prisma.image.findUnique.mockResolvedValue(image());
+    storage.getImageBuffer.mockRejectedValue(new Error("storage down"));
+
+    await expect(processImage("image-1", { retryable: true })).rejects.toThrow(
+      "storage down"
+    );
+    expect(prisma.image.update).toHaveBeenLastCalledWith({
+      where: { id: "image-1" },
+      data: { status: "PENDING" },
+    });
+  });
+
+  it("fails the image, recording the pipeline and removing old renditions", async () => {
+    prisma.image.findUnique.mockResolvedValue(
+      image({
+        status: "PROCESSED",
+        processedPath: "uploads/processed/a-medium.jpg",
+        pipelineVersion: 1,
+      })
+    );
+    prisma.imageHistory.create.mockResolvedValue({});
+    prisma.imageVariant.findMany.mockResolvedValue([
+      { path: "uploads/processed/a-medium.jpg" },
+      { path: "uploads/processed/a-thumbnail.webp" },
+    ]);
+    storage.getImageBuffer.mockRejectedValue(new Error("storage down"));
+
+    const failedImage = await processImage("image-1", { reprocess: true });
+
+    expect(failedImage).toMatchObject({
+      status: "FAILED",
+      processedPath: null,
+      processedSize: null,
+      pipelineVersion: validationConfig.version,
+      pipelineConfigHash: getPipelineVersion().configHash,
+      metaData: expect.objectContaining({
+        validationErrors: ["processing_error"],
+      }),
+    });
+    expect(prisma.image.update).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({ variants: { deleteMany: {} } }),
+      })
+    );
+    expect(storage.deleteImageFiles).toHaveBeenCalledWith(
+      "uploads/processed/a-medium.jpg",
+      "uploads/processed/a-thumbnail.webp"
+    );
+  });
+
+  describe("with a decodable photo", () => {
+    beforeEach(() => {
+      prisma.image.findUnique.mockResolvedValue(image());
+      storage.getImageBuffer.mockResolvedValue(Buffer.from("jpeg"));
+      sharp.mockReturnValue({
+        metadata: async () => ({ format: "jpeg", width: 1200, height: 1600 }),
+      });
+      exifMetadata.applyOrientation.mockImplementation(
+        async (buffer) => buffer
+      );
+      mockRunFaces.mockRejectedValue(
+        new PipelineError(
+          PIPELINE_ERROR_CODES.FACE_MODELS_UNAVAILABLE,
+          "Failed to load face models from /models"
+        )
+      );
+    });
+
+    it("retries the job when the face models can't be loaded", async () => {
+      await expect(
+        processImage("image-1", { retryable: true })
+      ).rejects.toMatchObject({ code: "face_models_unavailable" });
+      expect(prisma.image.update).toHaveBeenLastCalledWith({
+        where: { id: "image-1" },
+        data: { status: "PENDING" },
+      });
+    });
+
+    it("fails the image on the last attempt instead of skipping the check", async () => {
+      const failedImage = await processImage("image-1");
+
+      expect(failedImage.status).toBe("FAILED");
+      expect(failedImage.metaData.validationErrors).toEqual([
+        "processing_error",
+      ]);
+    });
+  });
+
+  it("fails originals that can't be decoded", async () => {
+    prisma.image.findUnique.mockResolvedValue(image());
+    storage.getImageBuffer.mockResolvedValue(Buffer.from("not an image"));
+    sharp.mockReturnValue({
+      metadata: async () => {
+        throw new Error("Input buffer contains unsupported image format");
+      },
+    });
+
+    const failedImage = await processImage("image-1", { retryable: true });
+
+    expect(failedImage).toMatchObject({
+      status: "FAILED",
+      metaData: expect.objectContaining({
+        validationErrors: ["format_validation_failed"],
+      }),
+    });
+  });
+});
+
+describe("queueImageProcessing", () => {
+  beforeEach(() => {
+    prisma.processingJob.findFirst.mockResolvedValue(null);
+    prisma.processingJob.create.mockImplementation(async ({ data }) => ({
+      id: "job-1",
+      ...data,
+    }));
+  });
+
+  it("queues a pending image", async () => {
+    await expect(queueImageProcessing(image())).resolves.toMatchObject({
+      id: "job-1",
+      imageId: "image-1",
+    });
+    expect(prisma.image.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("moves a failed image back to PENDING, keeping its result", async () => {
+    const failed = image({
+      status: "FAILED",
+      metaData: { validationErrors: ["processing_error"] },
+    });
+    prisma.image.updateMany.mockResolvedValue({ count: 1 });
+    prisma.imageHistory.create.mockResolvedValue({});
+
+    await queueImageProcessing(failed, { debug: true });
+
+    expect(prisma.image.updateMany).toHaveBeenCalledWith({
+      where: { id: "image-1", status: "FAILED" },
+      data: { status: "PENDING" },
+    });
+    expect(prisma.imageHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ reason: "retry", status: "FAILED" }),
+    });
+    expect(prisma.imageEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        data: { imageId: "image-1", status: "PENDING" },
+      }),
+    });
+    expect(prisma.processingJob.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ imageId: "image-1", debug: true }),
+    });
+  });
+
+  it("leaves the history to the request that moved the image", async () => {
+    prisma.image.updateMany.mockResolvedValue({ count: 0 });
+
+    await queueImageProcessing(image({ status: "FAILED" }));
+
+    expect(prisma.imageHistory.create).not.toHaveBeenCalled();
+    expect(prisma.processingJob.create).toHaveBeenCalled();
+  });
+
+  it.each([
+    ["processed images", image({ status: "PROCESSED" }), 400],
+    ["unfinished uploads", image({ status: "UPLOADING" }), 400],
+    [
+      "images rejected on review",
+      image({
+        status: "FAILED",
+        metaData: { review: { decision: "REJECTED" } },
+      }),
+      409,
+    ],
+    [
+      "failed images in a submitted set",
+      image({ status: "FAILED", photoSet: { status: "SUBMITTED" } }),
+      409,
+    ],
+    [
+      "failed images in a locked set",
+      image({ status: "FAILED", photoSet: { status: "LOCKED" } }),
+      409,
+    ],
+  ])("refuses %s", async (_, refused, statusCode) => {
+    await expect(queueImageProcessing(refused)).rejects.toMatchObject({
+      statusCode,
+    });
+    expect(prisma.processingJob.create).not.toHaveBeenCalled();
+    expect(prisma.image.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("re-runs a failed image in a draft set", async () => {
+    prisma.image.updateMany.mockResolvedValue({ count: 1 });
+    prisma.imageHistory.create.mockResolvedValue({});
+
+    await queueImageProcessing(
+      image({ status: "FAILED", photoSet: { status: "DRAFT" } })
+    );
+
+    expect(prisma.processingJob.create).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+const { prisma } = require("@prisma/client");
+const { storage } = require("../../../src/services/storage");
+const { withUrls } = require("../../../src/services/image/storage");
+
+// Loads the storage drivers
+jest.mock("../../../src/services/storage", () => ({
+  storage: { signedUrl: jest.fn() },
+}));
+
+describe("withUrls", () => {
+  beforeEach(() => {
+    storage.signedUrl.mockImplementation(async (path) => `signed:${path}`);
+  });
+
+  it("signs the paths of the loaded image without querying it again", async () => {
+    const image = await withUrls({
+      id: "img-1",
+      originalPath: "uploads/original/img-1",
+      convertedPath: "uploads/converted/img-1.jpg",
+      processedPath: "uploads/processed/img-1/medium.jpg",
+      variants: [
+        {
+          name: "thumbnail",
+          format: "webp",
+          path: "uploads/processed/img-1/thumbnail.webp",
+          width: 200,
+          height: 150,
+        },
+      ],
+    });
+
+    expect(image.urls).toEqual({
+      original: "signed:uploads/original/img-1",
+      converted: "signed:uploads/converted/img-1.jpg",
+      processed: "signed:uploads/processed/img-1/medium.jpg",
+      variants: {
+        thumbnail: {
+          webp: {
+            url: "signed:uploads/processed/img-1/thumbnail.webp",
+            width: 200,
+            height: 150,
+          },
+        },
+      },
+    });
+    expect(image.variants).toBeUndefined();
+    expect(prisma.image.findUnique).not.toHaveBeenCalled();
+  });
+
+  it("leaves out files the image doesn't have", async () => {
+    const image = await withUrls({
+      id: "img-2",
+      originalPath: "uploads/original/img-2",
+      convertedPath: null,
+      processedPath: null,
+    });
+
+    expect(Object.keys(image.urls)).toEqual(["original", "variants"]);
+  });
+});
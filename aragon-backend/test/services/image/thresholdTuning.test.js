@@ -0,0 +1,38 @@
+const {
+  findBestThreshold,
+} = require("../../../src/services/image/thresholdTuning");
+
+const samples = (passing, failing) => [
+  ...passing.map((value) => ({ value, shouldPass: true })),
+  ...failing.map((value) => ({ value, shouldPass: false })),
+];
+
+describe("findBestThreshold", () => {
+  it("finds the lowest passing value for a minimum", () => {
+    expect(findBestThreshold(samples([5, 6, 7], [1, 2, 3]), "min")).toEqual({
+      threshold: 5,
+      balancedAccuracy: 1,
+    });
+  });
+
+  it("finds the highest passing value for a maximum", () => {
+    expect(findBestThreshold(samples([1, 2], [8, 9]), "max")).toEqual({
+      threshold: 2,
+      balancedAccuracy: 1,
+    });
+  });
+
+  it("weighs both kinds of sample equally when they overlap", () => {
+    // At 5 one of three passing photos fails and both failing ones are caught
+    const best = findBestThreshold(samples([3, 5, 6], [1, 4]), "min");
+
+    expect(best.threshold).toBe(5);
+    expect(best.balancedAccuracy).toBeCloseTo(5 / 6);
+  });
+
+  it("needs samples of both kinds", () => {
+    expect(findBestThreshold(samples([1, 2], []), "min")).toBeNull();
+    expect(findBestThreshold(samples([], [1, 2]), "min")).toBeNull();
+    expect(findBestThreshold([], "min")).toBeNull();
+  });
+});
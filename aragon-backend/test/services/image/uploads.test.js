@@ -0,0 +1,57 @@
+const { prisma } = require("@prisma/client");
+const storage = require("../../../src/services/image/storage");
+const uploadConfig = require("../../../src/config/uploads");
+const {
+  expireAbandonedUploads,
+} = require("../../../src/services/image/uploads");
+
+// Both load native modules or storage drivers
+jest.mock("../../../src/services/image/storage", () => ({
+  deleteImageFiles: jest.fn(),
+  getStoredFileHead: jest.fn(),
+}));
+jest.mock("../../../src/services/image/heicConversion", () => ({
+  isHeicBuffer: jest.fn(),
+}));
+
+describe("expireAbandonedUploads", () => {
+  beforeEach(() => {
+    prisma.image.findMany.mockResolvedValue([
+      { id: "idle", originalPath: "uploads/original/idle" },
+      { id: "resumed", originalPath: "uploads/original/resumed" },
+    ]);
+    // A chunk of "resumed" arrives between the read and the delete
+    prisma.image.deleteMany.mockImplementation(async ({ where }) => ({
+      count: where.id === "idle" ? 1 : 0,
+    }));
+  });
+
+  it("only looks at uploads idle for the timeout", async () => {
+    const before = Date.now();
+    await expireAbandonedUploads();
+
+    const { where } = prisma.image.findMany.mock.calls[0][0];
+    expect(where.status).toBe("UPLOADING");
+    expect(where.updatedAt.lt.getTime()).toBeGreaterThanOrEqual(
+      before - uploadConfig.abandonedUploadTimeoutMs
+    );
+    expect(where.createdAt).toBeUndefined();
+  });
+
+  it("keeps uploads that saw activity since they were read", async () => {
+    const removed = await expireAbandonedUploads();
+
+    expect(removed).toBe(1);
+    expect(prisma.image.deleteMany).toHaveBeenCalledWith({
+      where: {
+        id: "resumed",
+        status: "UPLOADING",
+        updatedAt: { lt: expect.any(Date) },
+      },
+    });
+    expect(storage.deleteImageFiles).toHaveBeenCalledTimes(1);
+    expect(storage.deleteImageFiles).toHaveBeenCalledWith(
+      "uploads/original/idle"
+    );
+  });
+});
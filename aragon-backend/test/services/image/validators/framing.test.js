@@ -0,0 +1,59 @@
+const { detectFaces } = require("../../../../src/services/image/faceDetection");
+const framing = require("../../../../src/services/image/validators/framing");
+const {
+  DEFAULT_LIMITS,
+} = require("../../../../src/services/image/faceFraming");
+
+// Detection needs the native face models
+jest.mock("../../../../src/services/image/faceDetection", () => ({
+  detectFaces: jest.fn(),
+}));
+
+// A face too small for a 1000x4000 photo, so the result shows it was checked
+const detection = {
+  faces: [{ box: { x: 400, y: 400, width: 200, height: 240 } }],
+  imageSize: { width: 1000, height: 4000 },
+};
+
+describe("framing validator", () => {
+  it("checks the largest face the faces check found", async () => {
+    const result = await framing.run(
+      {
+        imageBuffer: Buffer.alloc(0),
+        results: { faces: { details: detection } },
+      },
+      DEFAULT_LIMITS
+    );
+
+    expect(detectFaces).not.toHaveBeenCalled();
+    expect(result).toEqual(
+      expect.objectContaining({ passed: false, code: "face_too_small" })
+    );
+  });
+
+  it("detects the faces itself when the faces check didn't run", async () => {
+    detectFaces.mockResolvedValue(detection);
+
+    const result = await framing.run(
+      { imageBuffer: Buffer.alloc(0), results: {} },
+      DEFAULT_LIMITS
+    );
+
+    expect(detectFaces).toHaveBeenCalledTimes(1);
+    expect(result.code).toBe("face_too_small");
+  });
+
+  it("passes a photo without a face, which the faces check reports", async () => {
+    detectFaces.mockResolvedValue({
+      faces: [],
+      imageSize: detection.imageSize,
+    });
+
+    const result = await framing.run(
+      { imageBuffer: Buffer.alloc(0), results: {} },
+      DEFAULT_LIMITS
+    );
+
+    expect(result).toEqual({ passed: true, details: { faceFound: false } });
+  });
+});
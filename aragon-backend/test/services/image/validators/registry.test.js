@@ -0,0 +1,86 @@
+const {
+  runValidator,
+} = require("../../../../src/services/image/validators/registry");
+const {
+  PipelineError,
+  PIPELINE_ERROR_CODES,
+} = require("../../../../src/services/image/errors");
+
+const step = (validator) => ({
+  name: "faces",
+  severity: "reject",
+  options: {},
+  validator: { code: "multiple_faces_detected", failOpen: false, ...validator },
+});
+
+describe("runValidator", () => {
+  it("normalizes a failed check", async () => {
+    const result = await runValidator(
+      step({ run: async () => ({ passed: false, reason: "Two faces" }) }),
+      {}
+    );
+
+    expect(result).toEqual({
+      name: "faces",
+      severity: "reject",
+      passed: false,
+      code: "multiple_faces_detected",
+      reason: "Two faces",
+      details: {},
+      metaData: {},
+    });
+  });
+
+  it("rethrows errors of checks that don't fail open", async () => {
+    await expect(
+      runValidator(
+        step({
+          run: async () => {
+            throw new Error("boom");
+          },
+        }),
+        {}
+      )
+    ).rejects.toThrow("boom");
+  });
+
+  it("passes the image when a fail-open check throws", async () => {
+    const stderr = jest
+      .spyOn(process.stderr, "write")
+      .mockImplementation(() => true);
+
+    const result = await runValidator(
+      step({
+        failOpen: true,
+        run: async () => {
+          throw new Error("odd file");
+        },
+      }),
+      {}
+    );
+
+    expect(result.passed).toBe(true);
+    expect(result.details).toEqual({
+      error: "odd file",
+      validationFailed: true,
+    });
+    stderr.mockRestore();
+  });
+
+  it("rethrows pipeline errors even when the check fails open", async () => {
+    await expect(
+      runValidator(
+        step({
+          failOpen: true,
+          run: async () => {
+            throw new PipelineError(
+              PIPELINE_ERROR_CODES.FACE_MODELS_UNAVAILABLE,
+              "Failed to load face models from /models"
+            );
+          },
+        }),
+        {}
+      )
+    ).rejects.toMatchObject({ code: "face_models_unavailable" });
+  });
+});
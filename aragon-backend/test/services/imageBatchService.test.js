@@ -0,0 +1,165 @@
+const { prisma } = require("@prisma/client");
+const imageService = require("../../src/services/imageService");
+const { ApiError } = require("../../src/utils/errorHandler");
+const { runBatch } = require("../../src/services/imageBatchService");
+
+// Pulls in the image pipeline and its native modules
+jest.mock("../../src/services/imageService", () => ({
+  deleteImages: jest.fn(),
+  checkProcessable: jest.fn(),
+  queueImageProcessing: jest.fn(),
+}));
+
+const image = (id, fields = {}) => ({
+  id,
+  ownerId: "user-1",
+  status: "PENDING",
+  photoSet: null,
+  metaData: null,
+  qualityScore: null,
+  ...fields,
+});
+
+describe("runBatch", () => {
+  it.each([
+    ["an unknown action", { action: "archive", ids: ["image-1"] }],
+    ["no IDs", { action: "delete", ids: [] }],
+    ["IDs that aren't strings", { action: "delete", ids: [1] }],
+  ])("rejects %s with 400", async (_, fields) => {
+    await expect(runBatch("user-1", fields)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    expect(prisma.image.findMany).not.toHaveBeenCalled();
+  });
+
+  it("gives each image a result, in the order of the IDs", async () => {
+    prisma.image.findMany.mockResolvedValue([
+      image("submitted", { photoSet: { status: "SUBMITTED" } }),
+      image("mine"),
+      image("theirs", { ownerId: "user-2" }),
+    ]);
+    imageService.deleteImages.mockResolvedValue();
+
+    const result = await runBatch("user-1", {
+      action: "delete",
+      ids: ["theirs", "missing", "mine", "submitted", "mine"],
+    });
+
+    expect(result).toEqual({
+      action: "delete",
+      results: [
+        {
+          id: "theirs",
+          success: false,
+          error: expect.objectContaining({ status: 403, code: "forbidden" }),
+        },
+        {
+          id: "missing",
+          success: false,
+          error: expect.objectContaining({ status: 404, code: "not_found" }),
+        },
+        { id: "mine", success: true },
+        {
+          id: "submitted",
+          success: false,
+          error: expect.objectContaining({
+            status: 409,
+            code: "photo_set_submitted",
+          }),
+        },
+      ],
+      succeeded: 1,
+      failed: 3,
+    });
+    expect(imageService.deleteImages).toHaveBeenCalledWith(["mine"]);
+  });
+
+  it("fails every image of a delete that errors", async () => {
+    prisma.image.findMany.mockResolvedValue([image("a"), image("b")]);
+    imageService.deleteImages.mockRejectedValue(new Error("storage down"));
+
+    const { results, failed } = await runBatch("user-1", {
+      action: "delete",
+      ids: ["a", "b"],
+    });
+
+    expect(failed).toBe(2);
+    expect(results[0].error).toEqual({
+      status: 500,
+      code: "internal_error",
+      message: "storage down",
+    });
+  });
+
+  it("queues images for processing, one result each", async () => {
+    prisma.image.findMany.mockResolvedValue([
+      image("pending"),
+      image("failed", { status: "FAILED" }),
+      image("reviewed", { status: "FAILED" }),
+      image("broken"),
+    ]);
+    imageService.checkProcessable.mockImplementation((img) =>
+      img.id === "reviewed"
+        ? new ApiError(409, "Image was rejected on review").withCode(
+            "rejected_on_review"
+          )
+        : null
+    );
+    imageService.queueImageProcessing.mockImplementation(async (img) => {
+      if (img.id === "broken") throw new Error("database down");
+      return { id: `job-${img.id}` };
+    });
+
+    const { results } = await runBatch("user-1", {
+      action: "process",
+      ids: ["pending", "failed", "reviewed", "broken"],
+    });
+
+    expect(results).toEqual([
+      { id: "pending", success: true, jobId: "job-pending" },
+      { id: "failed", success: true, jobId: "job-failed" },
+      {
+        id: "reviewed",
+        success: false,
+        error: {
+          status: 409,
+          code: "rejected_on_review",
+          message: "Image was rejected on review",
+        },
+      },
+      {
+        id: "broken",
+        success: false,
+        error: expect.objectContaining({ status: 500, code: "internal_error" }),
+      },
+    ]);
+    // Other actions don't run the processing checks
+    expect(imageService.checkProcessable).toHaveBeenCalledTimes(4);
+  });
+
+  it("reports the status of each image", async () => {
+    prisma.image.findMany.mockResolvedValue([
+      image("a", {
+        status: "REJECTED",
+        metaData: {
+          rejectionReason: "Too blurry",
+          validationErrors: ["image_blurry"],
+        },
+      }),
+    ]);
+
+    const { results } = await runBatch("user-1", {
+      action: "status",
+      ids: ["a"],
+    });
+
+    expect(results[0]).toEqual({
+      id: "a",
+      success: true,
+      status: "REJECTED",
+      qualityScore: null,
+      rejectionReason: "Too blurry",
+      validationErrors: ["image_blurry"],
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { prisma } = require("@prisma/client");
+const eventConfig = require("../../src/config/events");
+const { subscribeToImageEvents } = require("../../src/services/imageEvents");
+
+// Events committed so far; tests add to it to publish
+let table;
+
+const addEvent = (id, ownerId = "user-1") =>
+  table.push({ id, ownerId, type: "status", data: {}, createdAt: new Date() });
+
+// Just enough of the queries the poller sends
+const matches = (event, where) => {
+  if (where.ownerId?.in && !where.ownerId.in.includes(event.ownerId)) {
+    return false;
+  }
+  if (typeof where.ownerId === "string" && where.ownerId !== event.ownerId) {
+    return false;
+  }
+  if (where.id?.gt !== undefined && !(event.id > where.id.gt)) return false;
+  if (where.id?.lte !== undefined && !(event.id <= where.id.lte)) return false;
+  if (where.createdAt?.gte && !(event.createdAt >= where.createdAt.gte)) {
+    return false;
+  }
+  if (where.OR) return where.OR.some((clause) => matches(event, clause));
+  return true;
+};
+
+const nextPoll = () =>
+  jest.advanceTimersByTimeAsync(eventConfig.pollIntervalMs);
+
+describe("subscribeToImageEvents", () => {
+  let unsubscribers;
+
+  const subscribe = async (ownerId, lastEventId = null) => {
+    const received = [];
+    unsubscribers.push(
+      await subscribeToImageEvents(ownerId, lastEventId, (event) =>
+        received.push(event.id)
+      )
+    );
+    return received;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    table = [];
+    unsubscribers = [];
+    prisma.imageEvent.aggregate.mockImplementation(async () => ({
+      _max: { id: table.length ? Math.max(...table.map((e) => e.id)) : null },
+    }));
+    prisma.imageEvent.findMany.mockImplementation(async ({ where }) =>
+      table.filter((event) => matches(event, where)).sort((a, b) => a.id - b.id)
+    );
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    jest.useRealTimers();
+  });
+
+  it("only sends each stream the events after it connected", async () => {
+    addEvent(1);
+    const first = await subscribe("user-1");
+    addEvent(2);
+    await nextPoll();
+
+    const second = await subscribe("user-1");
+    addEvent(3);
+    addEvent(4, "user-2");
+    await nextPoll();
+
+    expect(first).toEqual([2, 3]);
+    expect(second).toEqual([3]);
+  });
+
+  it("delivers an event that commits after a later one, once", async () => {
+    const received = await subscribe("user-1");
+    addEvent(2);
+    await nextPoll();
+
+    // Event 1 was inserted first but its transaction committed last
+    addEvent(1);
+    await nextPoll();
+    await nextPoll();
+
+    expect(received).toEqual([2, 1]);
+  });
+
+  it("leaves events older than the commit lag window behind", async () => {
+    const received = await subscribe("user-1");
+    addEvent(2);
+    await nextPoll();
+
+    addEvent(1);
+    table[1].createdAt = new Date(Date.now() - eventConfig.commitLagMs - 1);
+    await nextPoll();
+
+    expect(received).toEqual([2]);
+  });
+
+  it("replays missed events before live ones", async () => {
+    addEvent(1);
+    addEvent(2);
+    addEvent(3);
+    const received = await subscribe("user-1", 1);
+    addEvent(4);
+    await nextPoll();
+    await nextPoll();
+
+    expect(received).toEqual([2, 3, 4]);
+  });
+});
@@ -0,0 +1,157 @@
+const { prisma } = require("@prisma/client");
+const { listImages } = require("../../src/services/imageQueryService");
+
+// Just enough of Prisma's filters and Postgres' ordering (nulls last when
+// ascending, first when descending) to page through an in-memory table
+const compare = (a, b) => {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a < b ? -1 : 1;
+};
+
+const matchesField = (value, condition) => {
+  if (
+    condition === null ||
+    typeof condition !== "object" ||
+    condition instanceof Date
+  ) {
+    return compare(value, condition ?? null) === 0;
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "in":
+        return operand.includes(value);
+      case "not":
+        return operand === null ? value !== null : value !== operand;
+      case "gt":
+        return value !== null && compare(value, operand) > 0;
+      case "lt":
+        return value !== null && compare(value, operand) < 0;
+      case "gte":
+        return value !== null && compare(value, operand) >= 0;
+      default:
+        throw new Error(`Filter ${operator} is not supported by the test`);
+    }
+  });
+};
+
+const matches = (row, where) =>
+  Object.entries(where).every(([key, condition]) => {
+    if (key === "AND") return condition.every((part) => matches(row, part));
+    if (key === "OR") return condition.some((part) => matches(row, part));
+    return matchesField(row[key], condition);
+  });
+
+const useTable = (rows) => {
+  prisma.image.findMany.mockImplementation(async ({ where, orderBy, take }) =>
+    rows
+      .filter((row) => matches(row, where))
+      .sort((a, b) => {
+        for (const order of orderBy) {
+          const [[field, direction]] = Object.entries(order);
+          const result = compare(a[field], b[field]);
+          if (result !== 0) return direction === "asc" ? result : -result;
+        }
+        return 0;
+      })
+      .slice(0, take)
+  );
+  prisma.image.count.mockImplementation(
+    async ({ where }) => rows.filter((row) => matches(row, where)).length
+  );
+};
+
+// Follow nextCursor until the last page, collecting the image IDs
+const listAll = async (query) => {
+  const ids = [];
+  let cursor;
+  do {
+    if (ids.length > 100) throw new Error("The cursor never reached the end");
+    const { images, pageInfo } = await listImages("user-1", {
+      ...query,
+      cursor,
+    });
+    ids.push(...images.map((image) => image.id));
+    cursor = pageInfo.nextCursor ?? undefined;
+  } while (cursor);
+  return ids;
+};
+
+describe("listImages", () => {
+  // Scores and dates repeat so pages have to split ties by ID
+  const rows = Array.from({ length: 11 }, (_, index) => ({
+    id: `image-${String(index).padStart(2, "0")}`,
+    ownerId: "user-1",
+    status: "PROCESSED",
+    createdAt: new Date(Date.UTC(2025, 0, 1 + (index % 4))),
+    originalSize: 1000 * (index % 3),
+    qualityScore: index % 4 === 0 ? null : index % 2,
+  }));
+
+  beforeEach(() => {
+    useTable([
+      ...rows,
+      { ...rows[0], id: "other-owner", ownerId: "user-2" },
+      { ...rows[0], id: "uploading", status: "UPLOADING" },
+    ]);
+  });
+
+  it("returns the first page with a cursor to the next", async () => {
+    const { images, pageInfo } = await listImages("user-1", { limit: "4" });
+
+    expect(images).toHaveLength(4);
+    expect(pageInfo).toMatchObject({ limit: 4, total: 11, hasMore: true });
+    expect(typeof pageInfo.nextCursor).toBe("string");
+  });
+
+  it.each([
+    ["createdAt", "desc"],
+    ["createdAt", "asc"],
+    ["size", "asc"],
+    ["qualityScore", "asc"],
+    ["qualityScore", "desc"],
+  ])("pages through every image once, sorted by %s %s", async (sort, order) => {
+    const ids = await listAll({ sort, order, limit: "3" });
+
+    expect(ids).toHaveLength(rows.length);
+    expect(new Set(ids).size).toBe(rows.length);
+    expect(ids).not.toContain("other-owner");
+    expect(ids).not.toContain("uploading");
+  });
+
+  it("rejects a cursor made for another sort order", async () => {
+    const { pageInfo } = await listImages("user-1", { limit: "2" });
+
+    await expect(
+      listImages("user-1", { sort: "size", cursor: pageInfo.nextCursor })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it.each([
+    ["a malformed cursor", { cursor: "not-a-cursor" }],
+    ["an unknown sort", { sort: "name" }],
+    ["an unknown order", { order: "up" }],
+    ["an unknown status", { status: "PROCESSED,LOST" }],
+    ["a limit of 0", { limit: "0" }],
+    ["a limit over 100", { limit: "101" }],
+    ["an invalid date", { createdFrom: "yesterday" }],
+  ])("rejects %s with 400", async (_, query) => {
+    await expect(listImages("user-1", query)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("filters by status list", async () => {
+    await listImages("user-1", { status: "FAILED,REJECTED" });
+
+    expect(prisma.image.count).toHaveBeenCalledWith({
+      where: expect.objectContaining({
+        ownerId: "user-1",
+        status: { in: ["FAILED", "REJECTED"] },
+      }),
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { prisma } = require("@prisma/client");
+const photoSetService = require("../../src/services/photoSetService");
+
+const photoSet = (overrides = {}) => ({
+  id: "set-1",
+  ownerId: "user-1",
+  status: "DRAFT",
+  minPhotos: 6,
+  maxPhotos: 10,
+  ...overrides,
+});
+
+// groupBy rows for the given image counts by status
+const groups = (byStatus) =>
+  Object.entries(byStatus).map(([status, count]) => ({
+    status,
+    _count: { _all: count },
+  }));
+
+describe("findOwnedSet", () => {
+  it("returns the caller's set", async () => {
+    prisma.photoSet.findUnique.mockResolvedValue(photoSet());
+
+    await expect(
+      photoSetService.findOwnedSet("set-1", "user-1")
+    ).resolves.toMatchObject({ id: "set-1" });
+  });
+
+  it("refuses a missing set with 404 and another user's with 403", async () => {
+    prisma.photoSet.findUnique.mockResolvedValueOnce(null);
+    await expect(
+      photoSetService.findOwnedSet("set-1", "user-1")
+    ).rejects.toMatchObject({ statusCode: 404 });
+
+    prisma.photoSet.findUnique.mockResolvedValueOnce(photoSet());
+    await expect(
+      photoSetService.findOwnedSet("set-1", "user-2")
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe("getImageCounts", () => {
+  it("counts images by outcome", async () => {
+    prisma.image.groupBy.mockResolvedValue(
+      groups({
+        PROCESSED: 5,
+        UPLOADING: 1,
+        PENDING: 1,
+        PROCESSING: 1,
+        FAILED: 2,
+        REJECTED: 1,
+      })
+    );
+
+    await expect(photoSetService.getImageCounts("set-1")).resolves.toEqual({
+      accepted: 5,
+      inFlight: 3,
+      rejected: 3,
+      total: 11,
+    });
+  });
+});
+
+describe("evaluateRequirements", () => {
+  const failedRules = (counts) =>
+    photoSetService
+      .evaluateRequirements(photoSet(), {
+        accepted: 0,
+        inFlight: 0,
+        ...counts,
+      })
+      .filter((requirement) => !requirement.passed)
+      .map((requirement) => requirement.rule);
+
+  it("passes a set within its limits with every photo checked", () => {
+    expect(failedRules({ accepted: 6 })).toEqual([]);
+    expect(failedRules({ accepted: 10 })).toEqual([]);
+  });
+
+  it("fails too few or too many accepted photos", () => {
+    expect(failedRules({ accepted: 5 })).toEqual(["min_photos"]);
+    expect(failedRules({ accepted: 11 })).toEqual(["max_photos"]);
+  });
+
+  it("waits for photos still uploading or being checked", () => {
+    expect(failedRules({ accepted: 6, inFlight: 1 })).toEqual([
+      "processing_complete",
+    ]);
+  });
+});
+
+describe("withSummary", () => {
+  it("only lets a draft that meets the rules be submitted", async () => {
+    prisma.image.groupBy.mockResolvedValue(groups({ PROCESSED: 6 }));
+
+    await expect(
+      photoSetService.withSummary(photoSet())
+    ).resolves.toMatchObject({ canSubmit: true });
+    await expect(
+      photoSetService.withSummary(photoSet({ status: "SUBMITTED" }))
+    ).resolves.toMatchObject({ canSubmit: false });
+  });
+});
+
+describe("assertCanAddImages", () => {
+  it("refuses uploads to a submitted or locked set with 409", async () => {
+    for (const status of ["SUBMITTED", "LOCKED"]) {
+      await expect(
+        photoSetService.assertCanAddImages(photoSet({ status }), 1)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    }
+    expect(prisma.image.groupBy).not.toHaveBeenCalled();
+  });
+
+  it("refuses uploads past the maximum with 400", async () => {
+    prisma.image.groupBy.mockResolvedValue(
+      groups({ PROCESSED: 8, PENDING: 1 })
+    );
+
+    await expect(
+      photoSetService.assertCanAddImages(photoSet(), 2)
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("lets rejected photos be replaced", async () => {
+    prisma.image.groupBy.mockResolvedValue(groups({ PROCESSED: 8, FAILED: 4 }));
+
+    await expect(
+      photoSetService.assertCanAddImages(photoSet(), 2)
+    ).resolves.toBeUndefined();
+  });
+});
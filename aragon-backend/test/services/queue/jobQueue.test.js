@@ -0,0 +1,220 @@
+const { prisma } = require("@prisma/client");
+const queueConfig = require("../../../src/config/queue");
+const { withLogContext } = require("../../../src/utils/logger");
+const {
+  assertActiveJobIndex,
+  enqueueImageProcessing,
+  enqueueReprocessing,
+  failJob,
+  recoverStaleJobs,
+} = require("../../../src/services/queue/jobQueue");
+
+describe("enqueueImageProcessing", () => {
+  beforeEach(() => {
+    prisma.processingJob.create.mockImplementation(({ data }) => ({
+      id: "job-new",
+      status: "QUEUED",
+      ...data,
+    }));
+    prisma.processingJob.update.mockImplementation(({ data }) => data);
+  });
+
+  it("queues a job carrying the request ID", async () => {
+    prisma.processingJob.findFirst.mockResolvedValue(null);
+
+    const job = await withLogContext({ requestId: "req-1" }, () =>
+      enqueueImageProcessing("image-1")
+    );
+
+    expect(job).toMatchObject({
+      id: "job-new",
+      imageId: "image-1",
+      reprocess: false,
+      debug: false,
+      maxAttempts: queueConfig.maxAttempts,
+      requestId: "req-1",
+    });
+  });
+
+  it("reuses the active job of an image", async () => {
+    const activeJob = { id: "job-1", status: "PROCESSING", debug: false };
+    prisma.processingJob.findFirst.mockResolvedValue(activeJob);
+
+    await expect(enqueueImageProcessing("image-1")).resolves.toBe(activeJob);
+    expect(prisma.processingJob.create).not.toHaveBeenCalled();
+  });
+
+  it("adds a debug capture to a job that hasn't started", async () => {
+    prisma.processingJob.findFirst.mockResolvedValue({
+      id: "job-1",
+      status: "QUEUED",
+      debug: false,
+    });
+
+    await enqueueImageProcessing("image-1", { debug: true });
+
+    expect(prisma.processingJob.update).toHaveBeenCalledWith({
+      where: { id: "job-1" },
+      data: { debug: true },
+    });
+  });
+
+  it("returns the job of a request that queued the image first", async () => {
+    const queuedJob = { id: "job-1", status: "QUEUED", debug: false };
+    prisma.processingJob.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(queuedJob);
+    prisma.processingJob.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+    );
+
+    await expect(enqueueImageProcessing("image-1")).resolves.toBe(queuedJob);
+  });
+
+  it("rethrows other errors", async () => {
+    prisma.processingJob.findFirst.mockResolvedValue(null);
+    prisma.processingJob.create.mockRejectedValue(new Error("database down"));
+
+    await expect(enqueueImageProcessing("image-1")).rejects.toThrow(
+      "database down"
+    );
+  });
+
+  it("leaves a running job as it is", async () => {
+    prisma.processingJob.findFirst.mockResolvedValue({
+      id: "job-1",
+      status: "PROCESSING",
+      debug: false,
+    });
+
+    await enqueueImageProcessing("image-1", { debug: true });
+
+    expect(prisma.processingJob.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("enqueueReprocessing", () => {
+  it("queues low-priority re-process jobs for the batch", async () => {
+    prisma.processingJob.createMany.mockResolvedValue({ count: 2 });
+
+    await expect(
+      enqueueReprocessing(["image-1", "image-2"], "batch-1")
+    ).resolves.toBe(2);
+
+    const { data, skipDuplicates } =
+      prisma.processingJob.createMany.mock.calls[0][0];
+    // Images with an active job keep it
+    expect(skipDuplicates).toBe(true);
+    expect(data).toEqual([
+      expect.objectContaining({
+        imageId: "image-1",
+        batchId: "batch-1",
+        reprocess: true,
+      }),
+      expect.objectContaining({ imageId: "image-2", batchId: "batch-1" }),
+    ]);
+    expect(data[0].priority).toBeLessThan(0);
+  });
+});
+
+describe("failJob", () => {
+  const job = { id: "job-1", imageId: "image-1", attempts: 1, maxAttempts: 3 };
+
+  beforeEach(() => {
+    prisma.processingJob.update.mockImplementation(({ data }) => data);
+    prisma.image.updateMany.mockResolvedValue({ count: 1 });
+    prisma.image.findUnique.mockResolvedValue({
+      id: "image-1",
+      ownerId: null,
+    });
+    prisma.webhookSubscription.findMany.mockResolvedValue([]);
+  });
+
+  it("retries with exponential backoff", async () => {
+    const before = Date.now();
+
+    const first = await failJob(job, new Error("timeout"));
+    const second = await failJob({ ...job, attempts: 2 }, new Error("timeout"));
+
+    expect(first).toMatchObject({ status: "QUEUED", lastError: "timeout" });
+    expect(first.runAt.getTime() - before).toBeGreaterThanOrEqual(
+      queueConfig.retryBaseDelayMs
+    );
+    expect(second.runAt.getTime() - before).toBeGreaterThanOrEqual(
+      Math.min(queueConfig.retryBaseDelayMs * 2, queueConfig.retryMaxDelayMs)
+    );
+    expect(prisma.image.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("dead-letters the job and fails the image after the last attempt", async () => {
+    const deadJob = await failJob({ ...job, attempts: 3 }, new Error("boom"));
+
+    expect(deadJob).toMatchObject({ status: "DEAD", lastError: "boom" });
+    expect(prisma.image.updateMany).toHaveBeenCalledWith({
+      where: { id: "image-1", status: { in: ["PENDING", "PROCESSING"] } },
+      data: expect.objectContaining({ status: "FAILED" }),
+    });
+  });
+
+  it("doesn't retry errors that can't succeed", async () => {
+    const deadJob = await failJob(job, new Error("bad input"), false);
+
+    expect(deadJob.status).toBe("DEAD");
+  });
+});
+
+describe("recoverStaleJobs", () => {
+  it("requeues jobs of workers that stopped", async () => {
+    prisma.processingJob.findMany.mockResolvedValue([
+      {
+        id: "job-1",
+        imageId: "image-1",
+        attempts: 1,
+        maxAttempts: 3,
+        lockedBy: "w1",
+      },
+    ]);
+    prisma.processingJob.updateMany.mockResolvedValue({ count: 1 });
+    prisma.image.updateMany.mockResolvedValue({ count: 1 });
+    prisma.processingJob.update.mockImplementation(({ data }) => data);
+
+    await expect(recoverStaleJobs()).resolves.toBe(1);
+
+    expect(prisma.image.updateMany).toHaveBeenCalledWith({
+      where: { id: "image-1", status: "PROCESSING" },
+      data: { status: "PENDING" },
+    });
+    expect(prisma.processingJob.update).toHaveBeenCalledWith({
+      where: { id: "job-1" },
+      data: expect.objectContaining({ status: "QUEUED" }),
+    });
+  });
+
+  it("skips jobs another worker recovered first", async () => {
+    prisma.processingJob.findMany.mockResolvedValue([
+      { id: "job-1", imageId: "image-1", attempts: 1, maxAttempts: 3 },
+    ]);
+    prisma.processingJob.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(recoverStaleJobs()).resolves.toBe(0);
+    expect(prisma.processingJob.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("assertActiveJobIndex", () => {
+  it("passes when the unique index on active jobs exists", async () => {
+    prisma.$queryRaw.mockResolvedValue([{ "?column?": 1 }]);
+
+    await expect(assertActiveJobIndex()).resolves.toBeUndefined();
+    const [, indexName] = prisma.$queryRaw.mock.calls[0];
+    expect(indexName).toBe("ProcessingJob_imageId_active_key");
+  });
+
+  it("fails when a migration or db push left it out", async () => {
+    prisma.$queryRaw.mockResolvedValue([]);
+
+    await expect(assertActiveJobIndex()).rejects.toThrow(
+      "ProcessingJob_imageId_active_key is missing"
+    );
+  });
+});
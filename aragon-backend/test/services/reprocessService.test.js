@@ -0,0 +1,115 @@
+const { prisma } = require("@prisma/client");
+const queueConfig = require("../../src/config/queue");
+const { enqueueReprocessing } = require("../../src/services/queue");
+const { startReprocess } = require("../../src/services/reprocessService");
+
+// Both pull in the image pipeline and its native modules
+jest.mock("../../src/services/imageService", () => ({
+  REPROCESSABLE_STATUSES: ["PROCESSED", "FAILED"],
+}));
+jest.mock("../../src/services/queue", () => ({
+  ACTIVE_STATUSES: ["QUEUED", "PROCESSING"],
+  enqueueReprocessing: jest.fn(),
+}));
+
+// The where clause of the count query
+const countedWhere = () => prisma.image.count.mock.calls[0][0].where;
+
+describe("startReprocess", () => {
+  beforeEach(() => {
+    prisma.image.count.mockResolvedValue(0);
+  });
+
+  it.each([
+    [{ status: "PENDING" }, "status must be one or more of"],
+    [{ status: [] }, "status must be one or more of"],
+    [{ code: 3 }, "code must be a string"],
+    [{ createdFrom: "soon" }, "createdFrom must be a date"],
+    [{ versionBelow: 0 }, "versionBelow must be a positive integer"],
+    [{ versionBelow: "1.5" }, "versionBelow must be a positive integer"],
+  ])("refuses %p with 400", async (filters, message) => {
+    await expect(startReprocess(filters, "admin-1")).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining(message),
+    });
+    expect(prisma.image.count).not.toHaveBeenCalled();
+  });
+
+  it("turns the filters into a query", async () => {
+    await startReprocess(
+      {
+        status: "FAILED",
+        code: "blurry_image_detected",
+        createdFrom: "2025-06-01",
+        versionBelow: "3",
+      },
+      "admin-1",
+      { dryRun: true }
+    );
+
+    const where = countedWhere();
+    expect(where.status).toEqual({ in: ["FAILED"] });
+    expect(where.metaData).toEqual({
+      path: ["validationErrors"],
+      array_contains: ["blurry_image_detected"],
+    });
+    expect(where.createdAt).toEqual({ gte: new Date("2025-06-01") });
+    expect(where.AND).toContainEqual({
+      OR: [{ pipelineVersion: null }, { pipelineVersion: { lt: 3 } }],
+    });
+  });
+
+  it("leaves out images in submitted or locked photo sets", async () => {
+    await startReprocess({}, "admin-1", { dryRun: true });
+
+    expect(countedWhere().AND).toEqual([
+      { OR: [{ photoSetId: null }, { photoSet: { is: { status: "DRAFT" } } }] },
+    ]);
+  });
+
+  it("only counts the images for a dry run", async () => {
+    prisma.image.count.mockResolvedValue(4);
+
+    await expect(
+      startReprocess({}, "admin-1", { dryRun: true })
+    ).resolves.toEqual({ batch: null, imageCount: 4 });
+    expect(prisma.reprocessBatch.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses more images than can be queued at once with 422", async () => {
+    prisma.image.count.mockResolvedValue(queueConfig.reprocessMaxImages + 1);
+
+    await expect(startReprocess({}, "admin-1")).rejects.toMatchObject({
+      statusCode: 422,
+    });
+    expect(enqueueReprocessing).not.toHaveBeenCalled();
+  });
+
+  it("records the batch with the number of images actually queued", async () => {
+    prisma.image.count.mockResolvedValue(3);
+    prisma.image.findMany.mockResolvedValue([
+      { id: "a" },
+      { id: "b" },
+      { id: "c" },
+    ]);
+    prisma.reprocessBatch.create.mockImplementation(async ({ data }) => ({
+      id: "batch-1",
+      ...data,
+    }));
+    prisma.reprocessBatch.update.mockImplementation(async ({ data }) => ({
+      id: "batch-1",
+      imageCount: data.imageCount,
+    }));
+    // Another request queued one of them first
+    enqueueReprocessing.mockResolvedValue(2);
+
+    const { batch, imageCount } = await startReprocess({}, "admin-1");
+
+    expect(enqueueReprocessing).toHaveBeenCalledWith(
+      ["a", "b", "c"],
+      "batch-1"
+    );
+    expect(imageCount).toBe(2);
+    expect(batch.imageCount).toBe(2);
+  });
+});
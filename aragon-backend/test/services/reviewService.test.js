@@ -0,0 +1,283 @@
+const { prisma } = require("@prisma/client");
+const imageService = require("../../src/services/imageService");
+const { enqueueImageProcessing } = require("../../src/services/queue");
+const { publishImageEvent } = require("../../src/services/imageEvents");
+const { dispatchWebhookEvent } = require("../../src/services/webhookService");
+const {
+  overrideImage,
+  getTuningReport,
+} = require("../../src/services/reviewService");
+
+// These pull in the image pipeline, its native modules and the storage
+// drivers
+jest.mock("../../src/services/imageService", () => ({
+  saveImageHistory: jest.fn(),
+  deleteImageFiles: jest.fn(),
+  getPipeline: jest.fn(),
+  getValidator: jest.fn(),
+}));
+jest.mock("../../src/services/queue", () => ({
+  enqueueImageProcessing: jest.fn(),
+}));
+jest.mock("../../src/services/imageEvents", () => ({
+  publishImageEvent: jest.fn(),
+}));
+jest.mock("../../src/services/webhookService", () => ({
+  dispatchWebhookEvent: jest.fn(),
+}));
+
+const validations = {
+  blur: { passed: false, details: { sharpness: 80 } },
+};
+
+describe("overrideImage", () => {
+  const mockImage = (fields) =>
+    prisma.image.findUnique.mockResolvedValue({
+      id: "img-1",
+      processedPath: "processed/img-1.jpg",
+      variants: [{ path: "variants/img-1-small.jpg" }],
+      metaData: { validationErrors: ["image_too_blurry"], validations },
+      ...fields,
+    });
+
+  // The transaction resolves to the new review and the updated image
+  const mockUpdate = (image) =>
+    prisma.$transaction.mockResolvedValue([
+      { id: "review-1" },
+      { id: "img-1", ...image },
+    ]);
+
+  it("refuses an unknown decision with 400", async () => {
+    await expect(
+      overrideImage("img-1", "admin-1", { decision: "MAYBE" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.image.findUnique).not.toHaveBeenCalled();
+  });
+
+  it("refuses a note that is too long with 400", async () => {
+    await expect(
+      overrideImage("img-1", "admin-1", {
+        decision: "ACCEPTED",
+        note: "x".repeat(1001),
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("refuses a missing image with 404", async () => {
+    prisma.image.findUnique.mockResolvedValue(null);
+
+    await expect(
+      overrideImage("img-1", "admin-1", { decision: "ACCEPTED" })
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("refuses an image whose checks haven't run with 409", async () => {
+    mockImage({ status: "PROCESSING" });
+
+    await expect(
+      overrideImage("img-1", "admin-1", { decision: "ACCEPTED" })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("records what the checks saw in the audit trail", async () => {
+    mockImage({ status: "FAILED" });
+    mockUpdate({ status: "PENDING", metaData: {} });
+
+    await overrideImage("img-1", "admin-1", {
+      decision: "ACCEPTED",
+      note: "  Looks fine  ",
+    });
+
+    expect(prisma.imageReview.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        imageId: "img-1",
+        reviewerId: "admin-1",
+        decision: "ACCEPTED",
+        note: "Looks fine",
+        previousStatus: "FAILED",
+        validationErrors: ["image_too_blurry"],
+        validations,
+      }),
+    });
+  });
+
+  it("sends an accepted failed image through processing again", async () => {
+    mockImage({ status: "FAILED" });
+    mockUpdate({ status: "PENDING", metaData: {} });
+    enqueueImageProcessing.mockResolvedValue({ id: "job-1" });
+
+    const result = await overrideImage("img-1", "admin-1", {
+      decision: "ACCEPTED",
+    });
+
+    expect(prisma.image.update).toHaveBeenCalledWith({
+      where: { id: "img-1" },
+      data: expect.objectContaining({
+        status: "PENDING",
+        metaData: expect.objectContaining({
+          review: expect.objectContaining({ decision: "ACCEPTED" }),
+        }),
+      }),
+    });
+    expect(imageService.saveImageHistory).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "img-1" }),
+      "review"
+    );
+    expect(enqueueImageProcessing).toHaveBeenCalledWith("img-1");
+    expect(publishImageEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "img-1" }),
+      "status",
+      { status: "PENDING" }
+    );
+    expect(result.job).toEqual({ id: "job-1" });
+  });
+
+  it("fails a rejected processed image and removes its renditions", async () => {
+    mockImage({ status: "PROCESSED" });
+    mockUpdate({
+      status: "FAILED",
+      metaData: {
+        rejectionReason: "Wrong person",
+        validationErrors: ["rejected_on_review"],
+      },
+    });
+
+    const result = await overrideImage("img-1", "admin-1", {
+      decision: "REJECTED",
+      note: "Wrong person",
+    });
+
+    expect(prisma.image.update).toHaveBeenCalledWith({
+      where: { id: "img-1" },
+      data: expect.objectContaining({
+        status: "FAILED",
+        processedPath: null,
+        metaData: expect.objectContaining({
+          rejectionReason: "Wrong person",
+          validationErrors: ["rejected_on_review"],
+        }),
+      }),
+    });
+    expect(prisma.imageVariant.deleteMany).toHaveBeenCalledWith({
+      where: { imageId: "img-1" },
+    });
+    expect(imageService.deleteImageFiles).toHaveBeenCalledWith(
+      "processed/img-1.jpg",
+      "variants/img-1-small.jpg"
+    );
+    expect(dispatchWebhookEvent).toHaveBeenCalledWith(
+      "image.failed",
+      expect.objectContaining({ id: "img-1" })
+    );
+    expect(enqueueImageProcessing).not.toHaveBeenCalled();
+    expect(result.job).toBeNull();
+  });
+
+  it("only records a decision that agrees with the checks", async () => {
+    mockImage({ status: "PROCESSED" });
+    mockUpdate({ status: "PROCESSED", metaData: {} });
+
+    await overrideImage("img-1", "admin-1", { decision: "ACCEPTED" });
+
+    const { data } = prisma.image.update.mock.calls[0][0];
+    expect(data).not.toHaveProperty("status");
+    expect(imageService.saveImageHistory).not.toHaveBeenCalled();
+    expect(imageService.deleteImageFiles).not.toHaveBeenCalled();
+    expect(publishImageEvent).not.toHaveBeenCalled();
+  });
+});
+
+describe("getTuningReport", () => {
+  const review = (imageId, decision, blur) => ({
+    imageId,
+    decision,
+    validations: blur && { blur },
+  });
+
+  beforeEach(() => {
+    imageService.getPipeline.mockReturnValue([
+      { name: "blur", severity: "reject", options: { minSharpness: 100 } },
+    ]);
+    imageService.getValidator.mockReturnValue({
+      tuning: {
+        minSharpness: {
+          direction: "min",
+          measure: (details) => details.sharpness,
+        },
+      },
+    });
+    // Newest first, as the report asks for them
+    prisma.imageReview.findMany.mockResolvedValue([
+      review("img-1", "ACCEPTED", validations.blur),
+      review("img-2", "ACCEPTED", {
+        passed: true,
+        details: { sharpness: 150 },
+      }),
+      review("img-3", "REJECTED", {
+        passed: false,
+        details: { sharpness: 40 },
+      }),
+      review("img-4", "REJECTED", {
+        passed: true,
+        details: { sharpness: 120 },
+      }),
+      review("img-5", "ACCEPTED", null),
+      // Overruled by the newer review of img-1
+      review("img-1", "REJECTED", validations.blur),
+    ]);
+  });
+
+  it("compares each check with the latest review of each image", async () => {
+    const report = await getTuningReport();
+
+    expect(report).toEqual({
+      reviews: 5,
+      steps: [
+        {
+          name: "blur",
+          severity: "reject",
+          reviewed: 4,
+          failed: 2,
+          overturned: 1,
+          confirmed: 1,
+          falseRejectionRate: 0.5,
+          rejectedAfterPassing: 1,
+          options: [
+            {
+              option: "minSharpness",
+              direction: "min",
+              current: 100,
+              acceptedSamples: 2,
+              rejectedSamples: 1,
+              suggested: { value: 80, balancedAccuracy: 1 },
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  it("leaves out a suggestion without rejections the option caught", async () => {
+    imageService.getPipeline.mockReturnValue([
+      { name: "blur", severity: "reject", options: { minSharpness: 30 } },
+    ]);
+
+    const report = await getTuningReport();
+
+    expect(report.steps[0].options[0]).toEqual(
+      expect.objectContaining({ rejectedSamples: 0, suggested: null })
+    );
+  });
+
+  it("only counts reviews made since the given date", async () => {
+    const since = new Date("2026-01-01T00:00:00Z");
+
+    await getTuningReport({ since });
+
+    expect(prisma.imageReview.findMany).toHaveBeenCalledWith({
+      where: { createdAt: { gte: since } },
+      orderBy: { createdAt: "desc" },
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const { prisma } = require("@prisma/client");
+const webhookConfig = require("../../src/config/webhooks");
+const {
+  signPayload,
+  validateSubscription,
+  dispatchWebhookEvent,
+  deliverDueWebhooks,
+} = require("../../src/services/webhookService");
+
+describe("signPayload", () => {
+  it("signs `<timestamp>.<body>` with HMAC-SHA256", () => {
+    const body = JSON.stringify({ event: "image.processed" });
+    const expected = crypto
+      .createHmac("sha256", "whsec_test")
+      .update(`1700000000.${body}`)
+      .digest("hex");
+
+    expect(signPayload("whsec_test", 1700000000, body)).toBe(expected);
+  });
+
+  it("changes with the timestamp", () => {
+    expect(signPayload("whsec_test", 1, "{}")).not.toBe(
+      signPayload("whsec_test", 2, "{}")
+    );
+  });
+});
+
+describe("validateSubscription", () => {
+  it("keeps a valid subscription", () => {
+    expect(
+      validateSubscription({
+        url: "https://example.com/hook",
+        events: ["image.processed", "image.processed"],
+        description: "  CRM  ",
+      })
+    ).toEqual({
+      url: "https://example.com/hook",
+      events: ["image.processed"],
+      description: "CRM",
+    });
+  });
+
+  it.each([
+    ["a missing URL", { events: ["image.processed"] }],
+    [
+      "a non-http URL",
+      { url: "ftp://example.com", events: ["image.processed"] },
+    ],
+    ["no events", { url: "https://example.com", events: [] }],
+    [
+      "an unknown event",
+      { url: "https://example.com", events: ["image.eaten"] },
+    ],
+  ])("rejects %s with 400", (_, fields) => {
+    expect(() => validateSubscription(fields)).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+
+  it("only checks the fields sent in a partial update", () => {
+    expect(validateSubscription({ active: false }, true)).toEqual({
+      active: false,
+    });
+  });
+});
+
+describe("dispatchWebhookEvent", () => {
+  it("queues one delivery per subscription with the same event ID", async () => {
+    prisma.webhookSubscription.findMany.mockResolvedValue([
+      { id: "sub-1" },
+      { id: "sub-2" },
+    ]);
+    prisma.webhookDelivery.createMany.mockResolvedValue({ count: 2 });
+
+    await dispatchWebhookEvent("image.processed", { id: "image-1" });
+
+    const { data } = prisma.webhookDelivery.createMany.mock.calls[0][0];
+    expect(data.map((delivery) => delivery.subscriptionId)).toEqual([
+      "sub-1",
+      "sub-2",
+    ]);
+    expect(data[0].payload.id).toBe(data[1].payload.id);
+    expect(data[0].payload.data.image.id).toBe("image-1");
+  });
+
+  it("logs errors instead of throwing them", async () => {
+    const stderr = jest
+      .spyOn(process.stderr, "write")
+      .mockImplementation(() => true);
+    prisma.webhookSubscription.findMany.mockRejectedValue(new Error("down"));
+
+    await expect(
+      dispatchWebhookEvent("image.processed", { id: "image-1" })
+    ).resolves.toBeUndefined();
+    expect(stderr).toHaveBeenCalledWith(
+      expect.stringContaining("Error dispatching webhook")
+    );
+    stderr.mockRestore();
+  });
+});
+
+describe("deliverDueWebhooks", () => {
+  const subscription = {
+    id: "sub-1",
+    url: "https://example.com/hook",
+    secret: "whsec_test",
+    active: true,
+  };
+  const delivery = {
+    id: "delivery-1",
+    subscriptionId: "sub-1",
+    event: "image.processed",
+    payload: { id: "event-1", event: "image.processed" },
+    attempts: 1,
+    maxAttempts: 3,
+  };
+
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = jest.spyOn(global, "fetch");
+    prisma.webhookSubscription.findMany.mockResolvedValue([subscription]);
+    prisma.webhookDelivery.update.mockImplementation(({ data }) => data);
+  });
+
+  afterEach(() => {
+    fetchMock.mockRestore();
+  });
+
+  it("posts a payload the receiver can verify", async () => {
+    prisma.$queryRaw.mockResolvedValue([delivery]);
+    fetchMock.mockResolvedValue(new Response("ok", { status: 200 }));
+
+    await expect(deliverDueWebhooks()).resolves.toBe(1);
+
+    const [url, { headers, body }] = fetchMock.mock.calls[0];
+    expect(url).toBe(subscription.url);
+    expect(headers["X-Webhook-Signature"]).toBe(
+      `sha256=${signPayload(
+        subscription.secret,
+        headers["X-Webhook-Timestamp"],
+        body
+      )}`
+    );
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(prisma.webhookDelivery.update).toHaveBeenCalledWith({
+      where: { id: "delivery-1" },
+      data: expect.objectContaining({ status: "SUCCEEDED" }),
+    });
+  });
+
+  it("retries failed deliveries with backoff", async () => {
+    prisma.$queryRaw.mockResolvedValue([delivery]);
+    fetchMock.mockResolvedValue(new Response("down", { status: 503 }));
+    const before = Date.now();
+
+    await deliverDueWebhooks();
+
+    const { data } = prisma.webhookDelivery.update.mock.calls[0][0];
+    expect(data.status).toBe("PENDING");
+    expect(data.responseStatus).toBe(503);
+    expect(data.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(
+      before + webhookConfig.retryBaseDelayMs
+    );
+  });
+
+  it("gives up after the last attempt", async () => {
+    prisma.$queryRaw.mockResolvedValue([{ ...delivery, attempts: 3 }]);
+    fetchMock.mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+    await deliverDueWebhooks();
+
+    expect(prisma.webhookDelivery.update).toHaveBeenCalledWith({
+      where: { id: "delivery-1" },
+      data: expect.objectContaining({
+        status: "FAILED",
+        lastError: "connect ECONNREFUSED",
+      }),
+    });
+  });
+
+  it("doesn't post to disabled subscriptions", async () => {
+    prisma.$queryRaw.mockResolvedValue([delivery]);
+    prisma.webhookSubscription.findMany.mockResolvedValue([
+      { ...subscription, active: false },
+    ]);
+
+    await deliverDueWebhooks();
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(prisma.webhookDelivery.update).toHaveBeenCalledWith({
+      where: { id: "delivery-1" },
+      data: expect.objectContaining({ status: "FAILED" }),
+    });
+  });
+});
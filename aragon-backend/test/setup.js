@@ -0,0 +1,6 @@
+// Environment for the test run, set before any config module is loaded
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.FILE_URL_SECRET = "test-file-url-secret";
+process.env.LOG_LEVEL = "error";
+process.env.METRICS_COLLECT_DEFAULT = "false";
@@ -0,0 +1,12 @@
+const { toInt } = require("../../src/utils/env");
+
+describe("toInt", () => {
+  it("parses integers", () => {
+    expect(toInt("42", 1)).toBe(42);
+    expect(toInt("0", 1)).toBe(0);
+  });
+
+  it.each([undefined, "", "soon"])("falls back for %p", (value) => {
+    expect(toInt(value, 7)).toBe(7);
+  });
+});
@@ -0,0 +1,42 @@
+const { parseLimit, parsePage } = require("../../src/utils/pagination");
+
+describe("parseLimit", () => {
+  it("falls back when no limit is given", () => {
+    expect(parseLimit(undefined, 20)).toBe(20);
+    expect(parseLimit("", 20)).toBe(20);
+  });
+
+  it("parses limits up to the maximum", () => {
+    expect(parseLimit("1", 20)).toBe(1);
+    expect(parseLimit("100", 20)).toBe(100);
+    expect(parseLimit("200", 50, 200)).toBe(200);
+  });
+
+  it.each(["abc", "0", "-5", "2.5", "101", ["10", "20"]])(
+    "refuses %p with 400",
+    (value) => {
+      expect(() => parseLimit(value, 20)).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          message: "limit must be a whole number from 1 to 100",
+        })
+      );
+    }
+  );
+});
+
+describe("parsePage", () => {
+  it("starts at page 1", () => {
+    expect(parsePage(undefined)).toBe(1);
+    expect(parsePage("3")).toBe(3);
+  });
+
+  it.each(["0", "-1", "abc", "99999999999999999999"])(
+    "refuses %p with 400",
+    (value) => {
+      expect(() => parsePage(value)).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    }
+  );
+});